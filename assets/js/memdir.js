@@ -6,14 +6,29 @@
  * Sections:
  *   1. Tab navigation     -- show/hide ACF fields by tab group within a section
  *   2. Pill navigation    -- single-section / all-sections view switching
+ *  2a. Tablist keys       -- ARIA tab state, roving tabindex, arrow/Home/End keys
+ *  2b. Section order      -- drag / Alt+Arrow pill reordering, saved per profile
  *   3. Header swap        -- show correct header variant based on active pill
  *   4. Field autosave     -- per-field AJAX save on blur/change (no save button)
+ *  4a. Save queue         -- IndexedDB-backed retry queue for offline/failed saves
+ *  4b. Save status        -- sticky page-level save summary, retry all, unload guard
  *   5. Right panel        -- Primary Section AJAX save + pill DOM update
  *   6. Section toggles     -- right-panel toggle switches enable/disable sections
- *   7. State restore      -- sessionStorage + URL param restore on page load
+ *   7. State restore      -- URL param restore on load, pill/tab history + popstate
  *   8. Section PMP        -- 4-button inherit/public/member/private + eyebrow cascade
  *   9. Field PMP          -- per-field icon-button PMP controls injected after each ACF field
+ *  9a. Bulk field PMP     -- set every field in a tab / section in one request
  *  11. Trust Network     -- trust request/respond/cancel/remove action buttons + toggle
+ *  12. Undo / redo       -- page-wide edit history replayed through the save endpoints
+ *  13. Draft mode        -- stage edits in a draft, diff + publish / discard
+ *  14. Profile history   -- server-side revision log with field / section restore
+ *  15. Live sync         -- mirror saves into other tabs editing the same profile
+ *  16. Completeness      -- per tab / section / profile fill score, next field
+ *  17. Field search      -- right-panel find-a-field box, fuzzy label/instruction match
+ *  18. View As preview   -- in-place Member / Public preview from the PMP waterfall
+ *  19. Privacy presets   -- one-click global/section/field PMP setups, matched or drifted
+ *  20. Privacy report    -- filled fields grouped by effective visibility, printable
+ *  21. Scheduled PMP     -- dated visibility changes per dropdown, pending in the eyebrow
  */
 
 ( function () {
@@ -77,6 +92,324 @@
 		return p;
 	}
 
+	// -----------------------------------------------------------------------
+	// Image crop editor (header avatar + banner modals)
+	//
+	// The chosen file is drawn on a canvas the shape of what it will fill --
+	// a square under a circle mask for the avatar, BANNER_CROP_RATIO for the
+	// banner. Drag (or arrow keys) to pan, the slider or wheel to zoom, the
+	// buttons to turn 90°. The image always covers the frame, so there is
+	// never an empty edge to crop. The result is re-encoded in the browser
+	// and uploaded in place of the original file.
+	// -----------------------------------------------------------------------
+	var BANNER_CROP_RATIO = 3;    // width / height -- the 200px banner strip at a typical profile width
+	var CROP_MAX_ZOOM     = 4;
+	var CROP_MAX_OUTPUT   = 2400; // px, longest side of the uploaded crop
+
+	/**
+	 * Build a crop editor. Insert cropper.el into a modal (it starts hidden
+	 * and hides the siblings after it while open), then call open( file ).
+	 *
+	 * @param {Object}  opts
+	 * @param {number}  opts.ratio       Frame width / height.
+	 * @param {boolean} [opts.round]     Mask the frame to a circle (avatar).
+	 * @param {string}  [opts.applyText] Label of the confirm button.
+	 * @returns {{el: Element, open: function(File): Promise, cancel: function()}}
+	 *          open() resolves to { blob, name } on confirm, or null on cancel.
+	 */
+	function createImageCropper( opts ) {
+		var el = document.createElement( 'div' );
+		el.className = 'memdir-crop' + ( opts.round ? ' memdir-crop--round' : '' );
+		el.hidden    = true;
+		el.innerHTML =
+			'<canvas class="memdir-crop__stage" tabindex="0" aria-label="Drag or use the arrow keys to position the image"></canvas>' +
+			'<div class="memdir-crop__tools">' +
+				'<button type="button" class="memdir-crop__tool" data-rotate="-1" aria-label="Rotate left" title="Rotate left">\u21b6</button>' +
+				'<label class="memdir-crop__zoom">Zoom <input type="range" min="1" max="' + CROP_MAX_ZOOM + '" step="0.01" value="1"></label>' +
+				'<button type="button" class="memdir-crop__tool" data-rotate="1" aria-label="Rotate right" title="Rotate right">\u21b7</button>' +
+			'</div>' +
+			'<p class="memdir-crop__error" role="alert"></p>' +
+			'<div class="memdir-crop__actions">' +
+				'<button type="button" class="memdir-crop__cancel">Cancel</button>' +
+				'<button type="button" class="memdir-crop__apply"></button>' +
+			'</div>';
+
+		var canvas   = el.querySelector( '.memdir-crop__stage' );
+		var ctx      = canvas.getContext( '2d' );
+		var zoomEl   = el.querySelector( '.memdir-crop__zoom input' );
+		var applyBtn = el.querySelector( '.memdir-crop__apply' );
+		var errorEl  = el.querySelector( '.memdir-crop__error' );
+		applyBtn.textContent = opts.applyText || 'Upload';
+
+		// Frame size in CSS px, and the image state within it: quarter turns,
+		// zoom over the cover scale, and the image centre's position.
+		var W = 0, H = 0, img = null, file = null, settle = null;
+		var turns = 0, zoom = 1, cx = 0, cy = 0;
+
+		function rotatedSize() {
+			return turns % 2 ? { w: img.naturalHeight, h: img.naturalWidth } : { w: img.naturalWidth, h: img.naturalHeight };
+		}
+
+		function currentScale() {
+			var r = rotatedSize();
+			return Math.max( W / r.w, H / r.h ) * zoom;
+		}
+
+		/** Keep the image covering the frame. */
+		function clamp() {
+			var r     = rotatedSize();
+			var scale = currentScale();
+			var maxDx = ( r.w * scale - W ) / 2;
+			var maxDy = ( r.h * scale - H ) / 2;
+			cx = Math.min( W / 2 + maxDx, Math.max( W / 2 - maxDx, cx ) );
+			cy = Math.min( H / 2 + maxDy, Math.max( H / 2 - maxDy, cy ) );
+		}
+
+		/**
+		 * Draw the image as framed onto a context k times the frame size.
+		 */
+		function paint( target, k, background ) {
+			var scale = currentScale() * k;
+			if ( background ) {
+				target.fillStyle = background;
+				target.fillRect( 0, 0, W * k, H * k );
+			}
+			target.save();
+			target.translate( cx * k, cy * k );
+			target.rotate( turns * Math.PI / 2 );
+			target.drawImage( img, -img.naturalWidth * scale / 2, -img.naturalHeight * scale / 2,
+				img.naturalWidth * scale, img.naturalHeight * scale );
+			target.restore();
+		}
+
+		function draw() {
+			var dpr = window.devicePixelRatio || 1;
+			ctx.setTransform( 1, 0, 0, 1, 0, 0 );
+			ctx.clearRect( 0, 0, canvas.width, canvas.height );
+			ctx.setTransform( dpr, 0, 0, dpr, 0, 0 );
+			paint( ctx, 1 );
+
+			if ( opts.round ) {
+				ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+				ctx.beginPath();
+				ctx.rect( 0, 0, W, H );
+				ctx.arc( W / 2, H / 2, Math.min( W, H ) / 2, 0, Math.PI * 2 );
+				ctx.fill( 'evenodd' );
+			}
+		}
+
+		/**
+		 * The framed area in source pixels is below IMAGE_MIN_DIM on a side:
+		 * the upload would have to be blown up to pass the server's check.
+		 *
+		 * @returns {string}  The message, or '' when the crop is big enough.
+		 */
+		function resolutionError() {
+			var w = Math.round( W / currentScale() );
+			var h = Math.round( H / currentScale() );
+			if ( Math.min( w, h ) >= IMAGE_MIN_DIM ) { return ''; }
+			return 'This crop is only ' + w + '\u00d7' + h + 'px of the original. '
+				+ 'Zoom out or choose a larger image \u2014 min ' + IMAGE_MIN_DIM + 'px per side.';
+		}
+
+		/** Show (or clear) the resolution error and block Apply while it stands. */
+		function checkResolution() {
+			var message = resolutionError();
+			errorEl.textContent   = message;
+			errorEl.style.display = message ? 'block' : '';
+			applyBtn.disabled     = !! message;
+		}
+
+		function setZoom( next ) {
+			var prev = currentScale();
+			zoom = Math.min( CROP_MAX_ZOOM, Math.max( 1, next ) );
+			// Zoom about the frame centre.
+			cx = W / 2 + ( cx - W / 2 ) * currentScale() / prev;
+			cy = H / 2 + ( cy - H / 2 ) * currentScale() / prev;
+			zoomEl.value = zoom;
+			clamp();
+			draw();
+			checkResolution();
+		}
+
+		function rotate( dir ) {
+			// Turn the image about the frame centre, offset included; the
+			// cover scale changes when a non-square frame swaps sides.
+			var prev = currentScale();
+			var dx   = cx - W / 2;
+			var dy   = cy - H / 2;
+			turns = ( turns + dir + 4 ) % 4;
+			var k = currentScale() / prev;
+			cx = W / 2 - dir * dy * k;
+			cy = H / 2 + dir * dx * k;
+			clamp();
+			draw();
+			checkResolution();
+		}
+
+		function pan( dx, dy ) {
+			cx += dx;
+			cy += dy;
+			clamp();
+			draw();
+		}
+
+		function finish( result ) {
+			el.hidden = true;
+			if ( img ) { URL.revokeObjectURL( img.src ); }
+			img = null;
+			var done = settle;
+			settle = null;
+			if ( done ) { done( result ); }
+		}
+
+		/**
+		 * Encode the framed image at the source's resolution (capped at
+		 * CROP_MAX_OUTPUT) -- never scaled up. A crop below IMAGE_MIN_DIM is
+		 * refused rather than padded out to a blurry pass. PNGs stay PNG
+		 * unless that is too big.
+		 */
+		function exportCrop() {
+			var tooSmall = resolutionError();
+			if ( tooSmall ) { return Promise.reject( new Error( tooSmall ) ); }
+
+			var longest = Math.max( W, H ) / currentScale();
+			var k       = Math.min( CROP_MAX_OUTPUT, longest ) / Math.max( W, H );
+			var out     = document.createElement( 'canvas' );
+			out.width   = Math.round( W * k );
+			out.height  = Math.round( H * k );
+
+			var base = file.name.replace( /\.[^.]+$/, '' ) || 'image';
+
+			function encode( type, background ) {
+				var octx = out.getContext( '2d' );
+				octx.clearRect( 0, 0, out.width, out.height );
+				paint( octx, k, background );
+				return new Promise( function ( resolve ) {
+					out.toBlob( resolve, type, 0.9 );
+				} );
+			}
+
+			var first = file.type === 'image/png' ? encode( 'image/png' ) : encode( 'image/jpeg', '#fff' );
+			return first.then( function ( blob ) {
+				if ( blob && blob.size > IMAGE_MAX_SIZE && blob.type === 'image/png' ) {
+					return encode( 'image/jpeg', '#fff' );
+				}
+				return blob;
+			} ).then( function ( blob ) {
+				if ( ! blob ) { throw new Error( 'Could not crop the image.' ); }
+				if ( blob.size > IMAGE_MAX_SIZE ) { throw new Error( 'The cropped image is over 5 MB. Zoom in or choose a smaller file.' ); }
+				return { blob: blob, name: base + ( blob.type === 'image/png' ? '.png' : '.jpg' ) };
+			} );
+		}
+
+		// Pointer drag.
+		var dragging = null;
+		canvas.addEventListener( 'pointerdown', function ( e ) {
+			if ( ! img ) { return; }
+			dragging = { x: e.clientX, y: e.clientY };
+			canvas.setPointerCapture( e.pointerId );
+			canvas.classList.add( 'is-dragging' );
+		} );
+		canvas.addEventListener( 'pointermove', function ( e ) {
+			if ( ! dragging ) { return; }
+			pan( e.clientX - dragging.x, e.clientY - dragging.y );
+			dragging = { x: e.clientX, y: e.clientY };
+		} );
+		[ 'pointerup', 'pointercancel' ].forEach( function ( type ) {
+			canvas.addEventListener( type, function () {
+				dragging = null;
+				canvas.classList.remove( 'is-dragging' );
+			} );
+		} );
+
+		canvas.addEventListener( 'wheel', function ( e ) {
+			if ( ! img ) { return; }
+			e.preventDefault();
+			setZoom( zoom * ( e.deltaY < 0 ? 1.1 : 1 / 1.1 ) );
+		}, { passive: false } );
+
+		canvas.addEventListener( 'keydown', function ( e ) {
+			var step  = e.shiftKey ? 20 : 4;
+			var moves = { ArrowLeft: [ -step, 0 ], ArrowRight: [ step, 0 ], ArrowUp: [ 0, -step ], ArrowDown: [ 0, step ] };
+			if ( ! img ) { return; }
+			if ( moves[ e.key ] ) {
+				e.preventDefault();
+				pan( moves[ e.key ][ 0 ], moves[ e.key ][ 1 ] );
+			} else if ( e.key === '+' || e.key === '=' ) {
+				setZoom( zoom * 1.1 );
+			} else if ( e.key === '-' ) {
+				setZoom( zoom / 1.1 );
+			}
+		} );
+
+		zoomEl.addEventListener( 'input', function () { setZoom( parseFloat( zoomEl.value ) ); } );
+
+		el.querySelectorAll( '[data-rotate]' ).forEach( function ( btn ) {
+			btn.addEventListener( 'click', function () { rotate( parseInt( btn.dataset.rotate, 10 ) ); } );
+		} );
+
+		el.querySelector( '.memdir-crop__cancel' ).addEventListener( 'click', function () { finish( null ); } );
+
+		applyBtn.addEventListener( 'click', function () {
+			applyBtn.disabled = true;
+			exportCrop()
+				.then( function ( result ) { finish( result ); } )
+				.catch( function ( err ) {
+					errorEl.textContent = err.message;
+					errorEl.style.display = 'block';
+				} )
+				.then( function () { applyBtn.disabled = false; } );
+		} );
+
+		function open( chosen ) {
+			if ( settle ) { finish( null ); }
+
+			return new Promise( function ( resolve, reject ) {
+				var next = new Image();
+				next.onload = function () {
+					file  = chosen;
+					img   = next;
+					turns = 0;
+					zoom  = 1;
+
+					el.hidden = false;
+					errorEl.textContent = '';
+					errorEl.style.display = '';
+
+					// Size the frame to the modal, now that it's laid out.
+					W = Math.min( el.clientWidth || 320, opts.round ? 280 : 560 );
+					H = Math.round( W / opts.ratio );
+					var dpr = window.devicePixelRatio || 1;
+					canvas.width        = Math.round( W * dpr );
+					canvas.height       = Math.round( H * dpr );
+					canvas.style.width  = W + 'px';
+					canvas.style.height = H + 'px';
+
+					cx = W / 2;
+					cy = H / 2;
+					zoomEl.value = 1;
+					draw();
+					checkResolution();
+					canvas.focus();
+
+					settle = resolve;
+				};
+				next.onerror = function () {
+					URL.revokeObjectURL( next.src );
+					reject( new Error( 'Could not read image file.' ) );
+				};
+				next.src = URL.createObjectURL( chosen );
+			} );
+		}
+
+		return {
+			el:     el,
+			open:   open,
+			cancel: function () { if ( settle ) { finish( null ); } },
+		};
+	}
+
 
 	// -----------------------------------------------------------------------
 	// 1. Tab navigation
@@ -95,9 +428,7 @@
 	// -----------------------------------------------------------------------
 
 	function initTabNav() {
-		var params        = new URLSearchParams( window.location.search );
-		var activeSection = params.get( 'active_section' ) || '';
-		var activeTab     = params.get( 'active_tab' )     || '';
+		var navState = readNavState();
 
 		document.querySelectorAll( '.memdir-section--edit' ).forEach( function ( section ) {
 			var tabButtons = section.querySelectorAll( '.memdir-section-controls__tab-item' );
@@ -106,23 +437,15 @@
 				return;
 			}
 
-			// Default to the first tab, but restore the saved tab when URL
-			// params point at this section and name a matching tab label.
-			var defaultBtn = tabButtons[ 0 ];
-			if ( activeSection && section.dataset.section === activeSection && activeTab ) {
-				tabButtons.forEach( function ( btn ) {
-					if ( btn.textContent.trim() === activeTab ) {
-						defaultBtn = btn;
-					}
-				} );
-			}
-
-			activateTab( section, defaultBtn );
+			// Default to the first tab, but restore the tab the URL names
+			// for this section (see readNavState()).
+			activateTab( section, findNavTabButton( section, navState ) || tabButtons[ 0 ] );
 
 			// Wire up click handlers for subsequent tab switches.
 			tabButtons.forEach( function ( btn ) {
 				btn.addEventListener( 'click', function () {
 					activateTab( section, btn );
+					pushNavState( section );
 
 					// Anchor scroll to the top of the section so switching from
 					// a tall tab to a short one does not jump to another section.
@@ -159,18 +482,25 @@
 			fieldKeys = [];
 		}
 
-		// Toggle active class on all tab buttons.
+		// Toggle active class + ARIA tab state on all tab buttons.
 		tabButtons.forEach( function ( btn ) {
 			btn.classList.toggle( 'is-active', btn === activeBtn );
+			btn.setAttribute( 'aria-selected', btn === activeBtn ? 'true' : 'false' );
+			btn.tabIndex = btn === activeBtn ? 0 : -1;
 		} );
 
+		var panel = section.querySelector( '.memdir-field-content[role="tabpanel"]' );
+		if ( panel && activeBtn.id ) { panel.setAttribute( 'aria-labelledby', activeBtn.id ); }
+
+		refreshBulkPmp( section );
+
 		// Show fields in this tab group; hide all others.
 		// Skip fields inside <dialog> — they are managed by initHeaderEditing().
 		// Skip sub-fields nested inside repeaters — only the parent repeater is in fieldKeys;
 		// hiding sub-fields would make repeater rows appear empty.
 		allFields.forEach( function ( field ) {
 			if ( field.closest( 'dialog' ) ) { return; }
-			if ( field.parentElement && field.parentElement.closest( '.acf-field[data-type="repeater"], .acf-field[data-type="flexible_content"], .acf-field[data-type="group"]' ) ) { return; }
+			if ( field.parentElement && field.parentElement.closest( '.acf-field[data-type="repeater"], .acf-field[data-type="flexible_content"], .acf-field[data-type="group"], .acf-field[data-type="clone"]' ) ) { return; }
 			var key = field.dataset.key || '';
 			field.style.display = fieldKeys.includes( key ) ? '' : 'none';
 		} );
@@ -207,6 +537,8 @@
 				}
 
 				activatePill( pill.dataset.section || 'all' );
+				pushNavState();
+				announceSection( pill.dataset.section || 'all' );
 				pill.blur();
 			} );
 		} );
@@ -234,9 +566,15 @@
 			}
 		}
 
-		// Move the active class to the matching pill; clear it from all others.
+		// Move the active class (and aria-selected / the roving tabindex) to
+		// the matching pill; clear it from all others.
 		document.querySelectorAll( '.memdir-pill' ).forEach( function ( p ) {
-			p.classList.toggle( 'memdir-pill--active', p.dataset.section === sectionKey );
+			var isActive = p.dataset.section === sectionKey;
+			p.classList.toggle( 'memdir-pill--active', isActive );
+			if ( p.getAttribute( 'role' ) === 'tab' ) {
+				p.setAttribute( 'aria-selected', isActive ? 'true' : 'false' );
+				p.tabIndex = isActive ? 0 : -1;
+			}
 		} );
 
 		// Show the matching section; hide everything else.
@@ -270,6 +608,324 @@
 		}
 	}
 
+	// -----------------------------------------------------------------------
+	// 2a. Tablist keyboard + announcements
+	//
+	// The pill row (.memdir-pills__tabs) and each section's tab column
+	// (.memdir-section-controls__tabs) are WAI-ARIA tablists; the roles,
+	// ids and aria-controls come from the templates. activatePill() and
+	// activateTab() keep aria-selected and the roving tabindex in step.
+	//
+	// Keys (manual activation -- switching sections re-lays out the page, so
+	// moving focus alone never activates): Left/Up and Right/Down move to
+	// the previous/next visible tab, wrapping; Home/End jump to the ends;
+	// Enter/Space activate through the button's own click handler.
+	// Disabled pills stay focusable (aria-disabled) so they are discoverable.
+	// -----------------------------------------------------------------------
+
+	var TAB_KEYS = [ 'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End' ];
+
+	/**
+	 * Toggle a pill's disabled state (class + aria-disabled).
+	 *
+	 * @param {Element} pill
+	 * @param {boolean} disabled
+	 */
+	function setPillDisabled( pill, disabled ) {
+		pill.classList.toggle( 'memdir-pill--disabled', disabled );
+		if ( disabled ) {
+			pill.setAttribute( 'aria-disabled', 'true' );
+		} else {
+			pill.removeAttribute( 'aria-disabled' );
+		}
+	}
+
+	/**
+	 * Tabs of a tablist in visual order, skipping hidden ones. Pills are
+	 * reordered with CSS `order` in edit mode (disabled pills go last).
+	 *
+	 * @param {Element} tablist
+	 * @returns {Element[]}
+	 */
+	function getVisibleTabs( tablist ) {
+		return Array.from( tablist.querySelectorAll( '[role="tab"]' ) )
+			.filter( function ( tab ) { return tab.getClientRects().length > 0; } )
+			.sort( function ( a, b ) {
+				return ( parseInt( getComputedStyle( a ).order, 10 ) || 0 ) - ( parseInt( getComputedStyle( b ).order, 10 ) || 0 );
+			} );
+	}
+
+	/**
+	 * Announce the section now showing, with the enabled-section count.
+	 *
+	 * @param {string} sectionKey  Pill key, or 'all'.
+	 */
+	function announceSection( sectionKey ) {
+		var nav    = document.querySelector( '.memdir-pills' );
+		var status = nav ? nav.querySelector( '.memdir-pills__status' ) : null;
+		if ( ! status ) { return; }
+
+		var enabled = getVisibleTabs( nav ).filter( function ( tab ) {
+			return tab.dataset.section !== 'all' && ! tab.classList.contains( 'memdir-pill--disabled' );
+		} );
+
+		var text;
+		if ( sectionKey === 'all' ) {
+			text = 'Showing all sections, ' + enabled.length + ' enabled';
+		} else {
+			var pill  = nav.querySelector( '.memdir-pill[data-section="' + sectionKey + '"]' );
+			var label = pill ? getPillLabel( pill ) : sectionKey;
+			var index = enabled.indexOf( pill );
+			text = 'Showing ' + label + ' section'
+				+ ( index !== -1 ? ', ' + ( index + 1 ) + ' of ' + enabled.length + ' enabled' : '' );
+		}
+
+		// Clear first so repeating the same text is still announced.
+		status.textContent = '';
+		setTimeout( function () { status.textContent = text; }, 50 );
+	}
+
+	/**
+	 * A pill's section name, without badges.
+	 *
+	 * @param {Element} pill
+	 * @returns {string}
+	 */
+	function getPillLabel( pill ) {
+		var label = pill.querySelector( '.memdir-pill__label' );
+		return ( label || pill ).textContent.trim();
+	}
+
+	function initTablistKeys() {
+		var nav = document.querySelector( '.memdir-pills' );
+		if ( nav && ! nav.querySelector( '.memdir-pills__status' ) ) {
+			var status = document.createElement( 'p' );
+			status.className = 'memdir-pills__status memdir-sr-only';
+			status.setAttribute( 'aria-live', 'polite' );
+			nav.appendChild( status );
+		}
+
+		document.addEventListener( 'keydown', function ( e ) {
+			if ( TAB_KEYS.indexOf( e.key ) === -1 || e.altKey || e.ctrlKey || e.metaKey ) { return; }
+
+			var tab     = e.target.closest ? e.target.closest( '[role="tab"]' ) : null;
+			var tablist = tab ? tab.closest( '.memdir-pills__tabs, .memdir-section-controls__tabs' ) : null;
+			if ( ! tablist ) { return; }
+
+			var tabs  = getVisibleTabs( tablist );
+			var index = tabs.indexOf( tab );
+			if ( index === -1 ) { return; }
+
+			var next;
+			if ( e.key === 'Home' ) {
+				next = tabs[ 0 ];
+			} else if ( e.key === 'End' ) {
+				next = tabs[ tabs.length - 1 ];
+			} else {
+				var step = ( e.key === 'ArrowLeft' || e.key === 'ArrowUp' ) ? -1 : 1;
+				next = tabs[ ( index + step + tabs.length ) % tabs.length ];
+			}
+
+			e.preventDefault();
+			tabs.forEach( function ( t ) { t.tabIndex = t === next ? 0 : -1; } );
+			next.focus();
+		} );
+
+		// Leaving a tablist hands the tab stop back to the selected tab.
+		document.addEventListener( 'focusout', function ( e ) {
+			var tablist = e.target.closest ? e.target.closest( '.memdir-pills__tabs, .memdir-section-controls__tabs' ) : null;
+			if ( ! tablist || ( e.relatedTarget && tablist.contains( e.relatedTarget ) ) ) { return; }
+
+			var selected = tablist.querySelector( '[role="tab"][aria-selected="true"]' );
+			if ( ! selected ) { return; }
+			tablist.querySelectorAll( '[role="tab"]' ).forEach( function ( t ) {
+				t.tabIndex = t === selected ? 0 : -1;
+			} );
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 2b. Section order (edit mode)
+	//
+	// Authors drag section pills to set their profile's section order, or
+	// focus a pill and press Alt+Left / Alt+Right. The new order is applied
+	// to the All Sections layout straight away and saved through
+	// memdir_ajax_save_section_order; PHP renders pills and sections in that
+	// order from then on, in both modes (GlobalFields::apply_section_order()).
+	//
+	// All Sections and Trust are fixed (first / last) and not orderable. In
+	// edit mode disabled pills are pushed to the end by CSS, so drags and
+	// keyboard moves stay within the enabled or the disabled group.
+	// -----------------------------------------------------------------------
+
+	function isOrderablePill( el ) {
+		return !! el && el.matches( '.memdir-pills__tabs .memdir-pill[role="tab"]' )
+			&& el.dataset.section !== 'all' && el.dataset.section !== 'trust';
+	}
+
+	/**
+	 * Whether two pills sit in the same group (both enabled or both disabled).
+	 */
+	function inSamePillGroup( a, b ) {
+		return a.classList.contains( 'memdir-pill--disabled' ) === b.classList.contains( 'memdir-pill--disabled' );
+	}
+
+	/**
+	 * Section keys in current pill (DOM) order.
+	 *
+	 * @param {Element} nav  The .memdir-pills nav.
+	 * @returns {string[]}
+	 */
+	function getPillOrder( nav ) {
+		return Array.from( nav.querySelectorAll( '.memdir-pills__tabs .memdir-pill[role="tab"]' ) )
+			.filter( isOrderablePill )
+			.map( function ( pill ) { return pill.dataset.section; } );
+	}
+
+	/**
+	 * Put pills and section blocks in the given order (Trust stays last).
+	 *
+	 * @param {string[]} order  Section keys.
+	 */
+	function applySectionOrder( order ) {
+		var nav       = document.querySelector( '.memdir-pills' );
+		var tablist   = nav ? nav.querySelector( '.memdir-pills__tabs' ) : null;
+		var trustPill = tablist ? tablist.querySelector( '.memdir-pill[data-section="trust"]' ) : null;
+		var container = document.querySelector( '.memdir-sections' );
+
+		order.forEach( function ( key ) {
+			var pill = tablist ? tablist.querySelector( '.memdir-pill[data-section="' + key + '"]' ) : null;
+			if ( pill ) { tablist.insertBefore( pill, trustPill ); }
+
+			var section = container ? container.querySelector( ':scope > .memdir-section[data-section="' + key + '"]' ) : null;
+			if ( section ) { container.appendChild( section ); }
+		} );
+
+		var trustSection = container ? container.querySelector( ':scope > .memdir-section[data-section="trust"]' ) : null;
+		if ( trustSection ) { container.appendChild( trustSection ); }
+
+		if ( nav ) { nav.dataset.customOrder = '1'; }
+	}
+
+	function saveSectionOrder( nav ) {
+		var order  = getPillOrder( nav );
+		var postId = nav.dataset.postId || '';
+		if ( ! postId ) { return; }
+
+		applySectionOrder( order );
+
+		var formData = new FormData();
+		formData.set( 'action',  'memdir_ajax_save_section_order' );
+		formData.set( 'nonce',   ( window.mdAjax && window.mdAjax.nonce ) ? window.mdAjax.nonce : '' );
+		formData.set( 'post_id', postId );
+		order.forEach( function ( key ) { formData.append( 'order[]', key ); } );
+
+		var request = fetch( ( window.mdAjax && window.mdAjax.ajaxurl ) ? window.mdAjax.ajaxurl : '/wp-admin/admin-ajax.php', {
+			method:      'POST',
+			credentials: 'same-origin',
+			body:        formData,
+		} ).then( function ( r ) { return r.json(); } );
+
+		trackSaveRequest( 'order', {
+			label: 'Section order',
+			el:    nav,
+			retry: function () { saveSectionOrder( nav ); },
+		}, request )
+			.then( function ( data ) {
+				if ( data.success ) {
+					broadcastSync( { type: 'order', order: order } );
+				} else {
+					console.error( 'MemberDirectory: section order AJAX error', data );
+				}
+			} )
+			.catch( function ( err ) {
+				console.error( 'MemberDirectory: section order AJAX failed', err );
+			} );
+	}
+
+	function clearDropMarkers( nav ) {
+		nav.querySelectorAll( '.memdir-pill--drop-before, .memdir-pill--drop-after' ).forEach( function ( p ) {
+			p.classList.remove( 'memdir-pill--drop-before', 'memdir-pill--drop-after' );
+		} );
+	}
+
+	function initSectionOrder() {
+		var nav = document.querySelector( '.memdir-profile--edit .memdir-pills' );
+		if ( ! nav ) { return; }
+
+		var dragged = null;
+
+		nav.querySelectorAll( '.memdir-pill[role="tab"]' ).forEach( function ( pill ) {
+			if ( isOrderablePill( pill ) ) { pill.draggable = true; }
+		} );
+
+		nav.addEventListener( 'dragstart', function ( e ) {
+			var pill = e.target.closest ? e.target.closest( '.memdir-pill' ) : null;
+			if ( ! isOrderablePill( pill ) ) { return; }
+			dragged = pill;
+			pill.classList.add( 'memdir-pill--dragging' );
+			e.dataTransfer.effectAllowed = 'move';
+			e.dataTransfer.setData( 'text/plain', pill.dataset.section );
+		} );
+
+		nav.addEventListener( 'dragover', function ( e ) {
+			var pill = e.target.closest ? e.target.closest( '.memdir-pill' ) : null;
+			if ( ! dragged || ! isOrderablePill( pill ) || pill === dragged || ! inSamePillGroup( pill, dragged ) ) {
+				clearDropMarkers( nav );
+				return;
+			}
+			e.preventDefault();
+			e.dataTransfer.dropEffect = 'move';
+
+			var rect  = pill.getBoundingClientRect();
+			var after = e.clientX > rect.left + rect.width / 2;
+			clearDropMarkers( nav );
+			pill.classList.add( after ? 'memdir-pill--drop-after' : 'memdir-pill--drop-before' );
+		} );
+
+		nav.addEventListener( 'drop', function ( e ) {
+			var pill = e.target.closest ? e.target.closest( '.memdir-pill' ) : null;
+			if ( ! dragged || ! isOrderablePill( pill ) || pill === dragged || ! inSamePillGroup( pill, dragged ) ) { return; }
+			e.preventDefault();
+
+			var after = pill.classList.contains( 'memdir-pill--drop-after' );
+			pill.parentNode.insertBefore( dragged, after ? pill.nextSibling : pill );
+			clearDropMarkers( nav );
+			saveSectionOrder( nav );
+		} );
+
+		nav.addEventListener( 'dragend', function () {
+			if ( dragged ) { dragged.classList.remove( 'memdir-pill--dragging' ); }
+			dragged = null;
+			clearDropMarkers( nav );
+		} );
+
+		// Keyboard alternative: Alt+Left / Alt+Right on a focused pill.
+		nav.addEventListener( 'keydown', function ( e ) {
+			if ( ! e.altKey || ( e.key !== 'ArrowLeft' && e.key !== 'ArrowRight' ) ) { return; }
+			var pill = e.target.closest ? e.target.closest( '.memdir-pill' ) : null;
+			if ( ! isOrderablePill( pill ) ) { return; }
+			e.preventDefault();
+
+			var group = getVisibleTabs( nav.querySelector( '.memdir-pills__tabs' ) ).filter( function ( p ) {
+				return isOrderablePill( p ) && inSamePillGroup( p, pill );
+			} );
+			var index  = group.indexOf( pill );
+			var target = group[ index + ( e.key === 'ArrowLeft' ? -1 : 1 ) ];
+			if ( ! target ) { return; }
+
+			target.parentNode.insertBefore( pill, e.key === 'ArrowLeft' ? target : target.nextSibling );
+			pill.focus();
+			saveSectionOrder( nav );
+
+			var status = nav.querySelector( '.memdir-pills__status' );
+			if ( status ) {
+				status.textContent = getPillLabel( pill ) + ' moved to position '
+					+ ( group.indexOf( target ) + 1 ) + ' of ' + group.length;
+			}
+		} );
+	}
+
 	// -----------------------------------------------------------------------
 	// 3. Header swap
 	//
@@ -343,10 +999,11 @@
 	 * Set the visual state of a field status indicator.
 	 *
 	 * @param {Element} el     The .memdir-field-status element.
-	 * @param {string}  state  'saving' | 'saved' | 'error' | ''
+	 * @param {string}  state  'saving' | 'saved' | 'error' | 'queued' | 'conflict' | ''
 	 */
 	function setIndicatorState( el, state ) {
 		el.className = 'memdir-field-status' + ( state ? ' memdir-field-status--' + state : '' );
+		el.title = state === 'queued' ? 'Not saved yet — will retry when the connection is back' : '';
 		if ( state === 'saving' ) {
 			el.textContent = '';
 		} else if ( state === 'saved' ) {
@@ -358,46 +1015,130 @@
 			}, 3000 );
 		} else if ( state === 'error' ) {
 			el.textContent = '\u2717';
+		} else if ( state === 'queued' ) {
+			el.textContent = '\u21bb';
+		} else if ( state === 'conflict' ) {
+			el.textContent = '!';
 		} else {
 			el.textContent = '';
 		}
 	}
 
 	/**
-	 * Save a single ACF field value via AJAX (reuses md_save_section endpoint).
+	 * Last-seen revision per field key, seeded from the server and bumped
+	 * from every successful save. Sent with each save so the server can
+	 * reject writes based on a stale copy (see showFieldConflict()).
+	 */
+	var fieldRevisions = ( window.mdAjax && window.mdAjax.fieldRevisions ) ? window.mdAjax.fieldRevisions : {};
+
+	/**
+	 * Autosave batching. Field saves made within SAVE_BATCH_WINDOW of the
+	 * first one are coalesced into a single md_save_section request with
+	 * many acf[...] keys. The server answers with a result per field key, and
+	 * each caller's promise resolves with its own field's result -- so every
+	 * indicator still reports its own success, conflict or error. A later
+	 * save of the same field inside the window replaces the earlier value.
 	 *
-	 * @param {string}       postId    Member directory post ID.
-	 * @param {string}       fieldKey  ACF field key (e.g. 'field_md_profile_name').
-	 * @param {*}            value     The value to save (string, array, or object).
-	 * @param {Element}      acfField  The .acf-field wrapper (for status indicator).
-	 * @returns {Promise}
+	 * A field has at most one save in flight: a batch holding a field whose
+	 * previous save hasn't answered yet waits for it, and then sends the
+	 * revision that answer produced. Sending the revision captured when the
+	 * save was queued would make the second save conflict with the first.
 	 */
-	function saveField( postId, fieldKey, value, acfField ) {
-		var indicator = getOrCreateIndicator( acfField );
-		setIndicatorState( indicator, 'saving' );
+	var SAVE_BATCH_WINDOW = 300; // ms
+	var saveBatches       = {};  // postId -> { fields: { key: { value, revision, waiters } }, timer }
+	var inflightSaves     = {};  // postId + '|' + fieldKey -> Promise of the batch carrying it
+
+	/**
+	 * Queue a single ACF field value for the next batched md_save_section POST.
+	 *
+	 * Rejects on anything that looks like a transport failure (network
+	 * error, 5xx, non-JSON body) so callers can queue the save for retry.
+	 *
+	 * @param {string} postId      Member directory post ID.
+	 * @param {string} fieldKey    ACF field key.
+	 * @param {*}      value       The value to save (string, array, or object).
+	 * @param {number} [revision]  Revision the edit was based on (conflict
+	 *                             check). Omitted: the field's latest known
+	 *                             revision, read when the batch is sent.
+	 * @returns {Promise<Object>}  This field's result:
+	 *   { success, revision } | { success: false, code, message, revision?, theirs? }
+	 */
+	function postFieldSave( postId, fieldKey, value, revision ) {
+		return new Promise( function ( resolve, reject ) {
+			var batch = saveBatches[ postId ];
+			if ( ! batch ) {
+				batch = saveBatches[ postId ] = { fields: {}, timer: null };
+				batch.timer = setTimeout( function () { sendSaveBatch( postId, false ); }, SAVE_BATCH_WINDOW );
+			}
+
+			var waiters = batch.fields[ fieldKey ] ? batch.fields[ fieldKey ].waiters : [];
+			waiters.push( { resolve: resolve, reject: reject } );
+			batch.fields[ fieldKey ] = {
+				value:    value,
+				revision: revision === undefined ? null : ( revision || 0 ),
+				waiters:  waiters,
+			};
+		} );
+	}
+
+	/**
+	 * Send the pending batch for a post once none of its fields has a save
+	 * still in flight. On unload there is no time to wait; it goes at once.
+	 *
+	 * @param {string}  postId
+	 * @param {boolean} keepalive  True when the page is unloading.
+	 * @returns {Promise}  Settles once the batch's waiters have been settled.
+	 */
+	function sendSaveBatch( postId, keepalive ) {
+		var batch = saveBatches[ postId ];
+		if ( ! batch ) { return Promise.resolve(); }
+		delete saveBatches[ postId ];
+		clearTimeout( batch.timer );
+
+		var keys  = Object.keys( batch.fields );
+		var slots = keys.map( function ( k ) { return postId + '|' + k; } );
+		var ahead = keepalive ? [] : slots
+			.map( function ( slot ) { return inflightSaves[ slot ]; } )
+			.filter( Boolean );
+
+		var sent = Promise.all( ahead ).then( function () {
+			return postSaveBatch( postId, batch, keepalive );
+		} );
+
+		slots.forEach( function ( slot ) { inflightSaves[ slot ] = sent; } );
+		return sent.then( function () {
+			slots.forEach( function ( slot ) {
+				if ( inflightSaves[ slot ] === sent ) { delete inflightSaves[ slot ]; }
+			} );
+		} );
+	}
 
+	/**
+	 * POST a batch to md_save_section and settle each field's waiters.
+	 * Revisions are resolved here, at send time, and successful saves
+	 * advance fieldRevisions before any waiter runs. Never rejects --
+	 * transport failures reject the waiters instead.
+	 *
+	 * @param {string}  postId
+	 * @param {Object}  batch      As taken from saveBatches.
+	 * @param {boolean} keepalive
+	 * @returns {Promise}
+	 */
+	function postSaveBatch( postId, batch, keepalive ) {
+		var keys     = Object.keys( batch.fields );
 		var formData = new FormData();
 		formData.set( 'action',  'md_save_section' );
 		formData.set( 'nonce',   ( window.mdAjax && window.mdAjax.nonce ) ? window.mdAjax.nonce : '' );
 		formData.set( 'post_id', postId );
 
-		// Append the value in the format the existing handler expects.
-		if ( Array.isArray( value ) ) {
-			if ( value.length === 0 ) {
-				// Empty array: send empty string so ACF clears the field.
-				formData.set( 'acf[' + fieldKey + ']', '' );
-			} else {
-				value.forEach( function ( v ) {
-					formData.append( 'acf[' + fieldKey + '][]', v );
-				} );
-			}
-		} else if ( typeof value === 'object' && value !== null ) {
-			Object.keys( value ).forEach( function ( k ) {
-				formData.append( 'acf[' + fieldKey + '][' + k + ']', value[ k ] );
-			} );
-		} else {
-			formData.set( 'acf[' + fieldKey + ']', value );
-		}
+		// Append values in the format the existing handler expects:
+		// scalars as acf[key], lists as acf[key][], nested containers
+		// (repeater/group/flexible content) as acf[key][row-0][sub]...
+		keys.forEach( function ( k ) {
+			var revision = batch.fields[ k ].revision;
+			appendFormValue( formData, 'acf[' + k + ']', batch.fields[ k ].value );
+			formData.set( 'revisions[' + k + ']', revision === null ? ( fieldRevisions[ k ] || 0 ) : revision );
+		} );
 
 		var ajaxUrl = ( window.mdAjax && window.mdAjax.ajaxurl )
 			? window.mdAjax.ajaxurl
@@ -407,28 +1148,113 @@
 			method:      'POST',
 			credentials: 'same-origin',
 			body:        formData,
+			keepalive:   !! keepalive,
 		} )
-			.then( function ( r ) { return r.json(); } )
+			.then( function ( r ) {
+				if ( r.status >= 500 ) { throw new Error( 'HTTP ' + r.status ); }
+				return r.json();
+			} )
 			.then( function ( data ) {
-				if ( data.success ) {
-					setIndicatorState( indicator, 'saved' );
-				} else {
-					setIndicatorState( indicator, 'error' );
-					console.error( 'MemberDirectory: field save error', fieldKey, data );
+				var results = ( data && data.success && data.data && data.data.results ) ? data.data.results : {};
+				if ( data && data.success && data.data && data.data.draft ) {
+					updateDraftState( data.data.draft.count );
 				}
-				return data;
+				var message = ( data && data.data && data.data.message ) ? data.data.message : 'Save failed.';
+				keys.forEach( function ( k ) {
+					var result = results[ k ] || { success: false, code: 'request_failed', message: message };
+					if ( result.success ) { fieldRevisions[ k ] = result.revision; }
+					batch.fields[ k ].waiters.forEach( function ( w ) { w.resolve( result ); } );
+				} );
 			} )
 			.catch( function ( err ) {
-				setIndicatorState( indicator, 'error' );
-				console.error( 'MemberDirectory: field save failed', fieldKey, err );
+				keys.forEach( function ( k ) {
+					batch.fields[ k ].waiters.forEach( function ( w ) { w.reject( err ); } );
+				} );
 			} );
 	}
 
+	// Don't lose a batch still waiting out its window when the page goes away.
+	window.addEventListener( 'pagehide', function () {
+		Object.keys( saveBatches ).forEach( function ( postId ) { sendSaveBatch( postId, true ); } );
+	} );
+
 	/**
-	 * Wait for a TinyMCE editor instance to become available.
+	 * Save a single ACF field value via AJAX (reuses md_save_section endpoint).
+	 * Transport failures and offline edits go to the save queue (section 4a).
 	 *
-	 * @param {string}   editorId  The textarea ID that TinyMCE wraps.
-	 * @param {Function} callback  Called with the editor instance.
+	 * @param {string}       postId    Member directory post ID.
+	 * @param {string}       fieldKey  ACF field key (e.g. 'field_md_profile_name').
+	 * @param {*}            value     The value to save (string, array, or object).
+	 * @param {Element}      acfField  The .acf-field wrapper (for status indicator).
+	 * @returns {Promise}
+	 */
+	function saveField( postId, fieldKey, value, acfField ) {
+		var indicator = getOrCreateIndicator( acfField );
+		var recordable = ! historyReplaying; // captured now -- the save resolves later
+		var jobId      = 'field:' + fieldKey;
+		var job        = {
+			label: getFieldLabelText( acfField ),
+			el:    acfField,
+			retry: function () { return saveField( postId, fieldKey, extractFieldValue( acfField ), acfField ); },
+		};
+
+		// Invalid values never leave the browser; the server re-checks anyway.
+		var invalid = validateFieldValue( getFieldRules( acfField ), value );
+		setFieldError( acfField, invalid );
+		if ( invalid ) {
+			setIndicatorState( indicator, 'error' );
+			job.message = invalid;
+			setSaveJob( jobId, 'failed', job );
+			return Promise.resolve( { success: false, code: 'invalid', message: invalid } );
+		}
+
+		// No point firing a request the browser knows will fail.
+		if ( navigator.onLine === false ) {
+			setIndicatorState( indicator, 'queued' );
+			setSaveJob( jobId, 'queued', job );
+			return enqueueFieldSave( postId, fieldKey, value, fieldRevisions[ fieldKey ] || 0 );
+		}
+
+		setIndicatorState( indicator, 'saving' );
+		setSaveJob( jobId, 'pending', job );
+
+		return postFieldSave( postId, fieldKey, value )
+			.then( function ( result ) {
+				if ( result.success ) {
+					setIndicatorState( indicator, 'saved' );
+					clearSaveJob( jobId );
+					dequeueFieldSave( postId, fieldKey );
+
+					var before = acfField._memdirSavedValue;
+					acfField._memdirSavedValue = value;
+					if ( recordable ) { recordFieldHistory( acfField, postId, fieldKey, before, value ); }
+					scheduleCompleteness();
+					broadcastSync( { type: 'field', fieldKey: fieldKey, value: value, revision: result.revision } );
+				} else if ( result.code === 'conflict' ) {
+					// Resolved from the conflict prompt, not by retrying.
+					setSaveJob( jobId, 'failed', { message: 'Changed somewhere else', retry: null } );
+					showFieldConflict( acfField, postId, fieldKey, value, result );
+				} else {
+					setIndicatorState( indicator, 'error' );
+					setSaveJob( jobId, 'failed', { message: result.message || 'Save failed.' } );
+					if ( result.code === 'invalid' ) { setFieldError( acfField, result.message ); }
+					console.error( 'MemberDirectory: field save error', fieldKey, result );
+				}
+				return result;
+			} )
+			.catch( function ( err ) {
+				setIndicatorState( indicator, 'queued' );
+				setSaveJob( jobId, 'queued' );
+				console.error( 'MemberDirectory: field save failed, queued for retry', fieldKey, err );
+				return enqueueFieldSave( postId, fieldKey, value, fieldRevisions[ fieldKey ] || 0 );
+			} );
+	}
+
+	/**
+	 * Wait for a TinyMCE editor instance to become available.
+	 *
+	 * @param {string}   editorId  The textarea ID that TinyMCE wraps.
+	 * @param {Function} callback  Called with the editor instance.
 	 */
 	function waitForTinyMCE( editorId, callback ) {
 		var attempts = 0;
@@ -442,6 +1268,108 @@
 		}, 100 );
 	}
 
+	/**
+	 * Split an ACF input name into its bracket path.
+	 * 'acf[field_a][row-0][field_b][]' -> [ 'field_a', 'row-0', 'field_b', '' ]
+	 *
+	 * @param {string} name
+	 * @returns {string[]|null}  null when the name is not an acf[...] input.
+	 */
+	function parseAcfInputName( name ) {
+		var match = ( name || '' ).match( /^acf((?:\[[^\]]*\])+)$/ );
+		if ( ! match ) { return null; }
+		return match[1].slice( 1, -1 ).split( '][' );
+	}
+
+	/**
+	 * Serialize a repeater, group or flexible_content field into the nested
+	 * structure ACF's own form submission produces, e.g.
+	 *   { 'row-0': { acf_fc_layout: 'quote', field_x: 'Hi', field_y: [ 'a' ] } }
+	 *
+	 * Row order follows the DOM, so added, removed and reordered rows are all
+	 * captured. ACF's hidden clone templates (.acf-clone / .clones) are skipped.
+	 *
+	 * @param {Element} acfField  The container .acf-field wrapper.
+	 * @returns {Object|string}  Nested value, or '' when the container is empty.
+	 */
+	function collectContainerValue( acfField ) {
+		var fieldKey = acfField.dataset.key || '';
+		var result   = {};
+		var hasRows  = false;
+
+		// Push TinyMCE content back into the textareas before reading them.
+		if ( window.tinyMCE && typeof tinyMCE.triggerSave === 'function' ) {
+			tinyMCE.triggerSave();
+		}
+
+		acfField.querySelectorAll( 'input, select, textarea' ).forEach( function ( el ) {
+			if ( ! el.name || el.disabled ) { return; }
+			if ( el.type === 'button' || el.type === 'submit' || el.type === 'file' ) { return; }
+			if ( ( el.type === 'checkbox' || el.type === 'radio' ) && ! el.checked ) { return; }
+			if ( el.closest( '.acf-clone, .clones' ) ) { return; }
+
+			var path = parseAcfInputName( el.name );
+			if ( ! path || path[0] !== fieldKey || path.length < 2 ) { return; }
+
+			var values = ( el.tagName === 'SELECT' && el.multiple )
+				? Array.from( el.selectedOptions ).map( function ( o ) { return o.value; } )
+				: [ el.value ];
+
+			var node = result;
+			for ( var i = 1; i < path.length - 1; i++ ) {
+				var seg = path[ i ];
+				if ( path[ i + 1 ] === '' ) {
+					// Next segment is [] -- this key holds a list.
+					if ( ! Array.isArray( node[ seg ] ) ) { node[ seg ] = []; }
+					values.forEach( function ( v ) { if ( v !== '' ) { node[ seg ].push( v ); } } );
+					hasRows = true;
+					return;
+				}
+				if ( typeof node[ seg ] !== 'object' || node[ seg ] === null || Array.isArray( node[ seg ] ) ) {
+					node[ seg ] = {};
+				}
+				node = node[ seg ];
+			}
+
+			var last = path[ path.length - 1 ];
+			// A hidden '' companion must not clobber a list collected from checkboxes.
+			if ( Array.isArray( node[ last ] ) ) { return; }
+			node[ last ] = ( el.tagName === 'SELECT' && el.multiple ) ? values : values[0];
+			hasRows = true;
+		} );
+
+		return hasRows ? result : '';
+	}
+
+	/**
+	 * Append a (possibly nested) value to FormData using PHP bracket notation.
+	 * Empty arrays/objects are sent as '' so ACF clears the field.
+	 *
+	 * @param {FormData} formData
+	 * @param {string}   name   e.g. 'acf[field_md_profile_links]'
+	 * @param {*}        value
+	 */
+	function appendFormValue( formData, name, value ) {
+		if ( Array.isArray( value ) ) {
+			if ( ! value.length ) { formData.append( name, '' ); return; }
+			value.forEach( function ( v, i ) {
+				if ( typeof v === 'object' && v !== null ) {
+					appendFormValue( formData, name + '[' + i + ']', v );
+				} else {
+					formData.append( name + '[]', v );
+				}
+			} );
+		} else if ( typeof value === 'object' && value !== null ) {
+			var keys = Object.keys( value );
+			if ( ! keys.length ) { formData.append( name, '' ); return; }
+			keys.forEach( function ( k ) {
+				appendFormValue( formData, name + '[' + k + ']', value[ k ] );
+			} );
+		} else {
+			formData.append( name, value === null || value === undefined ? '' : value );
+		}
+	}
+
 	/**
 	 * Collect all sub-values from an ACF google_map field into an object.
 	 *
@@ -460,6 +1388,154 @@
 		return result;
 	}
 
+	/**
+	 * Find the input ACF posts as acf[{key}]{suffix} inside a field.
+	 *
+	 * @param {Element} acfField  The .acf-field wrapper.
+	 * @param {string}  suffix    e.g. '' or '[url]'.
+	 * @returns {Element|null}
+	 */
+	function getAcfNamedInput( acfField, suffix ) {
+		var key = acfField.dataset.key || '';
+		return acfField.querySelector( 'input[type="hidden"][name="acf[' + key + ']' + suffix + '"]' )
+			|| acfField.querySelector( '[name="acf[' + key + ']' + suffix + '"]' );
+	}
+
+	/**
+	 * Listen for 'change' on an element, including changes ACF's pickers fire
+	 * with jQuery's .trigger() -- those never reach native listeners.
+	 *
+	 * @param {Element}  el
+	 * @param {Function} handler
+	 */
+	function onAcfChange( el, handler ) {
+		if ( typeof jQuery !== 'undefined' ) {
+			jQuery( el ).on( 'change', handler );
+		} else {
+			el.addEventListener( 'change', handler );
+		}
+	}
+
+	/**
+	 * Flag a field whose edits cannot autosave, so they aren't lost silently.
+	 *
+	 * @param {Element} acfField  The .acf-field wrapper.
+	 * @param {string}  message   Text shown under the field.
+	 */
+	function showUnsupportedFieldWarning( acfField, message ) {
+		if ( acfField.querySelector( '.memdir-field-unsupported' ) ) { return; }
+		var note = document.createElement( 'p' );
+		note.className = 'memdir-field-unsupported';
+		note.setAttribute( 'role', 'note' );
+		note.textContent = message;
+		acfField.appendChild( note );
+		console.warn( 'MemberDirectory: field not autosaved', acfField.dataset.key, acfField.dataset.type );
+	}
+
+	/**
+	 * Validation rules for a field, from the section's data-field-rules
+	 * (built by AcfFormHelper::get_field_rules()). Parsed once per section.
+	 *
+	 * @param {Element} acfField  The .acf-field wrapper.
+	 * @returns {Object|null}
+	 */
+	function getFieldRules( acfField ) {
+		var section = acfField.closest( '.memdir-section--edit' );
+		if ( ! section ) { return null; }
+		if ( ! section._memdirFieldRules ) {
+			try {
+				section._memdirFieldRules = JSON.parse( section.dataset.fieldRules || '{}' );
+			} catch ( e ) {
+				section._memdirFieldRules = {};
+			}
+		}
+		return section._memdirFieldRules[ acfField.dataset.key ] || null;
+	}
+
+	/**
+	 * Check a value against a field's rules.
+	 *
+	 * Mirrors AcfFormHelper::validate_field_value() -- keep the two in step.
+	 *
+	 * @param {Object|null} rule   From getFieldRules().
+	 * @param {*}           value  As returned by extractFieldValue().
+	 * @returns {string}  Error message, or '' if valid.
+	 */
+	function validateFieldValue( rule, value ) {
+		if ( ! rule ) { return ''; }
+
+		var label = rule.label || 'This field';
+		var empty = value === '' || value === null || value === undefined ||
+			( Array.isArray( value ) && ! value.length ) ||
+			( typeof value === 'object' && ! Array.isArray( value ) && value !== null && ! Object.keys( value ).length );
+
+		if ( rule.required && ( empty || ( rule.type === 'true_false' && String( value ) !== '1' ) ) ) {
+			return label + ' is required.';
+		}
+		if ( empty ) { return ''; }
+
+		if ( rule.maxlength && typeof value === 'string' && value.length > rule.maxlength ) {
+			return label + ' must be ' + rule.maxlength + ' characters or fewer.';
+		}
+
+		if ( rule.type === 'email' && ! /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test( value ) ) {
+			return 'Enter a valid email address.';
+		}
+
+		if ( rule.type === 'url' && value.indexOf( '://' ) === -1 && value.indexOf( '//' ) !== 0 ) {
+			return 'Enter a valid URL (including https://).';
+		}
+
+		var measure = null;
+		if ( rule.type === 'number' || rule.type === 'range' ) {
+			if ( isNaN( parseFloat( value ) ) || ! isFinite( value ) ) { return label + ' must be a number.'; }
+			measure = parseFloat( value );
+		} else if ( rule.type === 'repeater' || rule.type === 'flexible_content' ) {
+			measure = typeof value === 'object' ? Object.keys( value ).length : 0;
+		}
+
+		if ( measure !== null ) {
+			var unit = typeof value === 'object' ? ' rows' : '';
+			if ( rule.min !== undefined && measure < rule.min ) { return label + ' must be at least ' + rule.min + unit + '.'; }
+			if ( rule.max !== undefined && measure > rule.max ) { return label + ' must be no more than ' + rule.max + unit + '.'; }
+		}
+
+		if ( rule.choices ) {
+			var picked = Array.isArray( value ) ? value : [ value ];
+			for ( var i = 0; i < picked.length; i++ ) {
+				if ( picked[ i ] !== '' && rule.choices.indexOf( String( picked[ i ] ) ) === -1 ) {
+					return 'Choose one of the listed options.';
+				}
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Show (or clear, with an empty message) the inline validation error
+	 * under a field. Used for both client-side and server-side failures.
+	 *
+	 * @param {Element} acfField  The .acf-field wrapper.
+	 * @param {string}  message   Error text, or '' to clear.
+	 */
+	function setFieldError( acfField, message ) {
+		var el = acfField.querySelector( ':scope > .memdir-field-error' );
+		acfField.classList.toggle( 'memdir-field--invalid', !! message );
+
+		if ( ! message ) {
+			if ( el ) { el.remove(); }
+			return;
+		}
+		if ( ! el ) {
+			el = document.createElement( 'p' );
+			el.className = 'memdir-field-error';
+			el.setAttribute( 'role', 'alert' );
+			acfField.appendChild( el );
+		}
+		el.textContent = message;
+	}
+
 	/**
 	 * Extract the current value from an .acf-field based on its type.
 	 *
@@ -473,11 +1549,53 @@
 			case 'text':
 			case 'email':
 			case 'number':
-			case 'url': {
-				var inp = acfField.querySelector( 'input[type="text"], input[type="email"], input[type="number"], input[type="url"]' );
+			case 'url':
+			case 'password': {
+				var inp = acfField.querySelector( 'input[type="text"], input[type="email"], input[type="number"], input[type="url"], input[type="password"]' );
 				return inp ? inp.value : undefined;
 			}
 
+			// Picker-style fields keep the real value in a hidden acf[key]
+			// input; the visible input is display-only.
+			case 'date_picker':
+			case 'date_time_picker':
+			case 'time_picker':
+			case 'color_picker':
+			case 'oembed':
+			case 'file': {
+				var hidden = getAcfNamedInput( acfField, '' );
+				return hidden ? hidden.value : undefined;
+			}
+
+			case 'range': {
+				var range = acfField.querySelector( 'input[type="range"]' );
+				return range ? range.value : undefined;
+			}
+
+			case 'relationship': {
+				var relKey = acfField.dataset.key || '';
+				return Array.from( acfField.querySelectorAll( 'input[name="acf[' + relKey + '][]"]' ) )
+					.map( function ( i ) { return i.value; } )
+					.filter( Boolean );
+			}
+
+			case 'post_object':
+			case 'page_link':
+			case 'user': {
+				var objSel = acfField.querySelector( 'select' );
+				if ( ! objSel ) { return undefined; }
+				if ( objSel.multiple ) {
+					return Array.from( objSel.selectedOptions ).map( function ( o ) { return o.value; } ).filter( Boolean );
+				}
+				return objSel.value;
+			}
+
+			// Small fixed-shape objects: { title, url, target } / { type, value }.
+			case 'link':
+			case 'icon_picker': {
+				return collectContainerValue( acfField );
+			}
+
 			case 'textarea': {
 				var ta = acfField.querySelector( 'textarea' );
 				return ta ? ta.value : undefined;
@@ -533,11 +1651,247 @@
 				return collectGoogleMapValue( acfField );
 			}
 
+			case 'repeater':
+			case 'flexible_content':
+			case 'group':
+			case 'clone': {
+				return collectContainerValue( acfField );
+			}
+
 			default:
 				return undefined;
 		}
 	}
 
+	/**
+	 * Write a value back into an .acf-field's inputs without triggering
+	 * autosave (used by "take theirs" and offline-queue replay).
+	 *
+	 * @param {Element} acfField  The .acf-field wrapper.
+	 * @param {*}       value     Raw ACF value (string or array).
+	 * @param {Object}  [labels]  Term ID -> name, for taxonomy options that
+	 *                            are no longer in the <select>.
+	 * @returns {boolean}  False when the field type can't be written back.
+	 */
+	function applyFieldValue( acfField, value, labels ) {
+		var type   = ( acfField.dataset.type || '' ).toLowerCase();
+		var values = Array.isArray( value ) ? value.map( String ) : [ value === null || value === undefined ? '' : String( value ) ];
+
+		switch ( type ) {
+			case 'text':
+			case 'email':
+			case 'number':
+			case 'url': {
+				var inp = acfField.querySelector( 'input[type="text"], input[type="email"], input[type="number"], input[type="url"]' );
+				if ( ! inp ) { return false; }
+				inp.value = values[0];
+				return true;
+			}
+
+			case 'textarea': {
+				var ta = acfField.querySelector( 'textarea' );
+				if ( ! ta ) { return false; }
+				ta.value = values[0];
+				return true;
+			}
+
+			case 'wysiwyg': {
+				var wysTA = acfField.querySelector( 'textarea' );
+				if ( ! wysTA ) { return false; }
+				wysTA.value = values[0];
+				if ( window.tinyMCE && wysTA.id && tinyMCE.get( wysTA.id ) ) {
+					tinyMCE.get( wysTA.id ).setContent( values[0] );
+				}
+				return true;
+			}
+
+			case 'select': {
+				var sel = acfField.querySelector( 'select' );
+				if ( ! sel ) { return false; }
+				Array.from( sel.options ).forEach( function ( o ) {
+					o.selected = values.indexOf( o.value ) !== -1;
+				} );
+				return true;
+			}
+
+			case 'radio':
+			case 'checkbox': {
+				acfField.querySelectorAll( 'input[type="radio"], input[type="checkbox"]' ).forEach( function ( box ) {
+					box.checked = values.indexOf( box.value ) !== -1;
+				} );
+				return true;
+			}
+
+			case 'taxonomy': {
+				var taxoSel = acfField.querySelector( 'select' );
+				if ( ! taxoSel ) { return false; }
+				values.forEach( function ( v ) {
+					var exists = Array.from( taxoSel.options ).some( function ( o ) { return o.value === v; } );
+					if ( exists ) { return; }
+					var opt = document.createElement( 'option' );
+					opt.value = v;
+					opt.textContent = v && labels && labels[ v ] ? labels[ v ] : v;
+					taxoSel.insertBefore( opt, v ? null : taxoSel.firstChild );
+				} );
+				Array.from( taxoSel.options ).forEach( function ( o ) {
+					o.selected = values.indexOf( o.value ) !== -1;
+				} );
+				// Let the custom search UI redraw its badges. The flag keeps the
+				// autosave MutationObserver (which fires in a microtask) from
+				// queuing a duplicate save for the options added above.
+				taxoSel._memdirSyncing = true;
+				setTimeout( function () { taxoSel._memdirSyncing = false; }, 0 );
+				taxoSel.dispatchEvent( new Event( 'memdir:sync' ) );
+				return true;
+			}
+
+			case 'true_false': {
+				var tf = acfField.querySelector( 'input[type="checkbox"]' );
+				if ( ! tf ) { return false; }
+				tf.checked = values[0] === '1';
+				var sw = acfField.querySelector( '.acf-switch' );
+				if ( sw ) { sw.classList.toggle( '-on', tf.checked ); }
+				return true;
+			}
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Render a raw field value as short readable text, using the labels of
+	 * the field's own options where the value is a choice key or term ID.
+	 *
+	 * @param {Element} acfField
+	 * @param {*}       value
+	 * @returns {string}
+	 */
+	function formatFieldValue( acfField, value ) {
+		var type = ( acfField.dataset.type || '' ).toLowerCase();
+
+		function choiceLabel( v ) {
+			var text = String( v );
+			acfField.querySelectorAll( 'option, input[type="radio"], input[type="checkbox"]' ).forEach( function ( opt ) {
+				if ( opt.value !== text ) { return; }
+				var label = opt.tagName === 'OPTION' ? opt.textContent : ( opt.closest( 'label' ) || opt.parentElement ).textContent;
+				if ( label && label.trim() ) { text = label.trim(); }
+			} );
+			return text;
+		}
+
+		var text;
+		if ( value === null || value === undefined || value === '' || ( Array.isArray( value ) && ! value.length ) ) {
+			text = '';
+		} else if ( type === 'true_false' ) {
+			text = String( value ) === '1' ? 'Yes' : 'No';
+		} else if ( type === 'repeater' || type === 'flexible_content' || type === 'group' ) {
+			var parts = [];
+			( function flatten( v ) {
+				if ( v && typeof v === 'object' ) {
+					Object.keys( v ).forEach( function ( k ) { if ( k !== 'acf_fc_layout' ) { flatten( v[ k ] ); } } );
+				} else if ( v !== '' && v !== null && v !== undefined ) {
+					parts.push( String( v ) );
+				}
+			}( value ) );
+			text = parts.join( ' · ' );
+		} else if ( Array.isArray( value ) ) {
+			text = value.map( choiceLabel ).join( ', ' );
+		} else if ( typeof value === 'object' ) {
+			text = value.address || Object.keys( value ).map( function ( k ) { return value[ k ]; } ).filter( Boolean ).join( ', ' );
+		} else if ( type === 'select' || type === 'radio' || type === 'taxonomy' ) {
+			text = choiceLabel( value );
+		} else {
+			var tmp = document.createElement( 'div' );
+			tmp.innerHTML = String( value );
+			text = tmp.textContent;
+		}
+
+		text = ( text || '' ).trim();
+		if ( ! text ) { return '(empty)'; }
+		return text.length > 280 ? text.slice( 0, 279 ) + '…' : text;
+	}
+
+	/**
+	 * Show the keep-mine / take-theirs prompt under a field whose save was
+	 * rejected as stale (a 'conflict' result from md_save_section).
+	 *
+	 * @param {Element} acfField  The .acf-field wrapper.
+	 * @param {string}  postId
+	 * @param {string}  fieldKey
+	 * @param {*}       mine      The value this client tried to save.
+	 * @param {Object}  conflict  The field's conflict result: { revision, theirs }.
+	 */
+	function showFieldConflict( acfField, postId, fieldKey, mine, conflict ) {
+		var indicator = getOrCreateIndicator( acfField );
+		setIndicatorState( indicator, 'conflict' );
+
+		var old = acfField.querySelector( '.memdir-field-conflict' );
+		if ( old ) { old.remove(); }
+
+		var box = document.createElement( 'div' );
+		box.className = 'memdir-field-conflict';
+		box.setAttribute( 'role', 'alert' );
+
+		var msg = document.createElement( 'p' );
+		msg.className = 'memdir-field-conflict__message';
+		msg.textContent = 'This field was changed somewhere else since you opened the page.';
+		box.appendChild( msg );
+
+		[ [ 'Yours', mine ], [ 'Theirs', conflict.theirs ] ].forEach( function ( pair ) {
+			var row = document.createElement( 'div' );
+			row.className = 'memdir-field-conflict__value';
+			var label = document.createElement( 'strong' );
+			label.textContent = pair[0] + ': ';
+			var val = document.createElement( 'span' );
+			val.textContent = formatFieldValue( acfField, pair[1] );
+			row.appendChild( label );
+			row.appendChild( val );
+			box.appendChild( row );
+		} );
+
+		var actions = document.createElement( 'div' );
+		actions.className = 'memdir-field-conflict__actions';
+
+		var keepBtn = document.createElement( 'button' );
+		keepBtn.type = 'button';
+		keepBtn.className = 'memdir-field-conflict__btn memdir-field-conflict__btn--mine';
+		keepBtn.textContent = 'Keep mine';
+
+		var takeBtn = document.createElement( 'button' );
+		takeBtn.type = 'button';
+		takeBtn.className = 'memdir-field-conflict__btn memdir-field-conflict__btn--theirs';
+		takeBtn.textContent = 'Take theirs';
+
+		actions.appendChild( keepBtn );
+		actions.appendChild( takeBtn );
+		box.appendChild( actions );
+
+		acfField.appendChild( box );
+
+		keepBtn.addEventListener( 'click', function () {
+			// Acknowledge their revision, then overwrite it.
+			fieldRevisions[ fieldKey ] = conflict.revision;
+			box.remove();
+			saveField( postId, fieldKey, mine, acfField );
+		} );
+
+		takeBtn.addEventListener( 'click', function () {
+			fieldRevisions[ fieldKey ] = conflict.revision;
+			acfField._memdirSavedValue = conflict.theirs;
+			clearSaveJob( 'field:' + fieldKey );
+			if ( applyFieldValue( acfField, conflict.theirs ) ) {
+				box.remove();
+				setIndicatorState( indicator, '' );
+				onFieldSaved( fieldKey, conflict.theirs );
+			} else {
+				msg.textContent = 'Their version is kept. Reload the page to see it here.';
+				actions.remove();
+				setIndicatorState( indicator, '' );
+			}
+		} );
+	}
+
 	/**
 	 * Bind autosave events to a single .acf-field based on its type.
 	 *
@@ -571,8 +1925,9 @@
 			case 'text':
 			case 'email':
 			case 'number':
-			case 'url': {
-				var textInp = acfField.querySelector( 'input[type="text"], input[type="email"], input[type="number"], input[type="url"]' );
+			case 'url':
+			case 'password': {
+				var textInp = acfField.querySelector( 'input[type="text"], input[type="email"], input[type="number"], input[type="url"], input[type="password"]' );
 				if ( ! textInp ) { return; }
 				textInp.addEventListener( 'blur', immediateSave );
 				// Also save on Enter key (prevent form submit).
@@ -644,6 +1999,7 @@
 				var taxoSel = acfField.querySelector( 'select' );
 				if ( ! taxoSel ) { return; }
 				var taxoObserver = new MutationObserver( function () {
+					if ( taxoSel._memdirSyncing ) { return; }
 					debouncedSave( 300 );
 				} );
 				taxoObserver.observe( taxoSel, { childList: true, attributes: true, subtree: true } );
@@ -664,9 +2020,129 @@
 				} );
 				break;
 			}
+
+			case 'date_picker':
+			case 'date_time_picker':
+			case 'time_picker':
+			case 'oembed': {
+				// The picker writes the hidden input and triggers change on it.
+				var pickerInp = getAcfNamedInput( acfField, '' );
+				if ( ! pickerInp ) { return; }
+				onAcfChange( pickerInp, function () { debouncedSave( 300 ); } );
+				break;
+			}
+
+			case 'color_picker': {
+				// Iris fires change continuously while dragging -- wait for it to settle.
+				var colorInp = getAcfNamedInput( acfField, '' );
+				if ( ! colorInp ) { return; }
+				onAcfChange( colorInp, function () { debouncedSave( 800 ); } );
+				break;
+			}
+
+			case 'file': {
+				// The basic uploader posts the file itself, which md_save_section
+				// can't accept -- only the media-library uploader (attachment ID
+				// in a hidden input) can autosave.
+				if ( acfField.querySelector( 'input[type="file"]' ) ) {
+					showUnsupportedFieldWarning( acfField, 'Files added here are not saved automatically.' );
+					return;
+				}
+				var fileInp = getAcfNamedInput( acfField, '' );
+				if ( ! fileInp ) { return; }
+				onAcfChange( fileInp, function () { debouncedSave( 300 ); } );
+				break;
+			}
+
+			case 'link': {
+				acfField.querySelectorAll( 'input[type="hidden"]' ).forEach( function ( linkInp ) {
+					onAcfChange( linkInp, function () { debouncedSave( 300 ); } );
+				} );
+				break;
+			}
+
+			case 'range': {
+				// Slider and number box are kept in sync by ACF; either may commit.
+				acfField.querySelectorAll( 'input[type="range"], input[type="number"]' ).forEach( function ( rangeInp ) {
+					rangeInp.addEventListener( 'change', function () { debouncedSave( 300 ); } );
+				} );
+				break;
+			}
+
+			case 'relationship': {
+				// Picking/removing items rebuilds the .values list.
+				var relValues = acfField.querySelector( '.values' ) || acfField;
+				new MutationObserver( function () { debouncedSave( 300 ); } )
+					.observe( relValues, { childList: true, subtree: true } );
+				break;
+			}
+
+			case 'post_object':
+			case 'page_link':
+			case 'user': {
+				// select2 reports selections via jQuery-triggered change.
+				var objSel = acfField.querySelector( 'select' );
+				if ( ! objSel ) { return; }
+				onAcfChange( objSel, function () { debouncedSave( 300 ); } );
+				break;
+			}
+
+			case 'repeater':
+			case 'flexible_content':
+			case 'group':
+			case 'clone':
+			case 'icon_picker': {
+				// The whole container saves as one value. Sub-field edits bubble
+				// a 'change' event; row add/remove/reorder shows up as DOM
+				// mutations. Both are debounced and deduped against the last
+				// serialized value so ACF's own UI churn doesn't trigger saves.
+				var lastSerialized = JSON.stringify( collectContainerValue( acfField ) );
+
+				var containerSave = function () {
+					clearTimeout( debounceTimer );
+					debounceTimer = setTimeout( function () {
+						var value      = collectContainerValue( acfField );
+						var serialized = JSON.stringify( value );
+						if ( serialized === lastSerialized ) { return; }
+						lastSerialized = serialized;
+						saveField( postId, fieldKey, value, acfField );
+					}, 600 );
+				};
+
+				onAcfChange( acfField, containerSave );
+				new MutationObserver( containerSave ).observe( acfField, { childList: true, subtree: true } );
+
+				// WYSIWYG sub-fields reach this through bindContainerEditors().
+				acfField._memdirContainerSave = containerSave;
+				break;
+			}
+
+			default:
+				showUnsupportedFieldWarning( acfField, 'Changes to this field are not saved automatically.' );
 		}
 	}
 
+	/**
+	 * WYSIWYG sub-fields of containers: TinyMCE edits never reach the
+	 * textarea's change event, so hook each editor ACF initialises to the
+	 * save of the container field holding it. One action serves every
+	 * container.
+	 */
+	function bindContainerEditors() {
+		if ( ! window.acf || typeof acf.addAction !== 'function' ) { return; }
+
+		acf.addAction( 'wysiwyg_tinymce_init', function ( editor, id, init, field ) {
+			var el        = field && field.$el ? field.$el[0] : null;
+			var container = el && el.parentElement ? el.parentElement.closest( '.acf-field[data-key]' ) : null;
+			while ( container && ! container._memdirContainerSave ) {
+				container = container.parentElement ? container.parentElement.closest( '.acf-field[data-key]' ) : null;
+			}
+			if ( container ) {
+				editor.on( 'blur change', container._memdirContainerSave );
+			}
+		} );
+	}
+
 	/**
 	 * Live-update the header title in the DOM when a name field saves.
 	 *
@@ -701,8 +2177,8 @@
 				// Skip fields inside dialogs (header modals manage their own save).
 				if ( acfField.closest( 'dialog' ) ) { return; }
 
-				// Skip sub-fields inside repeaters/groups -- only top-level fields autosave.
-				if ( acfField.parentElement && acfField.parentElement.closest( '.acf-field[data-type="repeater"], .acf-field[data-type="flexible_content"], .acf-field[data-type="group"]' ) ) { return; }
+				// Skip sub-fields inside repeaters/groups -- the container saves them as one value.
+				if ( acfField.parentElement && acfField.parentElement.closest( '.acf-field[data-type="repeater"], .acf-field[data-type="flexible_content"], .acf-field[data-type="group"], .acf-field[data-type="clone"]' ) ) { return; }
 
 				var fieldKey  = acfField.dataset.key  || '';
 				var fieldType = ( acfField.dataset.type || '' ).toLowerCase();
@@ -719,13 +2195,17 @@
 				if ( fieldType === 'button_group' ) { return; }
 
 				// Skip image/gallery fields -- already have dedicated AJAX handlers.
-				if ( fieldType === 'image' || fieldType === 'gallery' || fieldType === 'file' ) { return; }
-				if ( acfField.querySelector( '.memdir-img-uploader, .memdir-gallery-wrap' ) ) { return; }
+				if ( fieldType === 'image' || fieldType === 'gallery' ) { return; }
+				var isContainer = fieldType === 'repeater' || fieldType === 'flexible_content' || fieldType === 'group' || fieldType === 'clone';
+				if ( ! isContainer && acfField.querySelector( '.memdir-img-uploader, .memdir-gallery-wrap' ) ) { return; }
 
 				// Skip tab fields.
 				if ( fieldType === 'tab' || fieldType === 'message' || fieldType === 'accordion' ) { return; }
 
 				bindFieldAutosave( acfField, postId, fieldKey, fieldType );
+
+				// Baseline for undo history -- the value before the first save.
+				acfField._memdirSavedValue = extractFieldValue( acfField );
 			} );
 
 			// Intercept Enter key in text inputs to prevent native form submit.
@@ -738,11 +2218,586 @@
 			} );
 		} );
 
-		// Suppress ACF's beforeunload warning -- all changes save in real time.
+		bindContainerEditors();
+
+		// Turn off ACF's unload warning -- it fires after any change, even a
+		// saved one. The save status bar (4b) guards unload only while
+		// something is actually unsaved.
+		if ( window.acf && window.acf.unload ) { window.acf.unload.active = false; }
 		window.onbeforeunload = null;
 		if ( typeof jQuery !== 'undefined' ) { jQuery( window ).off( 'beforeunload' ); }
 	}
 
+	// -----------------------------------------------------------------------
+	// 4a. Offline save queue
+	//
+	// Field saves that cannot reach the server (offline, network error,
+	// 5xx, non-JSON response) are parked in IndexedDB keyed by
+	// "{postId}:{fieldKey}" so the typed value survives a reload. The queue
+	// is retried with exponential backoff while the page is open, flushed
+	// immediately when the browser comes back online, and replayed on the
+	// next page load. A newer value for the same field replaces the queued
+	// one. Saves the server explicitly rejects (success: false) are not
+	// queued -- retrying them would fail the same way.
+	//
+	// Falls back to an in-memory queue when IndexedDB is unavailable
+	// (private browsing in some browsers): retries still work, reload
+	// persistence does not.
+	// -----------------------------------------------------------------------
+
+	var QUEUE_DB_NAME    = 'memdir';
+	var QUEUE_STORE      = 'saveQueue';
+	var QUEUE_BASE_DELAY = 2000;  // ms -- first retry
+	var QUEUE_MAX_DELAY  = 60000; // ms -- backoff ceiling
+
+	var queueDbPromise  = null;
+	var queueMemory     = {};
+	var queueRetryTimer = null;
+	var queueFlushing   = false;
+	var queueViewEl     = null;
+
+	/**
+	 * Open (or create) the IndexedDB database backing the save queue.
+	 * Resolves to null when IndexedDB is unavailable.
+	 *
+	 * @returns {Promise<IDBDatabase|null>}
+	 */
+	function openQueueDb() {
+		if ( queueDbPromise ) { return queueDbPromise; }
+
+		queueDbPromise = new Promise( function ( resolve ) {
+			var req;
+			try {
+				req = window.indexedDB ? window.indexedDB.open( QUEUE_DB_NAME, 1 ) : null;
+			} catch ( e ) {
+				req = null;
+			}
+			if ( ! req ) { resolve( null ); return; }
+
+			req.onupgradeneeded = function () {
+				req.result.createObjectStore( QUEUE_STORE, { keyPath: 'id' } );
+			};
+			req.onsuccess = function () { resolve( req.result ); };
+			req.onerror   = function () { resolve( null ); };
+			req.onblocked = function () { resolve( null ); };
+		} );
+
+		return queueDbPromise;
+	}
+
+	/**
+	 * Run a single object-store request and resolve with its result.
+	 *
+	 * @param {string}   mode  'readonly' | 'readwrite'
+	 * @param {Function} fn    Receives the IDBObjectStore, returns an IDBRequest.
+	 * @param {Function} fallback  Called instead when IndexedDB is unavailable.
+	 * @returns {Promise}
+	 */
+	function queueRequest( mode, fn, fallback ) {
+		return openQueueDb().then( function ( db ) {
+			if ( ! db ) { return fallback(); }
+			return new Promise( function ( resolve ) {
+				var req;
+				try {
+					req = fn( db.transaction( QUEUE_STORE, mode ).objectStore( QUEUE_STORE ) );
+				} catch ( e ) {
+					resolve( fallback() );
+					return;
+				}
+				req.onsuccess = function () { resolve( req.result ); };
+				req.onerror   = function () { resolve( fallback() ); };
+			} );
+		} );
+	}
+
+	function queueKey( postId, fieldKey ) {
+		return String( postId ) + ':' + fieldKey;
+	}
+
+	/** @returns {Promise<Object[]>}  All queued entries, oldest first. */
+	function queueAll() {
+		return queueRequest( 'readonly', function ( store ) {
+			return store.getAll();
+		}, function () {
+			return Object.keys( queueMemory ).map( function ( k ) { return queueMemory[ k ]; } );
+		} ).then( function ( entries ) {
+			return ( entries || [] ).sort( function ( a, b ) { return a.queuedAt - b.queuedAt; } );
+		} );
+	}
+
+	function queuePut( entry ) {
+		queueMemory[ entry.id ] = entry;
+		return queueRequest( 'readwrite', function ( store ) {
+			return store.put( entry );
+		}, function () {} );
+	}
+
+	function queueDelete( id ) {
+		delete queueMemory[ id ];
+		return queueRequest( 'readwrite', function ( store ) {
+			return store.delete( id );
+		}, function () {} );
+	}
+
+	/**
+	 * Park a field save in the queue, replacing any older value for the field.
+	 *
+	 * @param {string} postId
+	 * @param {string} fieldKey
+	 * @param {*}      value
+	 * @param {number} revision  Revision the edit was based on.
+	 * @returns {Promise}
+	 */
+	function enqueueFieldSave( postId, fieldKey, value, revision ) {
+		return queuePut( {
+			id:       queueKey( postId, fieldKey ),
+			postId:   String( postId ),
+			fieldKey: fieldKey,
+			value:    value,
+			revision: revision || 0,
+			queuedAt: Date.now(),
+			attempts: 0,
+		} ).then( function () {
+			renderSaveQueue();
+			scheduleQueueRetry( 0 );
+		} );
+	}
+
+	/**
+	 * Drop a queued entry once a newer save for the same field has succeeded.
+	 */
+	function dequeueFieldSave( postId, fieldKey ) {
+		var id = queueKey( postId, fieldKey );
+		return queueAll().then( function ( entries ) {
+			var found = entries.some( function ( e ) { return e.id === id; } );
+			if ( ! found ) { return; }
+			return queueDelete( id ).then( renderSaveQueue );
+		} );
+	}
+
+	/**
+	 * Schedule the next flush attempt using exponential backoff.
+	 *
+	 * @param {number} attempts  Failed attempts so far for the stalest entry.
+	 */
+	function scheduleQueueRetry( attempts ) {
+		clearTimeout( queueRetryTimer );
+		if ( navigator.onLine === false ) { return; } // the 'online' event flushes
+		var delay = Math.min( QUEUE_BASE_DELAY * Math.pow( 2, attempts ), QUEUE_MAX_DELAY );
+		queueRetryTimer = setTimeout( flushSaveQueue, delay );
+	}
+
+	/**
+	 * Find the on-page .acf-field for a queued entry (null if not rendered).
+	 */
+	function findQueuedField( entry ) {
+		var section = document.querySelector( '.memdir-section--edit[data-post-id="' + entry.postId + '"]' );
+		return section ? section.querySelector( '.acf-field[data-key="' + entry.fieldKey + '"]' ) : null;
+	}
+
+	/**
+	 * Replay all queued saves. They go out together and coalesce into one
+	 * batched request; entries that fail in transport again stay queued and
+	 * are rescheduled with backoff.
+	 *
+	 * @returns {Promise}
+	 */
+	function flushSaveQueue() {
+		if ( queueFlushing || navigator.onLine === false ) { return Promise.resolve(); }
+		clearTimeout( queueRetryTimer );
+		queueFlushing = true;
+
+		return queueAll().then( function ( entries ) {
+			var stalledAttempts = 0;
+
+			return Promise.all( entries.map( function ( entry ) {
+				var acfField  = findQueuedField( entry );
+				var indicator = acfField ? getOrCreateIndicator( acfField ) : null;
+				if ( indicator ) { setIndicatorState( indicator, 'saving' ); }
+
+				return postFieldSave( entry.postId, entry.fieldKey, entry.value, entry.revision )
+					.then( function ( result ) {
+						if ( result.success ) {
+							if ( acfField ) { acfField._memdirSavedValue = entry.value; }
+							if ( indicator ) { setIndicatorState( indicator, 'saved' ); }
+							clearSaveJob( 'field:' + entry.fieldKey );
+							onFieldSaved( entry.fieldKey, entry.value );
+							scheduleCompleteness();
+							broadcastSync( { type: 'field', fieldKey: entry.fieldKey, value: entry.value, revision: result.revision } );
+						} else if ( result.code === 'conflict' && acfField ) {
+							setSaveJob( 'field:' + entry.fieldKey, 'failed', { message: 'Changed somewhere else', retry: null } );
+							showFieldConflict( acfField, entry.postId, entry.fieldKey, entry.value, result );
+						} else {
+							if ( indicator ) { setIndicatorState( indicator, 'error' ); }
+							setSaveJob( 'field:' + entry.fieldKey, 'failed', {
+								label:   queuedEntryLabel( entry ),
+								el:      acfField,
+								message: result.message || 'Save failed.',
+							} );
+							if ( result.code === 'invalid' && acfField ) { setFieldError( acfField, result.message ); }
+							console.error( 'MemberDirectory: queued save rejected', entry.fieldKey, result );
+						}
+						return queueDelete( entry.id );
+					} )
+					.catch( function () {
+						entry.attempts = ( entry.attempts || 0 ) + 1;
+						stalledAttempts = Math.max( stalledAttempts, entry.attempts );
+						if ( indicator ) { setIndicatorState( indicator, 'queued' ); }
+						return queuePut( entry );
+					} );
+			} ) ).then( function () {
+				queueFlushing = false;
+				renderSaveQueue();
+				if ( stalledAttempts ) { scheduleQueueRetry( stalledAttempts ); }
+			} );
+		} ).catch( function ( err ) {
+			queueFlushing = false;
+			console.error( 'MemberDirectory: save queue flush failed', err );
+		} );
+	}
+
+	/**
+	 * Human label for a queued entry: the ACF label when the field is on
+	 * this page, otherwise the raw field key.
+	 */
+	function queuedEntryLabel( entry ) {
+		var acfField = findQueuedField( entry );
+		return acfField ? getFieldLabelText( acfField ) : entry.fieldKey;
+	}
+
+	/**
+	 * Render the page-level "pending saves" panel. Hidden when the queue is
+	 * empty; otherwise lists each waiting field with a Retry now button.
+	 */
+	function renderSaveQueue() {
+		if ( ! queueViewEl ) { return; }
+
+		queueAll().then( function ( entries ) {
+			var summary = queueViewEl.querySelector( '.memdir-save-queue__summary' );
+			var list    = queueViewEl.querySelector( '.memdir-save-queue__list' );
+			var retry   = queueViewEl.querySelector( '.memdir-save-queue__retry' );
+
+			queueViewEl.hidden = entries.length === 0;
+			queueViewEl.classList.toggle( 'memdir-save-queue--offline', navigator.onLine === false );
+
+			summary.textContent = entries.length + ( entries.length === 1 ? ' change' : ' changes' )
+				+ ' waiting to save'
+				+ ( navigator.onLine === false ? ' — offline' : '' );
+
+			list.innerHTML = '';
+			entries.forEach( function ( entry ) {
+				var li = document.createElement( 'li' );
+				li.className = 'memdir-save-queue__item';
+				li.textContent = queuedEntryLabel( entry );
+				if ( entry.attempts ) {
+					var meta = document.createElement( 'span' );
+					meta.className = 'memdir-save-queue__attempts';
+					meta.textContent = entry.attempts + ( entry.attempts === 1 ? ' retry' : ' retries' );
+					li.appendChild( meta );
+				}
+				list.appendChild( li );
+			} );
+
+			retry.disabled = navigator.onLine === false || queueFlushing;
+		} );
+	}
+
+	/**
+	 * Build the pending-saves panel, wire online/offline listeners, and
+	 * replay anything left over from a previous page load.
+	 */
+	function initSaveQueue() {
+		if ( document.querySelector( '.memdir-section--edit' ) ) {
+			queueViewEl = document.createElement( 'details' );
+			queueViewEl.className = 'memdir-save-queue';
+			queueViewEl.hidden = true;
+			queueViewEl.innerHTML =
+				'<summary class="memdir-save-queue__summary"></summary>' +
+				'<ul class="memdir-save-queue__list"></ul>' +
+				'<button type="button" class="memdir-save-queue__retry">Retry now</button>';
+			document.body.appendChild( queueViewEl );
+
+			queueViewEl.querySelector( '.memdir-save-queue__retry' ).addEventListener( 'click', function () {
+				flushSaveQueue();
+				renderSaveQueue();
+			} );
+		}
+
+		window.addEventListener( 'online', function () {
+			renderSaveQueue();
+			flushSaveQueue();
+		} );
+		window.addEventListener( 'offline', function () {
+			clearTimeout( queueRetryTimer );
+			renderSaveQueue();
+		} );
+
+		queueAll().then( function ( entries ) {
+			entries.forEach( function ( entry ) {
+				var acfField = findQueuedField( entry );
+				if ( ! acfField ) { return; }
+				applyFieldValue( acfField, entry.value );
+				setIndicatorState( getOrCreateIndicator( acfField ), 'queued' );
+				setSaveJob( 'field:' + entry.fieldKey, 'queued', { label: getFieldLabelText( acfField ), el: acfField } );
+			} );
+			renderSaveQueue();
+			if ( entries.length ) { flushSaveQueue(); }
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 4b. Save status bar
+	//
+	// One sticky, page-level summary of every save in flight or failed:
+	// field autosaves (saveField), image uploads and PMP saves. Per-field
+	// indicators are easy to miss once you switch tab or pill; this bar is
+	// not. Jobs are keyed by what they save ('field:<key>', 'pmp:...',
+	// 'upload:<key>') so a newer save or a retry replaces the older job. A
+	// successful save drops its job; a failure stays listed until it
+	// succeeds, and clicking it reveals the field (pill, tab, scroll, focus).
+	//
+	// The bar also owns the beforeunload guard: the browser warns only while
+	// a save is pending, queued or failed, or the focused field has edits
+	// that have not been sent yet.
+	// -----------------------------------------------------------------------
+
+	var saveJobs     = {};   // id -> { state: 'pending'|'queued'|'failed', label, message, el, retry }
+	var saveStatusEl = null;
+
+	/**
+	 * Create or update a tracked save.
+	 *
+	 * @param {string} id     Stable job key.
+	 * @param {string} state  'pending' | 'queued' | 'failed'.
+	 * @param {Object} [info] { label, message, el, retry } -- merged into the job.
+	 */
+	function setSaveJob( id, state, info ) {
+		var job = saveJobs[ id ] || {};
+		Object.keys( info || {} ).forEach( function ( k ) { job[ k ] = info[ k ]; } );
+		job.state = state;
+		saveJobs[ id ] = job;
+		renderSaveStatus();
+	}
+
+	function clearSaveJob( id ) {
+		if ( ! saveJobs[ id ] ) { return; }
+		delete saveJobs[ id ];
+		renderSaveStatus();
+	}
+
+	/**
+	 * Track a one-shot AJAX save (upload, PMP) from request to response.
+	 * Expects the usual { success, data: { message } } JSON body.
+	 *
+	 * @param {string}  id       Stable job key.
+	 * @param {Object}  info     { label, el, retry }.
+	 * @param {Promise} request  Resolves with the parsed JSON response.
+	 * @returns {Promise}  The same response (rejections are re-thrown).
+	 */
+	function trackSaveRequest( id, info, request ) {
+		setSaveJob( id, 'pending', info );
+		return request.then( function ( res ) {
+			if ( res && res.success ) {
+				clearSaveJob( id );
+				scheduleCompleteness(); // uploads change what's filled
+			} else {
+				setSaveJob( id, 'failed', { message: ( res && res.data && res.data.message ) ? res.data.message : 'Save failed.' } );
+			}
+			return res;
+		}, function ( err ) {
+			setSaveJob( id, 'failed', { message: 'Network error.' } );
+			throw err;
+		} );
+	}
+
+	/**
+	 * The visible label text of an ACF field, without the required marker.
+	 *
+	 * @param {Element} acfField
+	 * @returns {string}
+	 */
+	function getFieldLabelText( acfField ) {
+		var label = acfField.querySelector( '.acf-label label' );
+		var text  = label ? label.textContent.replace( /\*\s*$/, '' ).trim() : '';
+		return text || acfField.dataset.key || '';
+	}
+
+	/**
+	 * Bring an element into view wherever it lives: activate its pill (or
+	 * the pill whose header it is in) and the tab holding its field, then
+	 * scroll to it, focus its first control and flash it.
+	 *
+	 * @param {Element} el
+	 */
+	function revealField( el ) {
+		if ( ! el || ! el.isConnected ) { return; }
+
+		var headerWrap = el.closest( '.memdir-header-wrap' );
+		var section    = el.closest( '.memdir-section' );
+		var dialog     = el.closest( 'dialog' );
+
+		// Header fields are edited in modals (initHeaderEditing()) -- open
+		// the one holding this field rather than its hidden tab.
+		var topField = el.closest( '.acf-field[data-key]' );
+		while ( topField && topField.parentElement && topField.parentElement.closest( '.acf-field[data-key]' ) ) {
+			topField = topField.parentElement.closest( '.acf-field[data-key]' );
+		}
+		var trigger = topField ? headerFieldTriggers[ topField.dataset.key ] : null;
+
+		if ( dialog && dialog.open ) {
+			focusAndFlash( el );
+			return;
+		}
+		if ( trigger ) {
+			if ( section && section.dataset.section ) {
+				activatePill( section.dataset.section );
+				pushNavState( section );
+			}
+			trigger.click();
+			if ( dialog && dialog.open ) { focusAndFlash( el ); }
+			return;
+		}
+
+		if ( headerWrap ) {
+			activatePill( headerWrap.dataset.header || 'all' );
+		} else if ( section && section.dataset.section ) {
+			activatePill( section.dataset.section );
+
+			var acfField = el.closest( '.memdir-field-content .acf-field[data-key]' );
+			while ( acfField && acfField.parentElement && acfField.parentElement.closest( '.memdir-field-content .acf-field[data-key]' ) ) {
+				acfField = acfField.parentElement.closest( '.memdir-field-content .acf-field[data-key]' );
+			}
+			if ( acfField ) {
+				section.querySelectorAll( '.memdir-section-controls__tab-item' ).forEach( function ( btn ) {
+					var keys = [];
+					try { keys = JSON.parse( btn.dataset.fieldKeys || '[]' ); } catch ( e ) { keys = []; }
+					if ( keys.indexOf( acfField.dataset.key ) !== -1 ) { activateTab( section, btn ); }
+				} );
+			}
+		}
+
+		pushNavState( section );
+		el.scrollIntoView( { behavior: 'smooth', block: 'center' } );
+		focusAndFlash( el );
+	}
+
+	/**
+	 * Focus an element's first control and flash it.
+	 *
+	 * @param {Element} el
+	 */
+	function focusAndFlash( el ) {
+		var focusable = el.matches( 'input, select, textarea, button' )
+			? el
+			: el.querySelector( 'input:not([type="hidden"]), select, textarea, [contenteditable="true"], button' );
+		if ( focusable ) { focusable.focus( { preventScroll: true } ); }
+
+		el.classList.remove( 'memdir-reveal-flash' );
+		void el.offsetWidth; // restart the animation
+		el.classList.add( 'memdir-reveal-flash' );
+		setTimeout( function () { el.classList.remove( 'memdir-reveal-flash' ); }, 1600 );
+	}
+
+	function renderSaveStatus() {
+		if ( ! saveStatusEl ) { return; }
+
+		var byState = { pending: [], queued: [], failed: [] };
+		Object.keys( saveJobs ).forEach( function ( id ) {
+			byState[ saveJobs[ id ].state ].push( saveJobs[ id ] );
+		} );
+
+		var text  = saveStatusEl.querySelector( '.memdir-save-status__text' );
+		var retry = saveStatusEl.querySelector( '.memdir-save-status__retry' );
+		var list  = saveStatusEl.querySelector( '.memdir-save-status__failures' );
+		var parts = [];
+
+		if ( byState.failed.length ) {
+			parts.push( byState.failed.length + ( byState.failed.length === 1 ? ' field failed' : ' fields failed' ) );
+		}
+		if ( byState.pending.length ) {
+			parts.push( 'Saving ' + byState.pending.length + '\u2026' );
+		}
+		if ( byState.queued.length ) {
+			parts.push( byState.queued.length + ' waiting to sync' );
+		}
+
+		saveStatusEl.dataset.state = byState.failed.length ? 'failed'
+			: byState.pending.length ? 'saving'
+			: byState.queued.length ? 'queued'
+			: 'saved';
+		text.textContent = parts.length ? parts.join( ' \u00b7 ' ) : 'All changes saved';
+
+		retry.hidden = ! byState.failed.some( function ( job ) { return typeof job.retry === 'function'; } );
+
+		list.innerHTML = '';
+		byState.failed.forEach( function ( job ) {
+			var li  = document.createElement( 'li' );
+			var btn = document.createElement( 'button' );
+			btn.type = 'button';
+			btn.className = 'memdir-save-status__failure';
+			btn.textContent = ( job.label || 'Change' ) + ( job.message ? ' \u2014 ' + job.message : '' );
+			btn.addEventListener( 'click', function () { revealField( job.el ); } );
+			li.appendChild( btn );
+			list.appendChild( li );
+		} );
+		list.hidden = ! byState.failed.length;
+	}
+
+	/**
+	 * Whether leaving the page now would lose something.
+	 *
+	 * @returns {boolean}
+	 */
+	function hasUnsavedChanges() {
+		if ( Object.keys( saveBatches ).length ) { return true; }
+
+		// A failed upload loses nothing by leaving -- the file is still on disk.
+		var pendingJob = Object.keys( saveJobs ).some( function ( id ) {
+			return id.indexOf( 'upload:' ) !== 0 || saveJobs[ id ].state !== 'failed';
+		} );
+		if ( pendingJob ) { return true; }
+
+		// Typing not yet sent (text fields save on blur / after a pause).
+		var active   = document.activeElement;
+		var acfField = active && active.closest ? active.closest( '.acf-field[data-key]' ) : null;
+		if ( acfField && '_memdirSavedValue' in acfField ) {
+			return JSON.stringify( extractFieldValue( acfField ) ) !== JSON.stringify( acfField._memdirSavedValue );
+		}
+		return false;
+	}
+
+	function initSaveStatus() {
+		var sticky = document.querySelector( '.memdir-sticky' );
+		if ( ! sticky || ! document.querySelector( '.memdir-section--edit' ) ) { return; }
+
+		saveStatusEl = document.createElement( 'div' );
+		saveStatusEl.className = 'memdir-save-status';
+		saveStatusEl.innerHTML =
+			'<div class="memdir-save-status__bar">' +
+				'<span class="memdir-save-status__dot" aria-hidden="true"></span>' +
+				'<span class="memdir-save-status__text" role="status" aria-live="polite"></span>' +
+				'<button type="button" class="memdir-save-status__retry" hidden>Retry all</button>' +
+			'</div>' +
+			'<ul class="memdir-save-status__failures" hidden></ul>';
+		sticky.appendChild( saveStatusEl );
+
+		saveStatusEl.querySelector( '.memdir-save-status__retry' ).addEventListener( 'click', function () {
+			Object.keys( saveJobs ).forEach( function ( id ) {
+				var job = saveJobs[ id ];
+				if ( job.state === 'failed' && typeof job.retry === 'function' ) { job.retry(); }
+			} );
+			if ( navigator.onLine !== false ) { flushSaveQueue(); }
+		} );
+
+		window.addEventListener( 'beforeunload', function ( e ) {
+			if ( ! hasUnsavedChanges() ) { return; }
+			e.preventDefault();
+			e.returnValue = ''; // required by some browsers to show the prompt
+		} );
+
+		renderSaveStatus();
+	}
+
 	// -----------------------------------------------------------------------
 	// 5. Right panel controls
 	//
@@ -797,6 +2852,7 @@
 						// correctly (enables section, reorders pills, swaps header).
 						// The disabled section may not exist in the DOM at all, so a
 						// JS-only update is not reliable.
+						broadcastSync( { type: 'primary', sectionKey: sectionKey } );
 						window.onbeforeunload = null;
 						if ( typeof jQuery !== 'undefined' ) { jQuery( window ).off( 'beforeunload' ); }
 						var reloadUrl = new URL( window.location.href );
@@ -846,13 +2902,21 @@
 					formData.set( 'post_id', postId );
 					formData.set( 'pmp',     pmp );
 
-					fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
-						.then( function ( r ) { return r.json(); } )
+					var request = fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
+						.then( function ( r ) { return r.json(); } );
+
+					trackSaveRequest( 'pmp:global', {
+						label: 'Global default visibility',
+						el:    globalDropdown,
+						retry: function () { opt.click(); },
+					}, request )
 						.then( function ( data ) {
 							if ( ! data.success ) {
 								console.error( 'MemberDirectory: global PMP AJAX error', data );
 								updatePmpDropdown( globalDropdown, prevPmp );
 								cascadeGlobalPmpToSections( prevPmp );
+							} else {
+								broadcastSync( { type: 'pmp', target: { context: 'global', key: '' }, pmp: pmp } );
 							}
 						} )
 						.catch( function ( err ) {
@@ -902,7 +2966,7 @@
 				if ( nav ) {
 					var pill = nav.querySelector( '.memdir-pill[data-section="' + sectionKey + '"]' );
 					if ( pill ) {
-						pill.classList.toggle( 'memdir-pill--disabled', ! enabled );
+						setPillDisabled( pill, ! enabled );
 					}
 					updateAllSectionsBadge( nav );
 				}
@@ -919,9 +2983,12 @@
 	 * - Moves the new primary pill to immediately after the All Sections pill.
 	 * - Updates data-primary-section on the nav and on .memdir-sticky.
 	 *
-	 * @param {string} newPrimaryKey  Section key of the new primary section.
+	 * @param {string}  newPrimaryKey  Section key of the new primary section.
+	 * @param {boolean} [fromOtherTab] The change was saved in another tab (live
+	 *                                 sync): don't persist anything and keep
+	 *                                 the current pill active.
 	 */
-	function updatePrimarySection( newPrimaryKey ) {
+	function updatePrimarySection( newPrimaryKey, fromOtherTab ) {
 		var nav        = document.querySelector( '.memdir-pills' );
 		var allPill    = nav ? nav.querySelector( '.memdir-pill--all' ) : null;
 		var oldPrimaryKey = nav ? ( nav.dataset.primarySection || '' ) : '';
@@ -949,7 +3016,7 @@
 		// Primary sections are always enabled. If the promoted pill was previously
 		// disabled, clear that state, show its section, update the badge, and persist.
 		if ( newPrimaryPill.classList.contains( 'memdir-pill--disabled' ) ) {
-			newPrimaryPill.classList.remove( 'memdir-pill--disabled' );
+			setPillDisabled( newPrimaryPill, false );
 
 			var newPrimarySection = document.querySelector(
 				'.memdir-section[data-section="' + newPrimaryKey + '"]'
@@ -959,7 +3026,7 @@
 			}
 
 			var postId = nav.dataset.postId || '';
-			if ( postId ) {
+			if ( postId && ! fromOtherTab ) {
 				saveSectionEnabled( postId, newPrimaryKey, true );
 			}
 
@@ -971,8 +3038,11 @@
 			oldPrimaryPill.classList.remove( 'memdir-pill--primary' );
 		}
 
-		// Move new primary pill to first position (right after All Sections pill).
-		nav.insertBefore( newPrimaryPill, allPill.nextSibling );
+		// Move new primary pill to first position (right after All Sections
+		// pill) -- unless the author has set their own section order.
+		if ( nav.dataset.customOrder !== '1' ) {
+			allPill.parentNode.insertBefore( newPrimaryPill, allPill.nextSibling );
+		}
 
 		// Record the new primary on both the nav and the sticky wrapper so
 		// swapHeader() reads the updated value immediately.
@@ -982,6 +3052,17 @@
 			sticky.dataset.primarySection = newPrimaryKey;
 		}
 
+		document.querySelectorAll( '.memdir-panel__primary-btn' ).forEach( function ( btn ) {
+			btn.classList.toggle( 'is-active', btn.dataset.sectionKey === newPrimaryKey );
+		} );
+
+		if ( fromOtherTab ) {
+			// Re-apply the current pill so an "All sections" header follows the new primary.
+			var activePill = nav.querySelector( '.memdir-pill--active' );
+			activatePill( activePill ? ( activePill.dataset.section || 'all' ) : 'all' );
+			return;
+		}
+
 		// Navigate to the new primary so it becomes the active single-section view.
 		activatePill( newPrimaryKey );
 	}
@@ -1043,7 +3124,10 @@
 			method:      'POST',
 			credentials: 'same-origin',
 			body:        formData,
-		} ).then( function () {
+		} ).then( function ( response ) {
+			if ( response.ok ) {
+				broadcastSync( { type: 'toggle', sectionKey: sectionKey, enabled: enabled } );
+			}
 			// Reload so conditional tabs in other sections update.
 			window.location.reload();
 		} ).catch( function () {
@@ -1057,8 +3141,100 @@
 	// Priority order on DOMContentLoaded:
 	//   1. URL param ?active_section={key} -- post-save reloads pass this.
 	//   2. Primary section key -- default active pill (not 'all').
+	//
+	// The URL is also the navigation history. A pill or tab click pushes
+	// ?active_section={key}&active_tab={tab label} (plus tab_section={key}
+	// when the tab was picked in the All view), so Back/Forward step
+	// through sections and tabs and every one of them is a shareable link.
+	// popstate re-applies whatever the restored URL names; a URL without
+	// params means the page's defaults (primary pill, first tabs).
 	// -----------------------------------------------------------------------
 
+	/**
+	 * Pill and tab named by the current URL.
+	 *
+	 * @returns {{ section: string, tab: string, tabSection: string }}
+	 */
+	function readNavState() {
+		var params  = new URLSearchParams( window.location.search );
+		var section = params.get( 'active_section' ) || '';
+		return {
+			section:    section,
+			tab:        params.get( 'active_tab' ) || '',
+			tabSection: params.get( 'tab_section' ) || ( section !== 'all' ? section : '' ),
+		};
+	}
+
+	/**
+	 * The tab button a nav state selects in a section, if any.
+	 *
+	 * @param {Element} section   A .memdir-section--edit.
+	 * @param {Object}  navState  From readNavState().
+	 * @returns {Element|null}
+	 */
+	function findNavTabButton( section, navState ) {
+		if ( ! navState.tab || section.dataset.section !== navState.tabSection ) { return null; }
+
+		var match = null;
+		section.querySelectorAll( '.memdir-section-controls__tab-item' ).forEach( function ( btn ) {
+			if ( ( btn.dataset.tab || btn.textContent.trim() ) === navState.tab ) { match = btn; }
+		} );
+		return match;
+	}
+
+	/**
+	 * Push the current pill (and a section's active tab) onto the browser
+	 * history. Called only for user navigation -- programmatic activatePill()
+	 * calls (restore, popstate, live sync) must not add entries.
+	 *
+	 * @param {Element} [tabSection]  Section whose active tab to record;
+	 *                                defaults to the active single section.
+	 */
+	function pushNavState( tabSection ) {
+		var activePill = document.querySelector( '.memdir-pill--active' );
+		var sectionKey = activePill ? ( activePill.dataset.section || 'all' ) : 'all';
+
+		if ( ! tabSection && sectionKey !== 'all' ) {
+			tabSection = document.querySelector( '.memdir-section--edit[data-section="' + sectionKey + '"]' );
+		}
+		var tabBtn = tabSection ? tabSection.querySelector( '.memdir-section-controls__tab-item.is-active' ) : null;
+
+		var url = new URL( window.location.href );
+		url.searchParams.delete( '_t' ); // cache-buster from post-save reloads
+		url.searchParams.set( 'active_section', sectionKey );
+		url.searchParams.delete( 'active_tab' );
+		url.searchParams.delete( 'tab_section' );
+		if ( tabBtn ) {
+			url.searchParams.set( 'active_tab', tabBtn.dataset.tab || tabBtn.textContent.trim() );
+			if ( sectionKey === 'all' ) {
+				url.searchParams.set( 'tab_section', tabSection.dataset.section || '' );
+			}
+		}
+
+		if ( url.href !== window.location.href ) {
+			history.pushState( { memdirNav: true }, '', url.href );
+		}
+	}
+
+	/**
+	 * Back/Forward: re-apply the pill and tab named by the restored URL.
+	 */
+	function initNavHistory() {
+		window.addEventListener( 'popstate', function () {
+			var navState = readNavState();
+
+			document.querySelectorAll( '.memdir-section--edit' ).forEach( function ( section ) {
+				var first = section.querySelector( '.memdir-section-controls__tab-item' );
+				if ( first ) { activateTab( section, findNavTabButton( section, navState ) || first ); }
+			} );
+
+			restoreState();
+
+			var activePill = document.querySelector( '.memdir-pill--active' );
+			if ( activePill ) { announceSection( activePill.dataset.section || 'all' ); }
+		} );
+	}
+
 	/**
 	 * Hide pills whose section was not rendered by PHP (empty or PMP-blocked).
 	 *
@@ -1142,12 +3318,34 @@
 	// -----------------------------------------------------------------------
 
 	var PMP_TRIGGER_LABELS = {
-		'inherit': 'Inherit',
-		'public':  'Public',
-		'member':  'Members',
-		'private': 'Private',
+		'inherit':     'Inherit',
+		'public':      'Public',
+		'member':      'Members',
+		'trusted':     'Trust Network',
+		'connections': 'Connections',
+		'private':     'Private',
+		'mixed':       'Mixed',   // bulk dropdowns (9a) over fields that differ
 	};
 
+	/**
+	 * Admin-defined audiences, value => label (PmpResolver::get_audiences()),
+	 * e.g. { audience_pro: 'Pro members' }. Offered after 'member' via
+	 * pmpLevels; labelled here.
+	 */
+	var PMP_AUDIENCES = ( window.mdAjax && window.mdAjax.pmpAudiences ) || {};
+
+	Object.keys( PMP_AUDIENCES ).forEach( function ( value ) {
+		PMP_TRIGGER_LABELS[ value ] = PMP_AUDIENCES[ value ];
+	} );
+
+	/**
+	 * Options for JS-built field dropdowns: inherit plus the levels this
+	 * site offers (PmpResolver::levels() -- 'connections' needs BuddyBoss).
+	 */
+	var PMP_FIELD_OPTIONS = [ 'inherit' ].concat(
+		( window.mdAjax && window.mdAjax.pmpLevels ) || [ 'public', 'member', 'private' ]
+	);
+
 	function togglePmpDropdown( dropdown, open ) {
 		var isOpen = dropdown.classList.contains( 'memdir-pmp-dropdown--open' );
 		var next   = ( typeof open === 'boolean' ) ? open : ! isOpen;
@@ -1184,6 +3382,7 @@
 		dropdown.querySelectorAll( '.memdir-pmp-dropdown__option' ).forEach( function ( opt ) {
 			opt.setAttribute( 'aria-selected', opt.dataset.pmp === pmp ? 'true' : 'false' );
 		} );
+		schedulePmpRefresh(); // every PMP change, revert or sync passes through here
 	}
 
 	function buildPmpDropdown( currentPmp, options ) {
@@ -1259,7 +3458,7 @@
 			return;
 		}
 
-		var options = Array.from( openDd.querySelectorAll( '.memdir-pmp-dropdown__option' ) );
+		var options = Array.from( openDd.querySelectorAll( '.memdir-pmp-dropdown__option, .memdir-pmp-dropdown__schedule' ) );
 		var focused = document.activeElement;
 		var idx     = options.indexOf( focused );
 
@@ -1279,11 +3478,17 @@
 
 	/** Human-readable labels matching the PHP $pmp_labels array. */
 	var PMP_LABELS = {
-		'public':  'Public',
-		'member':  'Members only',
-		'private': 'Private',
+		'public':      'Public',
+		'member':      'Members only',
+		'trusted':     'Trust Network',
+		'connections': 'Connections',
+		'private':     'Private',
 	};
 
+	Object.keys( PMP_AUDIENCES ).forEach( function ( value ) {
+		PMP_LABELS[ value ] = PMP_AUDIENCES[ value ];
+	} );
+
 	/**
 	 * Wire up PMP button clicks for each edit-mode section.
 	 */
@@ -1334,14 +3539,23 @@
 					formData.set( 'section_key', sectionKey );
 					formData.set( 'pmp',         pmp );
 
-					fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
-						.then( function ( r ) { return r.json(); } )
+					var request = fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
+						.then( function ( r ) { return r.json(); } );
+					var titleEl = controls.querySelector( '.memdir-section-controls__title' );
+
+					trackSaveRequest( 'pmp:section:' + sectionKey, {
+						label: ( titleEl ? titleEl.textContent.trim() : sectionKey ) + ' visibility',
+						el:    dropdown,
+						retry: function () { opt.click(); },
+					}, request )
 						.then( function ( data ) {
 							if ( ! data.success ) {
 								console.error( 'MemberDirectory: section PMP AJAX error', data );
 								updatePmpDropdown( dropdown, prevPmp );
 								if ( status ) { updateSectionPmpStatus( status, prevPmp ); }
 								refreshSectionFieldPmpEyebrows( section );
+							} else {
+								broadcastSync( { type: 'pmp', target: { context: 'section', key: sectionKey }, pmp: pmp } );
 							}
 						} )
 						.catch( function ( err ) {
@@ -1448,26 +3662,37 @@
 	 * @returns {string}
 	 */
 	function computeFieldPmpStatus( fieldPmpEl ) {
-		var storedPmp  = fieldPmpEl.dataset.storedPmp || 'inherit';
 		var fieldLabel = fieldPmpEl.dataset.fieldLabel || '';
+		var resolved   = resolveFieldPmp( fieldPmpEl.closest( '.memdir-section--edit' ), fieldPmpEl.dataset.storedPmp );
+		var prefix     = { field: 'Field override: ', section: 'Section: ', global: 'Global: ' }[ resolved.source ];
+
+		return ( fieldLabel ? fieldLabel + ' · ' : '' ) + prefix + ( PMP_LABELS[ resolved.pmp ] || resolved.pmp );
+	}
 
-		if ( storedPmp !== 'inherit' ) {
-			return ( fieldLabel ? fieldLabel + ' · ' : '' ) + 'Field override: ' + ( PMP_LABELS[ storedPmp ] || storedPmp );
+	/**
+	 * Walk the waterfall (field -> section -> global) for one field, the
+	 * same way PmpResolver::can_view() does. Reads the section and global
+	 * dropdowns live, so pending changes count.
+	 *
+	 * @param {Element|null} section    The .memdir-section--edit element.
+	 * @param {string}       storedPmp  The field's own level ('inherit' if none).
+	 * @returns {Object}  { pmp, source: 'field'|'section'|'global' }
+	 */
+	function resolveFieldPmp( section, storedPmp ) {
+		if ( storedPmp && storedPmp !== 'inherit' ) {
+			return { pmp: storedPmp, source: 'field' };
 		}
 
-		// Inherit from section -- read the currently active section PMP button.
-		var section          = fieldPmpEl.closest( '.memdir-section--edit' );
 		var sectionDropdown = section
 			? section.querySelector( '.memdir-section-controls .memdir-pmp-dropdown' )
 			: null;
 		var sectionPmp = sectionDropdown ? ( sectionDropdown.dataset.pmp || 'inherit' ) : 'inherit';
 
 		if ( sectionPmp !== 'inherit' ) {
-			return ( fieldLabel ? fieldLabel + ' · ' : '' ) + 'Section: ' + ( PMP_LABELS[ sectionPmp ] || sectionPmp );
+			return { pmp: sectionPmp, source: 'section' };
 		}
 
-		// Inherit from global.
-		return ( fieldLabel ? fieldLabel + ' · ' : '' ) + 'Global: ' + ( PMP_LABELS[ getGlobalPmp() ] || 'Public' );
+		return { pmp: getGlobalPmp(), source: 'global' };
 	}
 
 	/**
@@ -1521,14 +3746,15 @@
 				var wrap = document.createElement( 'div' );
 				wrap.className            = 'memdir-field-pmp';
 				wrap.dataset.fieldKey     = fieldKey;
-				wrap.dataset.companionKey = companionKey;
-				wrap.dataset.storedPmp    = storedPmp;
+				wrap.dataset.companionKey  = companionKey;
+				wrap.dataset.companionName = companionName;
+				wrap.dataset.storedPmp     = storedPmp;
 
 				var labelEl = fieldEl.querySelector( '.acf-label label' );
 				wrap.dataset.fieldLabel = labelEl ? labelEl.textContent.trim().replace( /\s*\*$/, '' ) : '';
 
 				// Build dropdown.
-				var dropdown = buildPmpDropdown( storedPmp, [ 'inherit', 'public', 'member', 'private' ] );
+				var dropdown = buildPmpDropdown( storedPmp, PMP_FIELD_OPTIONS );
 				wrap.appendChild( dropdown );
 
 				// Status eyebrow.
@@ -1576,10 +3802,18 @@
 						formData.set( 'companion_name', companionName );
 						formData.set( 'pmp',            pmp );
 
-						fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
-							.then( function ( r ) { return r.json(); } )
+						var request = fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
+							.then( function ( r ) { return r.json(); } );
+
+						trackSaveRequest( 'pmp:field:' + fieldKey, {
+							label: ( wrap.dataset.fieldLabel || fieldKey ) + ' visibility',
+							el:    fieldEl,
+							retry: function () { opt.click(); },
+						}, request )
 							.then( function ( data ) {
 								if ( data.success ) {
+									broadcastSync( { type: 'pmp', target: { context: 'field', key: fieldKey }, pmp: pmp } );
+									refreshBulkPmp( section );
 									var savedText = statusSpan.textContent;
 									statusSpan.textContent = '✓ Saved';
 									statusSpan.classList.add( 'memdir-field-pmp__status--saved' );
@@ -1607,9 +3841,235 @@
 	}
 
 	// -----------------------------------------------------------------------
-	// 10. Sticky section controls
+	// 9a. Bulk field PMP
 	//
-	// The section controls column needs to stick just below the sticky header
+	// Two extra dropdowns under the section PMP in each section's controls:
+	// "All in <active tab>" and "All in section". Picking a level sets every
+	// field PMP control in that scope at once (optimistic, like 9), saves
+	// them in one memdir_ajax_save_field_pmp_bulk request and refreshes the
+	// eyebrows. Each dropdown shows the level its fields share, or "Mixed".
+	//
+	// A bulk change is one undo step (kind 'pmp_bulk', see 12) and goes to
+	// other tabs as per-field 'pmp' sync messages (see 15).
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The field PMP controls in a bulk scope.
+	 *
+	 * @param {Element} section  The .memdir-section--edit element.
+	 * @param {string}  scope    'tab' (the active tab) | 'section'.
+	 * @returns {Element[]}  .memdir-field-pmp wrappers.
+	 */
+	function getBulkPmpWraps( section, scope ) {
+		var buttons = scope === 'tab'
+			? section.querySelectorAll( '.memdir-section-controls__tab-item.is-active' )
+			: section.querySelectorAll( '.memdir-section-controls__tab-item' );
+		var wraps = [];
+
+		Array.from( buttons ).forEach( function ( btn ) {
+			getTabFields( section, btn ).forEach( function ( acfField ) {
+				var wrap = acfField.querySelector( '.memdir-field-pmp[data-field-key="' + acfField.dataset.key + '"]' );
+				if ( wrap && wraps.indexOf( wrap ) === -1 ) { wraps.push( wrap ); }
+			} );
+		} );
+
+		return wraps;
+	}
+
+	/**
+	 * Set a field PMP control's level in the UI only.
+	 *
+	 * @param {Element} wrap  A .memdir-field-pmp wrapper.
+	 * @param {string}  pmp
+	 */
+	function setFieldPmpControl( wrap, pmp ) {
+		var dropdown = wrap.querySelector( '.memdir-pmp-dropdown' );
+		var statusEl = wrap.querySelector( '.memdir-field-pmp__status' );
+		wrap.dataset.storedPmp = pmp;
+		if ( dropdown ) { updatePmpDropdown( dropdown, pmp ); }
+		if ( statusEl ) { statusEl.textContent = computeFieldPmpStatus( wrap ); }
+	}
+
+	/**
+	 * Sync a section's bulk dropdowns with its field controls: shared level
+	 * (or "Mixed"), the active tab's name, hidden when a scope has no fields.
+	 *
+	 * @param {Element} section  The .memdir-section--edit element.
+	 */
+	function refreshBulkPmp( section ) {
+		section.querySelectorAll( '.memdir-bulk-pmp__row' ).forEach( function ( row ) {
+			var scope    = row.dataset.scope;
+			var wraps    = getBulkPmpWraps( section, scope );
+			var dropdown = row.querySelector( '.memdir-pmp-dropdown' );
+
+			row.hidden = ! wraps.length;
+			if ( ! wraps.length ) { return; }
+
+			var levels = wraps.map( function ( w ) { return w.dataset.storedPmp || 'inherit'; } );
+			var shared = levels.every( function ( l ) { return l === levels[ 0 ]; } ) ? levels[ 0 ] : 'mixed';
+			updatePmpDropdown( dropdown, shared );
+
+			if ( scope === 'tab' ) {
+				var tabBtn = section.querySelector( '.memdir-section-controls__tab-item.is-active' );
+				row.querySelector( '.memdir-bulk-pmp__label' ).textContent =
+					'All in ' + ( tabBtn && tabBtn.dataset.tab ? tabBtn.dataset.tab : 'this tab' );
+			}
+		} );
+	}
+
+	/**
+	 * Apply and save PMP levels for several fields of a section at once.
+	 *
+	 * @param {Element} section  The .memdir-section--edit element.
+	 * @param {Object}  levels   fieldKey -> pmp.
+	 * @param {string}  label    Save status label.
+	 * @returns {boolean}  False if none of the fields are on the page.
+	 */
+	function saveBulkFieldPmp( section, levels, label ) {
+		var postId = section.dataset.postId || '';
+		var before = {};
+		var wraps  = {};
+		var pmps   = new FormData();
+
+		Object.keys( levels ).forEach( function ( fieldKey ) {
+			var wrap = section.querySelector( '.memdir-field-pmp[data-field-key="' + fieldKey + '"]' )
+				|| document.querySelector( 'body > dialog .memdir-field-pmp[data-field-key="' + fieldKey + '"]' );
+			if ( ! wrap || ! wrap.dataset.companionName ) { return; }
+
+			wraps[ fieldKey ]  = wrap;
+			before[ fieldKey ] = wrap.dataset.storedPmp || 'inherit';
+			setFieldPmpControl( wrap, levels[ fieldKey ] );
+			pmps.set( 'pmps[' + wrap.dataset.companionName + ']', levels[ fieldKey ] );
+		} );
+
+		if ( ! postId || ! Object.keys( wraps ).length ) { return false; }
+
+		refreshSectionFieldPmpEyebrows( section );
+		refreshBulkPmp( section );
+
+		pmps.set( 'action',  'memdir_ajax_save_field_pmp_bulk' );
+		pmps.set( 'nonce',   ( window.mdAjax && window.mdAjax.nonce ) ? window.mdAjax.nonce : '' );
+		pmps.set( 'post_id', postId );
+
+		var ajaxUrl = ( window.mdAjax && window.mdAjax.ajaxurl )
+			? window.mdAjax.ajaxurl : '/wp-admin/admin-ajax.php';
+		var request = fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: pmps } )
+			.then( function ( r ) { return r.json(); } );
+
+		function revert() {
+			Object.keys( wraps ).forEach( function ( fieldKey ) {
+				setFieldPmpControl( wraps[ fieldKey ], before[ fieldKey ] );
+			} );
+			refreshSectionFieldPmpEyebrows( section );
+			refreshBulkPmp( section );
+		}
+
+		trackSaveRequest( 'pmp:bulk:' + ( section.dataset.section || '' ), {
+			label: label,
+			el:    section.querySelector( '.memdir-bulk-pmp' ),
+			retry: function () { saveBulkFieldPmp( section, levels, label ); },
+		}, request )
+			.then( function ( data ) {
+				if ( data.success ) {
+					Object.keys( wraps ).forEach( function ( fieldKey ) {
+						broadcastSync( { type: 'pmp', target: { context: 'field', key: fieldKey }, pmp: levels[ fieldKey ] } );
+					} );
+				} else {
+					console.error( 'MemberDirectory: bulk field PMP AJAX error', data );
+					revert();
+				}
+			} )
+			.catch( function ( err ) {
+				console.error( 'MemberDirectory: bulk field PMP AJAX failed', err );
+				revert();
+			} );
+
+		return true;
+	}
+
+	/**
+	 * Build one bulk row: label + dropdown.
+	 *
+	 * @param {string} scope  'tab' | 'section'.
+	 * @param {string} text   Label text.
+	 * @returns {Element}
+	 */
+	function buildBulkPmpRow( scope, text ) {
+		var row = document.createElement( 'div' );
+		row.className     = 'memdir-bulk-pmp__row';
+		row.dataset.scope = scope;
+
+		var label = document.createElement( 'span' );
+		label.className   = 'memdir-bulk-pmp__label';
+		label.textContent = text;
+		row.appendChild( label );
+
+		var dropdown = buildPmpDropdown( 'mixed', PMP_FIELD_OPTIONS );
+		dropdown.dataset.context = 'bulk';
+		row.appendChild( dropdown );
+
+		return row;
+	}
+
+	function initBulkPmp() {
+		document.querySelectorAll( '.memdir-section--edit' ).forEach( function ( section ) {
+			var status = section.querySelector( '.memdir-section-controls__pmp-status' );
+			if ( ! status || ! section.querySelector( '.memdir-field-pmp' ) ) { return; }
+
+			var heading = document.createElement( 'p' );
+			heading.className   = 'memdir-section-controls__pmp-heading';
+			heading.textContent = 'Set Field Visibility';
+
+			var wrap = document.createElement( 'div' );
+			wrap.className = 'memdir-bulk-pmp';
+			wrap.appendChild( buildBulkPmpRow( 'tab', 'All in this tab' ) );
+			wrap.appendChild( buildBulkPmpRow( 'section', 'All in section' ) );
+
+			status.after( heading, wrap );
+
+			wrap.querySelectorAll( '.memdir-bulk-pmp__row' ).forEach( function ( row ) {
+				var dropdown = row.querySelector( '.memdir-pmp-dropdown' );
+
+				dropdown.querySelector( '.memdir-pmp-dropdown__trigger' ).addEventListener( 'click', function ( e ) {
+					e.stopPropagation();
+					togglePmpDropdown( dropdown );
+				} );
+
+				dropdown.querySelectorAll( '.memdir-pmp-dropdown__option' ).forEach( function ( opt ) {
+					opt.addEventListener( 'click', function () {
+						togglePmpDropdown( dropdown, false );
+
+						var pmp    = opt.dataset.pmp || '';
+						var before = {};
+						var after  = {};
+						getBulkPmpWraps( section, row.dataset.scope ).forEach( function ( w ) {
+							before[ w.dataset.fieldKey ] = w.dataset.storedPmp || 'inherit';
+							after[ w.dataset.fieldKey ]  = pmp;
+						} );
+						if ( ! pmp || ! Object.keys( after ).length ) { return; }
+
+						var label = row.querySelector( '.memdir-bulk-pmp__label' ).textContent + ' visibility';
+						if ( saveBulkFieldPmp( section, after, label ) ) {
+							recordHistory( {
+								kind:       'pmp_bulk',
+								label:      label,
+								sectionKey: section.dataset.section || '',
+								before:     before,
+								after:      after,
+							} );
+						}
+					} );
+				} );
+			} );
+
+			refreshBulkPmp( section );
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 10. Sticky section controls
+	//
+	// The section controls column needs to stick just below the sticky header
 	// zone. We measure .memdir-sticky's rendered height + CSS top at runtime
 	// and apply it as an inline style so it always tracks the real layout.
 	// -----------------------------------------------------------------------
@@ -1793,6 +4253,9 @@
 			}
 			updateSelectedDisplay();
 
+			// Redraw when the selection is set programmatically (undo/redo).
+			selectElement.addEventListener( 'memdir:sync', updateSelectedDisplay );
+
 			// Highlight already-selected items in dropdown
 			function updateResultHighlights() {
 				var selectedIds = getSelectedIds();
@@ -2145,6 +4608,9 @@
 					return wrapper;
 		}
 
+	/** Field key -> the header overlay / pencil that opens the modal editing it. */
+	var headerFieldTriggers = {};
+
 	function initHeaderEditing() {
 		var pencilSvg = '<svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/><path d="m15 5 4 4"/></svg>';
 		var cameraSvg = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14.5 4h-5L7 7H4a2 2 0 0 0-2 2v9a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V9a2 2 0 0 0-2-2h-3l-2.5-3z"/><circle cx="12" cy="13" r="3"/></svg>';
@@ -2415,6 +4881,9 @@
 
 				var avFragment = document.createElement( 'div' );
 
+				var avCropper = createImageCropper( { ratio: 1, round: true, applyText: 'Use Photo' } );
+				avFragment.appendChild( avCropper.el );
+
 				var avPreview = document.createElement( 'img' );
 				avPreview.className = 'memdir-header-modal__avatar-preview';
 				avPreview.src = hasRealImage && avatarImg ? avatarImg.src : '';
@@ -2464,7 +4933,9 @@
 					fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
 						.then( function ( r ) { return r.json(); } )
 						.then( function ( res ) {
-							if ( res.success ) {
+							// md_save_section reports per field; the request can succeed while the field is rejected.
+							var fieldRes = res.success && res.data && res.data.results ? res.data.results[ imageFieldKey ] : null;
+							if ( res.success && ( ! fieldRes || fieldRes.success ) ) {
 								avPreview.src = '';
 								avPreview.style.display = 'none';
 								if ( avatarImg ) { avatarImg.src = ''; avatarImg.style.display = 'none'; }
@@ -2475,7 +4946,7 @@
 									acfHiddenInput.value = '';
 								}
 							} else {
-								avStatus.textContent = 'Error: ' + ( res.data && res.data.message ? res.data.message : 'Remove failed.' );
+								avStatus.textContent = 'Error: ' + ( ( fieldRes && fieldRes.message ) || ( res.data && res.data.message ) || 'Remove failed.' );
 							}
 							deleteBtn.disabled = false;
 							uploadBtn.disabled = false;
@@ -2485,7 +4956,6 @@
 							deleteBtn.disabled = false;
 							uploadBtn.disabled = false;
 						} );
-						} ); // end validateImageFile .then()
 				} );
 
 				
@@ -2548,12 +5018,16 @@
 				} );
 
 				uploadBtn.addEventListener( 'click', function () { fileInput.click(); } );
+				avDialog.addEventListener( 'close', avCropper.cancel );
 				fileInput.addEventListener( 'change', function () {
 					var file = fileInput.files[ 0 ];
 					if ( ! file ) { return; }
 
 					validateImageFile( file ).then( function ( err ) {
-						if ( err ) { avStatus.textContent = err; fileInput.value = ''; return; }
+						if ( err ) { avStatus.textContent = err; fileInput.value = ''; return null; }
+						return avCropper.open( file );
+					} ).then( function ( crop ) {
+						if ( ! crop ) { fileInput.value = ''; return; }
 
 						avStatus.textContent = 'Uploading\u2026';
 					uploadBtn.disabled = true;
@@ -2563,10 +5037,13 @@
 					fd.append( 'nonce',     window.mdAjax.nonce );
 					fd.append( 'post_id',   postId );
 					fd.append( 'field_key', imageFieldKey );
-					fd.append( 'image',     file );
+					fd.append( 'image',     crop.blob, crop.name );
 
-					fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
-						.then( function ( r ) { return r.json(); } )
+					// Uploads can't be retried from the status bar -- the file
+					// has to be chosen again.
+					trackSaveRequest( 'upload:' + imageFieldKey, { label: 'Profile photo', el: headerWrap, retry: null },
+						fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
+							.then( function ( r ) { return r.json(); } ) )
 						.then( function ( res ) {
 							if ( res.success && res.data && res.data.url ) {
 								avPreview.src = res.data.url;
@@ -2589,9 +5066,15 @@
 							uploadBtn.disabled = false;
 							fileInput.value = '';
 						} );
+					} ) // end crop .then()
+						.catch( function ( e ) {
+							avStatus.textContent = e.message;
+							fileInput.value = '';
+						} );
 				} );
 
 				overlay.addEventListener( 'click', function () { showDialogSafe( avDialog ); } );
+				headerFieldTriggers[ imageFieldKey ] = overlay;
 			}
 
 			// ========================================
@@ -2611,9 +5094,171 @@
 				bnOverlay.title = bnHasImage ? 'Change banner image' : 'Add a banner image';
 				bannerDiv.appendChild( bnOverlay );
 
+				// ── Reposition mode — drag the image to set its focal point ──
+				// Saved per section as background-position (AcfFormHelper::
+				// banner_position()), which the directory card uses too.
+				var bnMoveBtn = document.createElement( 'button' );
+				bnMoveBtn.type = 'button';
+				bnMoveBtn.className = 'memdir-header__banner-reposition';
+				bnMoveBtn.textContent = 'Reposition';
+				bnMoveBtn.hidden = ! headerEl.style.backgroundImage;
+				bannerDiv.appendChild( bnMoveBtn );
+
+				var bnMoveBar = document.createElement( 'div' );
+				bnMoveBar.className = 'memdir-header__banner-move-bar';
+				bnMoveBar.innerHTML =
+					'<span class="memdir-header__banner-move-hint">Drag the image (or use the arrow keys) to choose what stays in view</span>' +
+					'<button type="button" class="memdir-header__banner-move-btn" data-move="cancel">Cancel</button>' +
+					'<button type="button" class="memdir-header__banner-move-btn memdir-header__banner-move-btn--save" data-move="save">Save Position</button>';
+				bannerDiv.appendChild( bnMoveBar );
+
+				// Active move: { start, focus, natural: { w, h }, drag }.
+				var bnMove = null;
+
+				function readBannerFocus() {
+					var m = /([\d.]+)%\s+([\d.]+)%/.exec( headerEl.style.backgroundPosition || '' );
+					return m ? { x: parseFloat( m[ 1 ] ), y: parseFloat( m[ 2 ] ) } : { x: 50, y: 50 };
+				}
+
+				function writeBannerFocus( focus ) {
+					headerEl.style.backgroundPosition = focus
+						? Math.round( focus.x * 100 ) / 100 + '% ' + Math.round( focus.y * 100 ) / 100 + '%'
+						: '';
+				}
+
+				/**
+				 * Move the focal point by a pixel drag. With cover sizing only
+				 * the overflowing axis can move; a percent step is that
+				 * overflow's share of the drag.
+				 */
+				function nudgeBannerFocus( dx, dy ) {
+					var w     = headerEl.offsetWidth;
+					var h     = headerEl.offsetHeight;
+					var scale = Math.max( w / bnMove.natural.w, h / bnMove.natural.h );
+					var overX = bnMove.natural.w * scale - w;
+					var overY = bnMove.natural.h * scale - h;
+					if ( overX > 0 ) { bnMove.focus.x = Math.min( 100, Math.max( 0, bnMove.focus.x - dx / overX * 100 ) ); }
+					if ( overY > 0 ) { bnMove.focus.y = Math.min( 100, Math.max( 0, bnMove.focus.y - dy / overY * 100 ) ); }
+					writeBannerFocus( bnMove.focus );
+				}
+
+				function endBannerMove() {
+					bnMove = null;
+					bannerDiv.classList.remove( 'memdir-header__banner--moving' );
+					bnMoveBtn.focus();
+				}
+
+				function saveBannerFocus( focus ) {
+					var fd = new FormData();
+					fd.append( 'action',  'memdir_ajax_save_banner_focus' );
+					fd.append( 'nonce',   window.mdAjax.nonce );
+					fd.append( 'post_id', postId );
+					fd.append( 'section', sectionKey );
+					if ( focus ) {
+						fd.append( 'x', focus.x );
+						fd.append( 'y', focus.y );
+					}
+
+					return trackSaveRequest( 'banner-focus:' + sectionKey, {
+						label: 'Banner position',
+						el:    headerWrap,
+						// A failed save put the old position back; show this one
+						// again once it lands.
+						retry: function () {
+							saveBannerFocus( focus ).then( function ( res ) {
+								if ( res.success ) { writeBannerFocus( focus ); }
+							} ).catch( function ( err ) {
+								console.error( 'MemberDirectory: banner position save failed', err );
+							} );
+						},
+					}, fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
+						.then( function ( r ) { return r.json(); } ) );
+				}
+
+				/** A new or removed banner starts centred again. */
+				function resetBannerFocus() {
+					if ( ! headerEl.style.backgroundPosition ) { return; }
+					writeBannerFocus( null );
+					saveBannerFocus( null ).catch( function ( err ) {
+						console.error( 'MemberDirectory: banner position reset failed', err );
+					} );
+				}
+
+				bnMoveBtn.addEventListener( 'click', function ( e ) {
+					e.stopPropagation();
+					var url = headerEl.style.backgroundImage.replace( /^url\(["']?/, '' ).replace( /["']?\)$/, '' );
+					var img = new Image();
+					img.onload = function () {
+						var start = readBannerFocus();
+						bnMove = { start: start, focus: { x: start.x, y: start.y }, natural: { w: img.naturalWidth, h: img.naturalHeight }, drag: null };
+						bannerDiv.classList.add( 'memdir-header__banner--moving' );
+						bnMoveBar.querySelector( '[data-move="save"]' ).focus();
+					};
+					img.src = url;
+				} );
+
+				bnMoveBar.addEventListener( 'click', function ( e ) {
+					e.stopPropagation();
+					var btn = e.target.closest( '[data-move]' );
+					if ( ! btn || ! bnMove ) { return; }
+
+					if ( btn.dataset.move === 'cancel' ) {
+						writeBannerFocus( bnMove.start );
+						endBannerMove();
+						return;
+					}
+
+					var focus = bnMove.focus;
+					var start = bnMove.start;
+					endBannerMove();
+					// Put the banner back where it was if the save doesn't land.
+					saveBannerFocus( focus ).then( function ( res ) {
+						if ( ! res.success ) {
+							console.error( 'MemberDirectory: banner position save error', res );
+							writeBannerFocus( start );
+						}
+					} ).catch( function ( err ) {
+						console.error( 'MemberDirectory: banner position save failed', err );
+						writeBannerFocus( start );
+					} );
+				} );
+
+				bnMoveBar.addEventListener( 'keydown', function ( e ) {
+					var step  = e.shiftKey ? 40 : 8;
+					var moves = { ArrowLeft: [ step, 0 ], ArrowRight: [ -step, 0 ], ArrowUp: [ 0, step ], ArrowDown: [ 0, -step ] };
+					if ( ! bnMove ) { return; }
+					if ( moves[ e.key ] ) {
+						e.preventDefault();
+						nudgeBannerFocus( moves[ e.key ][ 0 ], moves[ e.key ][ 1 ] );
+					} else if ( e.key === 'Escape' ) {
+						e.preventDefault();
+						writeBannerFocus( bnMove.start );
+						endBannerMove();
+					}
+				} );
+
+				bannerDiv.addEventListener( 'pointerdown', function ( e ) {
+					if ( ! bnMove || e.target.closest( '.memdir-header__banner-move-bar' ) ) { return; }
+					bnMove.drag = { x: e.clientX, y: e.clientY };
+					bannerDiv.setPointerCapture( e.pointerId );
+				} );
+				bannerDiv.addEventListener( 'pointermove', function ( e ) {
+					if ( ! bnMove || ! bnMove.drag ) { return; }
+					nudgeBannerFocus( e.clientX - bnMove.drag.x, e.clientY - bnMove.drag.y );
+					bnMove.drag = { x: e.clientX, y: e.clientY };
+				} );
+				[ 'pointerup', 'pointercancel' ].forEach( function ( type ) {
+					bannerDiv.addEventListener( type, function () {
+						if ( bnMove ) { bnMove.drag = null; }
+					} );
+				} );
+
 				// Build modal content
 				var bnFragment = document.createElement( 'div' );
 
+				var bnCropper = createImageCropper( { ratio: BANNER_CROP_RATIO, applyText: 'Use Banner' } );
+				bnFragment.appendChild( bnCropper.el );
+
 				var bnPreview = document.createElement( 'img' );
 				bnPreview.className = 'memdir-header-modal__banner-preview';
 				bnPreview.src = bnHasImage && headerEl.style.backgroundImage
@@ -2666,7 +5311,9 @@
 					fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
 						.then( function ( r ) { return r.json(); } )
 						.then( function ( res ) {
-							if ( res.success ) {
+							// md_save_section reports per field; the request can succeed while the field is rejected.
+							var fieldRes = res.success && res.data && res.data.results ? res.data.results[ bannerFieldKey ] : null;
+							if ( res.success && ( ! fieldRes || fieldRes.success ) ) {
 								bnPreview.src = '';
 								bnPreview.style.display = 'none';
 								headerEl.style.backgroundImage = '';
@@ -2675,8 +5322,10 @@
 								bnDeleteBtn.style.display = 'none';
 								bnOverlay.innerHTML = cameraSvg + '<span>Add Banner</span>';
 								if ( bnAcfInput ) { bnAcfInput.value = ''; }
+								resetBannerFocus();
+								bnMoveBtn.hidden = true;
 							} else {
-								bnStatus.textContent = 'Error: ' + ( res.data && res.data.message ? res.data.message : 'Remove failed.' );
+								bnStatus.textContent = 'Error: ' + ( ( fieldRes && fieldRes.message ) || ( res.data && res.data.message ) || 'Remove failed.' );
 							}
 							bnDeleteBtn.disabled = false;
 							bnUploadBtn.disabled = false;
@@ -2686,7 +5335,6 @@
 							bnDeleteBtn.disabled = false;
 							bnUploadBtn.disabled = false;
 						} );
-						} ); // end validateImageFile .then()
 				} );
 
 				var bnDialog = createMiniModal( 'Update Banner', [], {
@@ -2696,12 +5344,16 @@
 				} );
 
 				bnUploadBtn.addEventListener( 'click', function () { bnFileInput.click(); } );
+				bnDialog.addEventListener( 'close', bnCropper.cancel );
 				bnFileInput.addEventListener( 'change', function () {
 					var file = bnFileInput.files[ 0 ];
 					if ( ! file ) { return; }
 
 					validateImageFile( file ).then( function ( err ) {
-						if ( err ) { bnStatus.textContent = err; bnFileInput.value = ''; return; }
+						if ( err ) { bnStatus.textContent = err; bnFileInput.value = ''; return null; }
+						return bnCropper.open( file );
+					} ).then( function ( crop ) {
+						if ( ! crop ) { bnFileInput.value = ''; return; }
 
 						bnStatus.textContent = 'Uploading\u2026';
 					bnUploadBtn.disabled = true;
@@ -2711,10 +5363,11 @@
 					fd.append( 'nonce',     window.mdAjax.nonce );
 					fd.append( 'post_id',   postId );
 					fd.append( 'field_key', bannerFieldKey );
-					fd.append( 'image',     file );
+					fd.append( 'image',     crop.blob, crop.name );
 
-					fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
-						.then( function ( r ) { return r.json(); } )
+					trackSaveRequest( 'upload:' + bannerFieldKey, { label: 'Banner image', el: headerWrap, retry: null },
+						fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
+							.then( function ( r ) { return r.json(); } ) )
 						.then( function ( res ) {
 							if ( res.success && res.data && res.data.url ) {
 								bnPreview.src = res.data.url;
@@ -2725,6 +5378,8 @@
 								bnDeleteBtn.style.display = '';
 								bnOverlay.innerHTML = cameraSvg + '<span>Change Banner</span>';
 								if ( bnAcfInput && res.data.id ) { bnAcfInput.value = res.data.id; }
+								resetBannerFocus();
+								bnMoveBtn.hidden = false;
 							} else {
 								bnStatus.textContent = 'Error: ' + ( res.data && res.data.message ? res.data.message : 'Upload failed.' );
 							}
@@ -2736,9 +5391,15 @@
 							bnUploadBtn.disabled = false;
 							bnFileInput.value = '';
 						} );
+					} ) // end crop .then()
+						.catch( function ( e ) {
+							bnStatus.textContent = e.message;
+							bnFileInput.value = '';
+						} );
 				} );
 
 				bnOverlay.addEventListener( 'click', function () { showDialogSafe( bnDialog ); } );
+				headerFieldTriggers[ bannerFieldKey ] = bnOverlay;
 			}
 
 			// ========================================
@@ -2771,6 +5432,7 @@
 				checkNameEmpty();
 
 				namePencil.addEventListener( 'click', function () { showDialogSafe( nameDialog ); } );
+				textFields.forEach( function ( f ) { headerFieldTriggers[ f.dataset.key ] = namePencil; } );
 				nameDialog.addEventListener( 'close', function () { checkNameEmpty(); } );
 			}
 
@@ -2820,6 +5482,7 @@
 				} );
 
 				taxoDialog.addEventListener( 'close', function () { checkTaxoEmpty(); } );
+				taxonomyFields.forEach( function ( f ) { headerFieldTriggers[ f.dataset.key ] = taxoPencil; } );
 			}
 
 			// ========================================
@@ -2846,6 +5509,7 @@
 				checkSocialEmpty();
 
 				socialPencil.addEventListener( 'click', function () { showDialogSafe( socialDialog ); } );
+				socialFields.forEach( function ( f ) { headerFieldTriggers[ f.dataset.key ] = socialPencil; } );
 
 				// --- Import social links from other primary section(s) ---
 				var socialSources = ( window.mdAjax && window.mdAjax.socialSources ) || {};
@@ -3112,8 +5776,9 @@
 			var cap = captionInput.value.trim();
 			if ( cap ) { fd.append( 'caption', cap ); }
 
-			fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
-				.then( function ( r ) { return r.json(); } )
+			trackSaveRequest( 'upload:' + fieldKey, { label: getFieldLabelText( field ), el: field, retry: null },
+				fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
+					.then( function ( r ) { return r.json(); } ) )
 				.then( function ( res ) {
 					if ( res.success && res.data ) {
 						// Update modal.
@@ -3492,8 +6157,12 @@
 				fd.append( 'field_key', fieldKey );
 				fd.append( 'image',     files[ idx ] );
 
-				fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
-					.then( function ( r ) { return r.json(); } )
+				trackSaveRequest( 'upload:' + fieldKey + ':' + idx, {
+					label: getFieldLabelText( field ) + ' (' + files[ idx ].name + ')',
+					el:    field,
+					retry: null,
+				}, fetch( window.mdAjax.ajaxurl, { method: 'POST', body: fd } )
+					.then( function ( r ) { return r.json(); } ) )
 					.then( function ( res ) {
 						if ( res.success && res.data ) {
 							addGalleryThumb( modalGrid, String( res.data.id ), res.data.url, '', fieldKey, postId, status, inlineGrid, field );
@@ -3678,7 +6347,7 @@
 				if ( nav ) {
 					var pill = nav.querySelector( '.memdir-pill[data-section="trust"]' );
 					if ( pill ) {
-						pill.classList.toggle( 'memdir-pill--disabled', ! enabled );
+						setPillDisabled( pill, ! enabled );
 					}
 					updateAllSectionsBadge( nav );
 				}
@@ -3951,6 +6620,2106 @@
 	}
 
 
+	// -----------------------------------------------------------------------
+	// 12. Undo / redo
+	//
+	// Page-wide edit history covering autosaved fields, PMP dropdowns (field,
+	// section, global, bulk) and section enable toggles. Each entry is plain data
+	// ({ kind, before, after, ... }) so the stacks survive the reloads that
+	// section toggles trigger -- they are persisted per post in
+	// sessionStorage. Undo/redo writes the old/new value back into the UI
+	// and re-saves it through the same endpoint the original edit used
+	// (saveField(), the PMP option click handlers, the toggle change handler).
+	//
+	// Shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo. They are
+	// left to the browser while focus is in a text input so in-field typing
+	// keeps native undo.
+	// -----------------------------------------------------------------------
+
+	var HISTORY_LIMIT     = 50;
+	var historyReplaying  = false;
+	var historyUndo       = [];
+	var historyRedo       = [];
+	var historyStorageKey = '';
+
+	/** Field types applyFieldValue() can write back -- the only ones recorded. */
+	var HISTORY_FIELD_TYPES = [
+		'text', 'email', 'number', 'url', 'password', 'textarea', 'wysiwyg',
+		'select', 'radio', 'checkbox', 'true_false', 'taxonomy',
+	];
+
+	function persistHistory() {
+		if ( ! historyStorageKey ) { return; }
+		try {
+			sessionStorage.setItem( historyStorageKey, JSON.stringify( { undo: historyUndo, redo: historyRedo } ) );
+		} catch ( e ) { /* storage full or disabled -- history is session-only */ }
+		updateHistoryButtons();
+	}
+
+	/**
+	 * Push a new edit onto the undo stack. Ignored while an undo/redo is
+	 * being replayed, and for no-op changes. Clears the redo stack.
+	 *
+	 * @param {Object} entry  { kind, label, before, after, ... }
+	 */
+	function recordHistory( entry ) {
+		if ( historyReplaying || ! historyStorageKey ) { return; }
+		if ( JSON.stringify( entry.before ) === JSON.stringify( entry.after ) ) { return; }
+
+		historyUndo.push( entry );
+		if ( historyUndo.length > HISTORY_LIMIT ) { historyUndo.shift(); }
+		historyRedo = [];
+		persistHistory();
+	}
+
+	/**
+	 * Record a successful field save (called from saveField()).
+	 *
+	 * @param {Element} acfField
+	 * @param {string}  postId
+	 * @param {string}  fieldKey
+	 * @param {*}       before  Value before this save.
+	 * @param {*}       after   Value just saved.
+	 */
+	function recordFieldHistory( acfField, postId, fieldKey, before, after ) {
+		var type = ( acfField.dataset.type || '' ).toLowerCase();
+		if ( before === undefined || HISTORY_FIELD_TYPES.indexOf( type ) === -1 ) { return; }
+
+		var labelEl = acfField.querySelector( '.acf-label label' );
+		var entry   = {
+			kind:     'field',
+			label:    labelEl ? labelEl.textContent.replace( /\*\s*$/, '' ).trim() : fieldKey,
+			postId:   String( postId ),
+			fieldKey: fieldKey,
+			before:   before,
+			after:    after,
+		};
+
+		// Term options may not be in the <select> after a reload -- keep
+		// their names so applyFieldValue() can recreate them.
+		if ( type === 'taxonomy' ) {
+			entry.labels = {};
+			acfField.querySelectorAll( 'select option' ).forEach( function ( o ) {
+				if ( o.value ) { entry.labels[ o.value ] = o.textContent.trim(); }
+			} );
+		}
+
+		recordHistory( entry );
+	}
+
+	/**
+	 * Describe where a PMP dropdown lives so it can be found again later.
+	 *
+	 * @param {Element} dropdown  A .memdir-pmp-dropdown.
+	 * @returns {Object|null}  { context: 'global'|'section'|'field', key }
+	 */
+	function getPmpDropdownTarget( dropdown ) {
+		if ( dropdown.dataset.context === 'bulk' ) {
+			return null; // recorded as one 'pmp_bulk' entry by initBulkPmp()
+		}
+		if ( dropdown.dataset.context === 'global' ) {
+			return { context: 'global', key: '' };
+		}
+		var fieldPmp = dropdown.closest( '.memdir-field-pmp' );
+		if ( fieldPmp ) {
+			return { context: 'field', key: fieldPmp.dataset.fieldKey || '' };
+		}
+		var section = dropdown.closest( '.memdir-section[data-section]' );
+		return section ? { context: 'section', key: section.dataset.section } : null;
+	}
+
+	function findPmpDropdown( target ) {
+		if ( target.context === 'global' ) {
+			return document.querySelector( '.memdir-right-panel .memdir-pmp-dropdown[data-context="global"]' );
+		}
+		if ( target.context === 'field' ) {
+			return document.querySelector( '.memdir-field-pmp[data-field-key="' + target.key + '"] .memdir-pmp-dropdown' );
+		}
+		return document.querySelector( '.memdir-section[data-section="' + target.key + '"] .memdir-section-controls .memdir-pmp-dropdown' );
+	}
+
+	/**
+	 * Write one side of a history entry back and re-save it.
+	 *
+	 * @param {Object} entry
+	 * @param {*}      value  entry.before (undo) or entry.after (redo).
+	 * @returns {boolean}  False if the target is no longer on the page.
+	 */
+	function applyHistoryValue( entry, value ) {
+		historyReplaying = true;
+		try {
+			if ( entry.kind === 'field' ) {
+				var acfField = document.querySelector(
+					'.memdir-section--edit[data-post-id="' + entry.postId + '"] .acf-field[data-key="' + entry.fieldKey + '"]'
+				);
+				if ( ! acfField || ! applyFieldValue( acfField, value, entry.labels ) ) { return false; }
+				saveField( entry.postId, entry.fieldKey, value, acfField );
+				onFieldSaved( entry.fieldKey, value );
+				return true;
+			}
+
+			if ( entry.kind === 'pmp' ) {
+				var dropdown = findPmpDropdown( entry.target );
+				var opt      = dropdown ? dropdown.querySelector( '.memdir-pmp-dropdown__option[data-pmp="' + value + '"]' ) : null;
+				if ( ! opt ) { return false; }
+				opt.click();
+				return true;
+			}
+
+			if ( entry.kind === 'pmp_bulk' ) {
+				var bulkSection = document.querySelector( '.memdir-section--edit[data-section="' + entry.sectionKey + '"]' );
+				return !! bulkSection && saveBulkFieldPmp( bulkSection, value, entry.label );
+			}
+
+			if ( entry.kind === 'toggle' ) {
+				var toggle = document.querySelector( '.memdir-panel__toggle input[data-section-key="' + entry.sectionKey + '"]' );
+				if ( ! toggle ) { return false; }
+				toggle.checked = !! value;
+				toggle.dispatchEvent( new Event( 'change', { bubbles: true } ) );
+				return true;
+			}
+
+			return false;
+		} finally {
+			historyReplaying = false;
+		}
+	}
+
+	/**
+	 * Move the newest entry from one stack to the other and apply it.
+	 * The stacks are persisted first: a toggle undo reloads the page.
+	 *
+	 * @param {string} direction  'undo' | 'redo'
+	 */
+	function stepHistory( direction ) {
+		var from  = direction === 'undo' ? historyUndo : historyRedo;
+		var to    = direction === 'undo' ? historyRedo : historyUndo;
+		var entry = from.pop();
+		if ( ! entry ) { return; }
+
+		to.push( entry );
+		persistHistory();
+
+		if ( ! applyHistoryValue( entry, direction === 'undo' ? entry.before : entry.after ) ) {
+			to.pop();
+			persistHistory();
+			console.warn( 'MemberDirectory: could not ' + direction + ' change', entry );
+		}
+	}
+
+	function updateHistoryButtons() {
+		document.querySelectorAll( '.memdir-panel__history-btn' ).forEach( function ( btn ) {
+			var isUndo = btn.dataset.history === 'undo';
+			var stack  = isUndo ? historyUndo : historyRedo;
+			var next   = stack[ stack.length - 1 ];
+			btn.disabled = ! next;
+			btn.title    = ( isUndo ? 'Undo' : 'Redo' )
+				+ ( next ? ': ' + next.label : '' )
+				+ ( isUndo ? ' (Ctrl+Z)' : ' (Ctrl+Shift+Z)' );
+		} );
+	}
+
+	/**
+	 * Whether a keydown target should keep the browser's own undo.
+	 */
+	function isTextEditingTarget( el ) {
+		if ( ! el ) { return false; }
+		if ( el.isContentEditable || el.tagName === 'TEXTAREA' ) { return true; }
+		if ( el.tagName !== 'INPUT' ) { return false; }
+		return [ 'checkbox', 'radio', 'button', 'submit', 'range', 'color', 'file' ].indexOf( el.type ) === -1;
+	}
+
+	function initHistory() {
+		var firstSection = document.querySelector( '.memdir-section--edit[data-post-id]' );
+		if ( ! firstSection ) { return; }
+
+		historyStorageKey = 'memdir_history_' + firstSection.dataset.postId;
+		try {
+			var stored = JSON.parse( sessionStorage.getItem( historyStorageKey ) || 'null' );
+			if ( stored ) {
+				historyUndo = stored.undo || [];
+				historyRedo = stored.redo || [];
+			}
+		} catch ( e ) { /* corrupt or unavailable -- start fresh */ }
+
+		// PMP option clicks -- capture phase runs before the option's own
+		// handler changes dropdown.dataset.pmp, so the old value is still there.
+		document.addEventListener( 'click', function ( e ) {
+			var opt = e.target.closest ? e.target.closest( '.memdir-pmp-dropdown__option' ) : null;
+			if ( ! opt ) { return; }
+			var dropdown = opt.closest( '.memdir-pmp-dropdown' );
+			var target   = dropdown ? getPmpDropdownTarget( dropdown ) : null;
+			if ( ! target ) { return; }
+
+			var fieldPmp = dropdown.closest( '.memdir-field-pmp' );
+			var label    = target.context === 'global'
+				? 'Global visibility'
+				: ( fieldPmp && fieldPmp.dataset.fieldLabel ? fieldPmp.dataset.fieldLabel : target.key ) + ' visibility';
+
+			recordHistory( {
+				kind:   'pmp',
+				label:  label,
+				target: target,
+				before: fieldPmp ? ( fieldPmp.dataset.storedPmp || 'inherit' ) : ( dropdown.dataset.pmp || '' ),
+				after:  opt.dataset.pmp || '',
+			} );
+		}, true );
+
+		// Section enable toggles (trust toggle has its own flow -- skipped).
+		document.addEventListener( 'change', function ( e ) {
+			var toggle = e.target;
+			if ( ! toggle.matches || ! toggle.matches( '.memdir-panel__toggle input[data-section-key]' ) ) { return; }
+			if ( toggle.dataset.trustToggle ) { return; }
+			var row  = toggle.closest( '.memdir-panel__section-row' );
+			var name = row ? row.querySelector( '.memdir-panel__section-name' ) : null;
+			recordHistory( {
+				kind:       'toggle',
+				label:      ( name ? name.textContent.trim() : toggle.dataset.sectionKey ) + ' section',
+				sectionKey: toggle.dataset.sectionKey,
+				before:     ! toggle.checked,
+				after:      toggle.checked,
+			} );
+		}, true );
+
+		document.querySelectorAll( '.memdir-panel__history-btn' ).forEach( function ( btn ) {
+			btn.addEventListener( 'click', function () {
+				stepHistory( btn.dataset.history === 'redo' ? 'redo' : 'undo' );
+			} );
+		} );
+
+		document.addEventListener( 'keydown', function ( e ) {
+			if ( ! ( e.ctrlKey || e.metaKey ) || e.altKey ) { return; }
+			var key = ( e.key || '' ).toLowerCase();
+			if ( key !== 'z' && key !== 'y' ) { return; }
+			if ( isTextEditingTarget( e.target ) ) { return; }
+
+			e.preventDefault();
+			stepHistory( key === 'y' || e.shiftKey ? 'redo' : 'undo' );
+		} );
+
+		updateHistoryButtons();
+	}
+
+	// -----------------------------------------------------------------------
+	// 13. Draft mode
+	//
+	// With draft mode on, md_save_section stages field values server-side
+	// (see Drafts.php) instead of writing the live profile, and reports the
+	// number of staged fields with every save. The right panel shows that
+	// count and a "Publish changes" button, which opens a live-vs-draft diff
+	// with publish and discard actions. Discarding reloads the page so the
+	// form shows the live values again.
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Reflect the staged-change count in the right panel.
+	 *
+	 * @param {number} count  Fields waiting to be published.
+	 */
+	function updateDraftState( count ) {
+		var panel = document.querySelector( '.memdir-panel__draft' );
+		if ( ! panel ) { return; }
+
+		count = parseInt( count, 10 ) || 0;
+		panel.dataset.draftCount = count;
+
+		var status  = panel.querySelector( '.memdir-panel__draft-status' );
+		var publish = panel.querySelector( '.memdir-panel__draft-publish' );
+
+		if ( status ) {
+			status.textContent = count
+				? count + ' unpublished change' + ( count === 1 ? '' : 's' ) + ' \u2014 visitors still see the live profile.'
+				: 'No unpublished changes.';
+		}
+		if ( publish ) { publish.disabled = ! count; }
+	}
+
+	/**
+	 * POST one of the right-panel endpoints (draft mode, profile history).
+	 *
+	 * @param {string} action  memdir_ajax_* action name.
+	 * @param {string} postId
+	 * @param {Object} [extra] Additional fields.
+	 * @returns {Promise<Object>}  The parsed JSON response.
+	 */
+	function postPanelAction( action, postId, extra ) {
+		var formData = new FormData();
+		formData.set( 'action',  action );
+		formData.set( 'nonce',   ( window.mdAjax && window.mdAjax.nonce ) ? window.mdAjax.nonce : '' );
+		formData.set( 'post_id', postId );
+		Object.keys( extra || {} ).forEach( function ( k ) { formData.set( k, extra[ k ] ); } );
+
+		var ajaxUrl = ( window.mdAjax && window.mdAjax.ajaxurl )
+			? window.mdAjax.ajaxurl
+			: '/wp-admin/admin-ajax.php';
+
+		return fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
+			.then( function ( r ) { return r.json(); } );
+	}
+
+	/**
+	 * Open the publish dialog: live vs draft for every staged field.
+	 *
+	 * @param {string} postId
+	 */
+	function openDraftPublishDialog( postId ) {
+		var dialog = document.createElement( 'dialog' );
+		dialog.className = 'memdir-draft-modal';
+		dialog.innerHTML =
+			'<div class="memdir-draft-modal__header">' +
+				'<h3 class="memdir-draft-modal__title">Publish changes</h3>' +
+				'<button type="button" class="memdir-draft-modal__close" aria-label="Close">&times;</button>' +
+			'</div>' +
+			'<div class="memdir-draft-modal__body"><p class="memdir-draft-modal__intro">Loading changes\u2026</p></div>' +
+			'<p class="memdir-draft-modal__error" role="alert"></p>' +
+			'<div class="memdir-draft-modal__actions">' +
+				'<button type="button" class="memdir-draft-modal__discard">Discard draft</button>' +
+				'<button type="button" class="memdir-draft-modal__cancel">Cancel</button>' +
+				'<button type="button" class="memdir-draft-modal__publish" disabled>Publish</button>' +
+			'</div>';
+
+		document.body.appendChild( dialog );
+		dialog.showModal();
+
+		var body       = dialog.querySelector( '.memdir-draft-modal__body' );
+		var errorEl    = dialog.querySelector( '.memdir-draft-modal__error' );
+		var publishBtn = dialog.querySelector( '.memdir-draft-modal__publish' );
+		var discardBtn = dialog.querySelector( '.memdir-draft-modal__discard' );
+
+		function closeModal() {
+			dialog.close();
+			dialog.remove();
+		}
+
+		function showError( res, fallback ) {
+			errorEl.textContent = ( res && res.data && res.data.message ) ? res.data.message : fallback;
+			errorEl.style.display = 'block';
+		}
+
+		dialog.querySelector( '.memdir-draft-modal__close' ).addEventListener( 'click', closeModal );
+		dialog.querySelector( '.memdir-draft-modal__cancel' ).addEventListener( 'click', closeModal );
+		dialog.addEventListener( 'click', function ( e ) {
+			if ( e.target === dialog ) { closeModal(); }
+		} );
+
+		postPanelAction( 'memdir_ajax_get_draft_diff', postId )
+			.then( function ( res ) {
+				if ( ! res.success ) { showError( res, 'Could not load your changes.' ); return; }
+
+				var changes = res.data.changes || [];
+				body.innerHTML = '';
+
+				if ( ! changes.length ) {
+					var none = document.createElement( 'p' );
+					none.className = 'memdir-draft-modal__intro';
+					none.textContent = 'Your draft matches the live profile.';
+					body.appendChild( none );
+					return;
+				}
+
+				changes.forEach( function ( change ) {
+					var row = document.createElement( 'div' );
+					row.className = 'memdir-draft-modal__change';
+
+					var name = document.createElement( 'p' );
+					name.className = 'memdir-draft-modal__field';
+					name.textContent = ( change.section ? change.section + ' \u00b7 ' : '' ) + change.label;
+					row.appendChild( name );
+
+					[ [ 'live', 'Live' ], [ 'draft', 'Draft' ] ].forEach( function ( pair ) {
+						var value = document.createElement( 'p' );
+						value.className = 'memdir-draft-modal__value memdir-draft-modal__value--' + pair[ 0 ];
+						var tag = document.createElement( 'span' );
+						tag.className = 'memdir-draft-modal__tag';
+						tag.textContent = pair[ 1 ];
+						value.appendChild( tag );
+						value.appendChild( document.createTextNode( change[ pair[ 0 ] ] || '(empty)' ) );
+						row.appendChild( value );
+					} );
+
+					body.appendChild( row );
+				} );
+
+				publishBtn.disabled = false;
+			} )
+			.catch( function ( err ) {
+				showError( null, 'Could not load your changes.' );
+				console.error( 'MemberDirectory: draft diff failed', err );
+			} );
+
+		publishBtn.addEventListener( 'click', function () {
+			publishBtn.disabled = true;
+			publishBtn.textContent = 'Publishing\u2026';
+			postPanelAction( 'memdir_ajax_publish_draft', postId )
+				.then( function ( res ) {
+					if ( ! res.success ) {
+						showError( res, 'Publish failed.' );
+						publishBtn.disabled = false;
+						publishBtn.textContent = 'Publish';
+						return;
+					}
+					updateDraftState( 0 );
+					closeModal();
+				} )
+				.catch( function ( err ) {
+					showError( null, 'Publish failed.' );
+					publishBtn.disabled = false;
+					publishBtn.textContent = 'Publish';
+					console.error( 'MemberDirectory: draft publish failed', err );
+				} );
+		} );
+
+		discardBtn.addEventListener( 'click', function () {
+			if ( ! confirm( 'Discard all unpublished changes? This cannot be undone.' ) ) { return; }
+			discardBtn.disabled = true;
+			postPanelAction( 'memdir_ajax_discard_draft', postId )
+				.then( function ( res ) {
+					if ( ! res.success ) {
+						showError( res, 'Discard failed.' );
+						discardBtn.disabled = false;
+						return;
+					}
+					// The form still holds draft values -- reload to show the live ones.
+					window.location.reload();
+				} )
+				.catch( function ( err ) {
+					showError( null, 'Discard failed.' );
+					discardBtn.disabled = false;
+					console.error( 'MemberDirectory: draft discard failed', err );
+				} );
+		} );
+	}
+
+	function initDraftMode() {
+		var panel   = document.querySelector( '.memdir-panel__draft' );
+		var section = document.querySelector( '.memdir-section--edit[data-post-id]' );
+		if ( ! panel || ! section ) { return; }
+
+		var postId  = section.dataset.postId;
+		var toggle  = panel.querySelector( 'input[data-draft-toggle]' );
+		var publish = panel.querySelector( '.memdir-panel__draft-publish' );
+		var status  = panel.querySelector( '.memdir-panel__draft-status' );
+
+		updateDraftState( panel.dataset.draftCount );
+
+		if ( toggle ) {
+			toggle.addEventListener( 'change', function () {
+				var enabled = toggle.checked;
+				toggle.disabled = true;
+
+				postPanelAction( 'memdir_ajax_set_draft_mode', postId, { enabled: enabled ? '1' : '0' } )
+					.then( function ( res ) {
+						toggle.disabled = false;
+						if ( ! res.success ) {
+							toggle.checked = ! enabled;
+							if ( status ) { status.textContent = ( res.data && res.data.message ) ? res.data.message : 'Could not change draft mode.'; }
+							return;
+						}
+						panel.classList.toggle( 'is-enabled', enabled );
+						updateDraftState( panel.dataset.draftCount );
+					} )
+					.catch( function ( err ) {
+						toggle.disabled = false;
+						toggle.checked = ! enabled;
+						console.error( 'MemberDirectory: draft mode toggle failed', err );
+					} );
+			} );
+		}
+
+		if ( publish ) {
+			publish.addEventListener( 'click', function () {
+				// Let pending autosaves land in the draft before diffing.
+				Promise.all( Object.keys( saveBatches ).map( function ( id ) { return sendSaveBatch( id, false ); } ) )
+					.then( function () { openDraftPublishDialog( postId ); } );
+			} );
+		}
+	}
+
+	// -----------------------------------------------------------------------
+	// 14. Profile history
+	//
+	// Server-side revision log (see Revisions.php): every live field save,
+	// PMP change and section toggle, with date and author. Unlike undo/redo
+	// (section 12) it spans sessions and editors. The dialog lists
+	// revisions newest first; each change can be restored on its own, or
+	// every recorded setting of a section rolled back to that revision.
+	// Restores reload the page so the form reflects the restored values.
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Build one revision's entry for the history dialog.
+	 *
+	 * @param {Object}   revision   From memdir_ajax_get_revisions.
+	 * @param {Function} onRestore  Called with ( revisionId, { name } | { section } ).
+	 * @returns {Element}
+	 */
+	function buildRevisionEntry( revision, onRestore ) {
+		var entry = document.createElement( 'div' );
+		entry.className = 'memdir-history-modal__revision';
+
+		var meta = document.createElement( 'p' );
+		meta.className = 'memdir-history-modal__meta';
+		meta.textContent = revision.date + ' \u00b7 ' + revision.author +
+			( revision.restored_from ? ' \u00b7 restored from #' + revision.restored_from : '' );
+		entry.appendChild( meta );
+
+		// Group changes by section, keeping first-seen order.
+		var groups = [];
+		var byKey  = {};
+		revision.changes.forEach( function ( change ) {
+			if ( ! byKey[ change.section ] ) {
+				byKey[ change.section ] = { section: change.section, label: change.section_label, changes: [] };
+				groups.push( byKey[ change.section ] );
+			}
+			byKey[ change.section ].changes.push( change );
+		} );
+
+		groups.forEach( function ( group ) {
+			var head = document.createElement( 'div' );
+			head.className = 'memdir-history-modal__section';
+
+			var name = document.createElement( 'span' );
+			name.textContent = group.label;
+			head.appendChild( name );
+
+			if ( group.section ) {
+				var sectionBtn = document.createElement( 'button' );
+				sectionBtn.type = 'button';
+				sectionBtn.className = 'memdir-history-modal__restore';
+				sectionBtn.textContent = 'Restore section';
+				sectionBtn.title = 'Put every recorded ' + group.label + ' setting back to how it was after this change';
+				sectionBtn.addEventListener( 'click', function () {
+					onRestore( revision.id, { section: group.section } );
+				} );
+				head.appendChild( sectionBtn );
+			}
+			entry.appendChild( head );
+
+			group.changes.forEach( function ( change ) {
+				var row = document.createElement( 'div' );
+				row.className = 'memdir-history-modal__change';
+
+				var text = document.createElement( 'div' );
+				text.className = 'memdir-history-modal__diff';
+
+				var label = document.createElement( 'strong' );
+				label.textContent = change.label;
+				text.appendChild( label );
+
+				var before = document.createElement( 'del' );
+				before.textContent = change.before || '(empty)';
+				var after = document.createElement( 'ins' );
+				after.textContent = change.after || '(empty)';
+				text.appendChild( before );
+				text.appendChild( document.createTextNode( ' \u2192 ' ) );
+				text.appendChild( after );
+				row.appendChild( text );
+
+				var btn = document.createElement( 'button' );
+				btn.type = 'button';
+				btn.className = 'memdir-history-modal__restore';
+				btn.textContent = 'Restore';
+				btn.title = 'Set ' + change.label + ' back to \u201c' + ( change.after || '(empty)' ) + '\u201d';
+				btn.addEventListener( 'click', function () {
+					onRestore( revision.id, { name: change.name } );
+				} );
+				row.appendChild( btn );
+
+				entry.appendChild( row );
+			} );
+		} );
+
+		return entry;
+	}
+
+	/**
+	 * Open the profile history dialog.
+	 *
+	 * @param {string} postId
+	 */
+	function openRevisionsDialog( postId ) {
+		var dialog = document.createElement( 'dialog' );
+		dialog.className = 'memdir-history-modal';
+		dialog.innerHTML =
+			'<div class="memdir-draft-modal__header">' +
+				'<h3 class="memdir-draft-modal__title">Profile history</h3>' +
+				'<button type="button" class="memdir-draft-modal__close" aria-label="Close">&times;</button>' +
+			'</div>' +
+			'<div class="memdir-draft-modal__body"><p class="memdir-draft-modal__intro">Loading history\u2026</p></div>' +
+			'<p class="memdir-draft-modal__error" role="alert"></p>';
+
+		document.body.appendChild( dialog );
+		dialog.showModal();
+
+		var body    = dialog.querySelector( '.memdir-draft-modal__body' );
+		var errorEl = dialog.querySelector( '.memdir-draft-modal__error' );
+		var busy    = false;
+
+		function closeModal() {
+			dialog.close();
+			dialog.remove();
+		}
+
+		function showError( res, fallback ) {
+			errorEl.textContent = ( res && res.data && res.data.message ) ? res.data.message : fallback;
+			errorEl.style.display = 'block';
+		}
+
+		dialog.querySelector( '.memdir-draft-modal__close' ).addEventListener( 'click', closeModal );
+		dialog.addEventListener( 'click', function ( e ) {
+			if ( e.target === dialog ) { closeModal(); }
+		} );
+
+		function restore( revisionId, target ) {
+			if ( busy ) { return; }
+			var what = target.section ? 'this section' : 'this setting';
+			if ( ! confirm( 'Restore ' + what + ' to how it was after revision #' + revisionId + '?' ) ) { return; }
+
+			busy = true;
+			dialog.classList.add( 'is-busy' );
+			var extra = { revision_id: revisionId };
+			if ( target.section ) { extra.section = target.section; } else { extra.name = target.name; }
+
+			postPanelAction( 'memdir_ajax_restore_revision', postId, extra )
+				.then( function ( res ) {
+					if ( ! res.success ) {
+						busy = false;
+						dialog.classList.remove( 'is-busy' );
+						showError( res, 'Restore failed.' );
+						return;
+					}
+					window.location.reload();
+				} )
+				.catch( function ( err ) {
+					busy = false;
+					dialog.classList.remove( 'is-busy' );
+					showError( null, 'Restore failed.' );
+					console.error( 'MemberDirectory: revision restore failed', err );
+				} );
+		}
+
+		postPanelAction( 'memdir_ajax_get_revisions', postId )
+			.then( function ( res ) {
+				if ( ! res.success ) { showError( res, 'Could not load history.' ); return; }
+
+				var revisions = res.data.revisions || [];
+				body.innerHTML = '';
+
+				if ( ! revisions.length ) {
+					var none = document.createElement( 'p' );
+					none.className = 'memdir-draft-modal__intro';
+					none.textContent = 'No changes recorded yet.';
+					body.appendChild( none );
+					return;
+				}
+
+				revisions.forEach( function ( revision ) {
+					body.appendChild( buildRevisionEntry( revision, restore ) );
+				} );
+			} )
+			.catch( function ( err ) {
+				showError( null, 'Could not load history.' );
+				console.error( 'MemberDirectory: revision list failed', err );
+			} );
+	}
+
+	function initRevisions() {
+		var btn     = document.querySelector( '.memdir-panel__revisions-btn' );
+		var section = document.querySelector( '.memdir-section--edit[data-post-id]' );
+		if ( ! btn || ! section ) { return; }
+
+		btn.addEventListener( 'click', function () {
+			openRevisionsDialog( section.dataset.postId );
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 15. Live sync
+	//
+	// A profile open in two tabs used to drift apart: a save in one tab never
+	// reached the other, and a later blur in the stale tab wrote the old value
+	// back. Every successful save now broadcasts a small message on a channel
+	// keyed by post ID -- BroadcastChannel where available, a localStorage
+	// 'storage' event otherwise -- and the other tabs apply it in place:
+	//
+	//   field   -- { fieldKey, value, revision }  input value + saved revision
+	//   pmp     -- { target, pmp }                dropdown + eyebrows (no save)
+	//   primary -- { sectionKey }                 pill order + header
+	//   toggle  -- { sectionKey, enabled }        toggle, pill, badge
+	//   order   -- { order }                      pill + section order
+	//   schedule -- { schedule }                  pending PMP changes (21)
+	//
+	// A field the user is mid-edit on (value differs from its last save) is
+	// left alone, revision included, so their save still hits the server's
+	// conflict check (4) instead of silently overwriting.
+	// -----------------------------------------------------------------------
+
+	var syncPostId     = '';
+	var syncChannel    = null;
+	var syncStorageKey = '';
+
+	/**
+	 * Tell other tabs editing this profile about a saved change.
+	 * Senders never receive their own message on either transport.
+	 *
+	 * @param {Object} message  { type, ... } -- see the table above.
+	 */
+	function broadcastSync( message ) {
+		if ( ! syncPostId ) { return; }
+
+		if ( syncChannel ) {
+			syncChannel.postMessage( message );
+			return;
+		}
+
+		try {
+			// The timestamp makes repeated identical messages still fire 'storage'.
+			localStorage.setItem( syncStorageKey, JSON.stringify( { message: message, at: Date.now() } ) );
+			localStorage.removeItem( syncStorageKey );
+		} catch ( e ) { /* storage disabled -- tabs just won't sync */ }
+	}
+
+	/**
+	 * Write a field saved in another tab into this one without re-saving it.
+	 */
+	function applySyncedField( message ) {
+		var acfField = document.querySelector(
+			'.memdir-section--edit[data-post-id="' + syncPostId + '"] .acf-field[data-key="' + message.fieldKey + '"]'
+		);
+		if ( ! acfField || acfField.closest( 'dialog' ) ) { return; }
+
+		if ( '_memdirSavedValue' in acfField
+			&& JSON.stringify( extractFieldValue( acfField ) ) !== JSON.stringify( acfField._memdirSavedValue ) ) {
+			return;
+		}
+
+		// Types applyFieldValue() can't write keep the old revision -- a save
+		// from here is then caught as a conflict rather than overwriting.
+		if ( ! applyFieldValue( acfField, message.value ) ) { return; }
+
+		acfField._memdirSavedValue         = message.value;
+		fieldRevisions[ message.fieldKey ] = message.revision;
+		setFieldError( acfField, '' );
+		clearSaveJob( 'field:' + message.fieldKey );
+		onFieldSaved( message.fieldKey, message.value );
+		scheduleCompleteness();
+	}
+
+	function applySyncedPmp( message ) {
+		var dropdown = findPmpDropdown( message.target );
+		if ( ! dropdown ) { return; }
+
+		updatePmpDropdown( dropdown, message.pmp );
+
+		if ( message.target.context === 'global' ) {
+			cascadeGlobalPmpToSections( message.pmp );
+		} else if ( message.target.context === 'section' ) {
+			var section = dropdown.closest( '.memdir-section' );
+			var status  = section.querySelector( '.memdir-section-controls__pmp-status' );
+			if ( status ) { updateSectionPmpStatus( status, message.pmp ); }
+			refreshSectionFieldPmpEyebrows( section );
+		} else {
+			var wrap     = dropdown.closest( '.memdir-field-pmp' );
+			var statusEl = wrap.querySelector( '.memdir-field-pmp__status' );
+			var owner    = dropdown.closest( '.memdir-section--edit' );
+			wrap.dataset.storedPmp = message.pmp;
+			if ( statusEl ) { statusEl.textContent = computeFieldPmpStatus( wrap ); }
+			if ( owner ) { refreshBulkPmp( owner ); }
+		}
+
+		refreshPreview();
+	}
+
+	function applySyncedToggle( message ) {
+		var nav    = document.querySelector( '.memdir-pills' );
+		var toggle = document.querySelector( '.memdir-panel__toggle input[data-section-key="' + message.sectionKey + '"]' );
+		if ( toggle ) { toggle.checked = !! message.enabled; }
+		if ( ! nav ) { return; }
+
+		// PHP doesn't render disabled sections; enabling one needs a reload,
+		// which waits until nothing here is unsaved.
+		if ( message.enabled && ! document.querySelector( '.memdir-section[data-section="' + message.sectionKey + '"]' ) ) {
+			if ( ! hasUnsavedChanges() ) { window.location.reload(); }
+			return;
+		}
+
+		var pill = nav.querySelector( '.memdir-pill[data-section="' + message.sectionKey + '"]' );
+		if ( pill ) { setPillDisabled( pill, ! message.enabled ); }
+		updateAllSectionsBadge( nav );
+
+		// Re-apply the active pill; a now-disabled active pill falls back to All.
+		var activePill = nav.querySelector( '.memdir-pill--active' );
+		activatePill( activePill ? ( activePill.dataset.section || 'all' ) : 'all' );
+	}
+
+	function handleSyncMessage( message ) {
+		if ( ! message || typeof message !== 'object' ) { return; }
+
+		switch ( message.type ) {
+			case 'field':   applySyncedField( message ); break;
+			case 'pmp':     applySyncedPmp( message ); break;
+			case 'primary': updatePrimarySection( message.sectionKey, true ); break;
+			case 'toggle':  applySyncedToggle( message ); break;
+			case 'order':   applySectionOrder( message.order || [] ); break;
+			case 'schedule': setPmpSchedule( message.schedule || {} ); break;
+		}
+	}
+
+	function initLiveSync() {
+		var section = document.querySelector( '.memdir-section--edit[data-post-id]' );
+		if ( ! section ) { return; }
+
+		syncPostId     = section.dataset.postId;
+		syncStorageKey = 'memdir_sync_' + syncPostId;
+
+		if ( typeof BroadcastChannel !== 'undefined' ) {
+			syncChannel = new BroadcastChannel( syncStorageKey );
+			syncChannel.addEventListener( 'message', function ( e ) { handleSyncMessage( e.data ); } );
+			return;
+		}
+
+		window.addEventListener( 'storage', function ( e ) {
+			if ( e.key !== syncStorageKey || ! e.newValue ) { return; }
+			try {
+				handleSyncMessage( JSON.parse( e.newValue ).message );
+			} catch ( err ) { /* not ours */ }
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 16. Completeness meter
+	//
+	// How filled-in the profile is, scored from the edit form itself: every
+	// content field listed in a tab's data-field-keys counts once (required
+	// fields count double), and is filled when its current value has any
+	// content. Scores roll up per tab, per section and overall:
+	//
+	//   right panel -- progress ring + percentage (.memdir-panel__completeness)
+	//   pills       -- .memdir-pill__score badge per section
+	//   tabs        -- .memdir-section-controls__tab-score badge per visible tab
+	//
+	// "Next" suggests the most important empty field -- required first, then
+	// the one in the emptiest section -- and reveals it (revealField(), 4b).
+	// Rescored after every successful save (scheduleCompleteness()).
+	// -----------------------------------------------------------------------
+
+	/** Field types that hold no member content, or where empty is a valid answer. */
+	var COMPLETENESS_SKIP_TYPES = [ 'tab', 'message', 'accordion', 'button_group', 'true_false' ];
+
+	var completenessTimer = null;
+
+	/**
+	 * Whether a raw field value has any content.
+	 *
+	 * @param {*} value  As returned by extractFieldValue().
+	 * @returns {boolean}
+	 */
+	function hasContent( value ) {
+		if ( value === undefined || value === null || value === false ) { return false; }
+		if ( typeof value === 'string' ) { return value.trim() !== '' && value !== '0'; }
+		if ( Array.isArray( value ) ) { return value.some( hasContent ); }
+		if ( typeof value === 'object' ) {
+			return Object.keys( value ).some( function ( k ) { return hasContent( value[ k ] ); } );
+		}
+		return true;
+	}
+
+	/**
+	 * Whether an ACF field currently has a value.
+	 *
+	 * @param {Element} acfField
+	 * @returns {boolean}
+	 */
+	function isFieldFilled( acfField ) {
+		var type = ( acfField.dataset.type || '' ).toLowerCase();
+
+		// Image / gallery values live in hidden inputs the uploaders keep in sync.
+		if ( type === 'image' || type === 'gallery' ) {
+			return Array.from( acfField.querySelectorAll( 'input[type="hidden"]' ) ).some( function ( inp ) {
+				return inp.name.indexOf( 'acf[' ) === 0 && inp.value !== '' && inp.value !== '0';
+			} );
+		}
+
+		return hasContent( extractFieldValue( acfField ) );
+	}
+
+	/**
+	 * The content fields a tab button lists in data-field-keys (PMP fields
+	 * and conditionally hidden ones left out). Header fields may sit in a
+	 * modal moved to <body> while it is open.
+	 *
+	 * @param {Element} section  The .memdir-section--edit element.
+	 * @param {Element} btn      A .memdir-section-controls__tab-item.
+	 * @returns {Element[]}
+	 */
+	function getTabFields( section, btn ) {
+		var keys = [];
+		try { keys = JSON.parse( btn.dataset.fieldKeys || '[]' ); } catch ( e ) { keys = []; }
+
+		return keys.filter( function ( key ) {
+			return key.indexOf( '_pmp_' ) === -1;
+		} ).map( function ( key ) {
+			return section.querySelector( '.acf-field[data-key="' + key + '"]' )
+				|| document.querySelector( 'body > dialog .acf-field[data-key="' + key + '"]' );
+		} ).filter( function ( acfField ) {
+			return acfField && ! acfField.classList.contains( 'acf-hidden' );
+		} );
+	}
+
+	/**
+	 * Score every edit section.
+	 *
+	 * @returns {Object}  { filled, total, sections: { key: { filled, total, tabs: [ { btn, filled, total } ] } }, next }
+	 */
+	function scoreCompleteness() {
+		var result  = { filled: 0, total: 0, sections: {}, next: null };
+		var empties = [];
+
+		document.querySelectorAll( '.memdir-section--edit[data-section]' ).forEach( function ( section ) {
+			var sectionScore = { filled: 0, total: 0, tabs: [] };
+
+			section.querySelectorAll( '.memdir-section-controls__tab-item' ).forEach( function ( btn ) {
+				var tabScore = { btn: btn, filled: 0, total: 0 };
+
+				getTabFields( section, btn ).forEach( function ( acfField ) {
+					if ( COMPLETENESS_SKIP_TYPES.indexOf( ( acfField.dataset.type || '' ).toLowerCase() ) !== -1 ) { return; }
+
+					var rules  = getFieldRules( acfField );
+					var weight = rules && rules.required ? 2 : 1;
+					tabScore.total += weight;
+
+					if ( isFieldFilled( acfField ) ) {
+						tabScore.filled += weight;
+					} else {
+						// Header fields open their modal via revealField().
+						empties.push( { el: acfField, weight: weight, section: sectionScore } );
+					}
+				} );
+
+				sectionScore.filled += tabScore.filled;
+				sectionScore.total  += tabScore.total;
+				sectionScore.tabs.push( tabScore );
+			} );
+
+			result.sections[ section.dataset.section ] = sectionScore;
+			result.filled += sectionScore.filled;
+			result.total  += sectionScore.total;
+		} );
+
+		// Most important empty field: heaviest first, then emptiest section;
+		// sort is stable so page order breaks the remaining ties.
+		empties.sort( function ( a, b ) {
+			return ( b.weight - a.weight ) || ( completenessRatio( a.section ) - completenessRatio( b.section ) );
+		} );
+		result.next = empties.length ? empties[ 0 ].el : null;
+
+		return result;
+	}
+
+	function completenessRatio( score ) {
+		return score.total ? score.filled / score.total : 1;
+	}
+
+	/**
+	 * Add or update a score badge inside a pill or tab button.
+	 *
+	 * @param {Element} host       The button.
+	 * @param {string}  className  Badge class.
+	 * @param {Object}  score      { filled, total }
+	 */
+	function setScoreBadge( host, className, score ) {
+		var badge = host.querySelector( '.' + className );
+		if ( ! score.total ) {
+			if ( badge ) { badge.remove(); }
+			return;
+		}
+		if ( ! badge ) {
+			badge = document.createElement( 'span' );
+			badge.className = className;
+			host.appendChild( badge );
+		}
+		var percent = Math.round( completenessRatio( score ) * 100 );
+		badge.textContent = percent === 100 ? '\u2713' : percent + '%';
+		badge.classList.toggle( 'is-complete', percent === 100 );
+		badge.title = percent + '% complete';
+		badge.setAttribute( 'aria-label', percent + '% complete' );
+	}
+
+	function renderCompleteness() {
+		completenessTimer = null;
+
+		var panel = document.querySelector( '.memdir-panel__completeness' );
+		if ( ! panel ) { return; }
+
+		var score   = scoreCompleteness();
+		var percent = Math.round( completenessRatio( score ) * 100 );
+
+		panel.querySelector( '.memdir-panel__ring-fill' ).setAttribute( 'stroke-dasharray', percent + ' 100' );
+		panel.querySelector( '.memdir-panel__completeness-value' ).textContent = percent + '% complete';
+		panel.dataset.complete = percent === 100 ? '1' : '0';
+
+		Object.keys( score.sections ).forEach( function ( key ) {
+			var sectionScore = score.sections[ key ];
+			var pill         = document.querySelector( '.memdir-pills .memdir-pill[data-section="' + key + '"]' );
+			if ( pill ) { setScoreBadge( pill, 'memdir-pill__score', sectionScore ); }
+
+			sectionScore.tabs.forEach( function ( tab ) {
+				// Unnamed tabs are identified by their text (readNavState()) -- leave them bare.
+				if ( ! tab.btn.dataset.tab ) { return; }
+				setScoreBadge( tab.btn, 'memdir-section-controls__tab-score', tab );
+			} );
+		} );
+
+		var nextBtn = panel.querySelector( '.memdir-panel__next-field' );
+		nextBtn.hidden = ! score.next;
+		nextBtn._memdirTarget = score.next;
+		if ( score.next ) {
+			nextBtn.textContent = 'Next: add ' + getFieldLabelText( score.next ) + ' \u2192';
+		}
+	}
+
+	/** Rescore on the next tick -- batches the saves of one interaction. */
+	function scheduleCompleteness() {
+		if ( completenessTimer ) { return; }
+		completenessTimer = setTimeout( function () {
+			renderCompleteness();
+			refreshPreview(); // a field filled or emptied changes what viewers see
+		}, 50 );
+	}
+
+	function initCompleteness() {
+		var panel = document.querySelector( '.memdir-panel__completeness' );
+		if ( ! panel ) { return; }
+
+		panel.querySelector( '.memdir-panel__next-field' ).addEventListener( 'click', function () {
+			if ( this._memdirTarget ) { revealField( this._memdirTarget ); }
+		} );
+
+		renderCompleteness();
+	}
+
+	// -----------------------------------------------------------------------
+	// 17. Field search
+	//
+	// "Find a field" box in the right panel. Matches the query against the
+	// label and instructions of every content field in the edit sections
+	// (getTabFields(), 16) and lists the best hits; choosing one hands the
+	// field to revealField() (4b), which activates its pill and tab -- or
+	// opens its header modal -- then focuses and flashes it.
+	//
+	// Matching is forgiving: a substring hit on the label ranks first, then
+	// every query word as a word prefix, then the query letters in order
+	// ("lic" finds "License #", "phn" finds "Phone number").
+	// -----------------------------------------------------------------------
+
+	var FIELD_SEARCH_MAX = 8;
+
+	function normalizeSearchText( text ) {
+		return ( text || '' ).toLowerCase().replace( /\s+/g, ' ' ).trim();
+	}
+
+	/**
+	 * How well a query matches a piece of text; 0 is no match.
+	 *
+	 * @param {string} query  Normalized query.
+	 * @param {string} text   Normalized text.
+	 * @returns {number}
+	 */
+	function fuzzyScore( query, text ) {
+		if ( ! text ) { return 0; }
+
+		var at = text.indexOf( query );
+		if ( at !== -1 ) {
+			return at === 0 || text.charAt( at - 1 ) === ' ' ? 100 : 80;
+		}
+
+		var words = text.split( /[^a-z0-9#]+/ );
+		var allPrefixes = query.split( ' ' ).every( function ( part ) {
+			return words.some( function ( w ) { return w.indexOf( part ) === 0; } );
+		} );
+		if ( allPrefixes ) { return 60; }
+
+		// Letters in order -- fewer skipped characters scores higher.
+		var compact = query.replace( / /g, '' );
+		var pos = -1, gaps = 0;
+		for ( var i = 0; i < compact.length; i++ ) {
+			var next = text.indexOf( compact.charAt( i ), pos + 1 );
+			if ( next === -1 ) { return 0; }
+			if ( pos !== -1 ) { gaps += next - pos - 1; }
+			pos = next;
+		}
+		return Math.max( 1, 40 - gaps );
+	}
+
+	/**
+	 * Every searchable field with its display text.
+	 *
+	 * Built per search: header fields move between their section and <body>
+	 * as their modals open and close.
+	 *
+	 * @returns {Array}  [ { el, label, description, where } ]
+	 */
+	function buildFieldIndex() {
+		var index = [];
+
+		document.querySelectorAll( '.memdir-section--edit[data-section]' ).forEach( function ( section ) {
+			var titleEl      = section.querySelector( '.memdir-section-controls__title' );
+			var sectionLabel = titleEl ? titleEl.textContent.trim() : section.dataset.section;
+
+			section.querySelectorAll( '.memdir-section-controls__tab-item' ).forEach( function ( btn ) {
+				var where = sectionLabel + ( btn.dataset.tab ? ' \u203a ' + btn.dataset.tab : '' );
+
+				getTabFields( section, btn ).forEach( function ( acfField ) {
+					if ( [ 'tab', 'message', 'accordion' ].indexOf( acfField.dataset.type ) !== -1 ) { return; }
+
+					var desc = acfField.querySelector( ':scope > .acf-label .description, :scope > .acf-input > .description' );
+					index.push( {
+						el:          acfField,
+						label:       getFieldLabelText( acfField ),
+						description: desc ? desc.textContent.trim() : '',
+						where:       where
+					} );
+				} );
+			} );
+		} );
+
+		return index;
+	}
+
+	/**
+	 * Best matches for a query, highest first.
+	 *
+	 * @param {string} query
+	 * @returns {Array}  Entries from buildFieldIndex().
+	 */
+	function searchFields( query ) {
+		query = normalizeSearchText( query );
+		if ( ! query ) { return []; }
+
+		return buildFieldIndex().map( function ( entry, i ) {
+			// Instruction hits rank below label hits of the same kind.
+			var score = Math.max(
+				fuzzyScore( query, normalizeSearchText( entry.label ) ),
+				fuzzyScore( query, normalizeSearchText( entry.description ) ) / 2
+			);
+			return { entry: entry, score: score, order: i };
+		} ).filter( function ( hit ) {
+			return hit.score > 0;
+		} ).sort( function ( a, b ) {
+			return ( b.score - a.score ) || ( a.order - b.order );
+		} ).slice( 0, FIELD_SEARCH_MAX ).map( function ( hit ) {
+			return hit.entry;
+		} );
+	}
+
+	function initFieldSearch() {
+		var input = document.querySelector( '.memdir-panel__field-search-input' );
+		var list  = document.getElementById( 'memdir-field-search-results' );
+		if ( ! input || ! list ) { return; }
+
+		var results = [];
+		var active  = -1;
+
+		function setActive( i ) {
+			active = i;
+			Array.from( list.children ).forEach( function ( li, n ) {
+				li.setAttribute( 'aria-selected', n === i ? 'true' : 'false' );
+				li.classList.toggle( 'is-active', n === i );
+			} );
+			if ( i >= 0 && list.children[ i ] ) {
+				input.setAttribute( 'aria-activedescendant', list.children[ i ].id );
+				list.children[ i ].scrollIntoView( { block: 'nearest' } );
+			} else {
+				input.removeAttribute( 'aria-activedescendant' );
+			}
+		}
+
+		function close() {
+			list.hidden = true;
+			input.setAttribute( 'aria-expanded', 'false' );
+			setActive( -1 );
+		}
+
+		function render() {
+			results = searchFields( input.value );
+			list.innerHTML = '';
+
+			if ( ! input.value.trim() ) {
+				close();
+				return;
+			}
+
+			if ( ! results.length ) {
+				var empty = document.createElement( 'li' );
+				empty.className = 'memdir-panel__field-search-empty';
+				empty.setAttribute( 'role', 'presentation' );
+				empty.textContent = 'No matching fields.';
+				list.appendChild( empty );
+			}
+
+			results.forEach( function ( entry, i ) {
+				var li = document.createElement( 'li' );
+				li.id = 'memdir-field-search-option-' + i;
+				li.className = 'memdir-panel__field-search-option';
+				li.setAttribute( 'role', 'option' );
+
+				var label = document.createElement( 'span' );
+				label.className = 'memdir-panel__field-search-label';
+				label.textContent = entry.label;
+				li.appendChild( label );
+
+				var where = document.createElement( 'span' );
+				where.className = 'memdir-panel__field-search-where';
+				where.textContent = entry.where;
+				li.appendChild( where );
+
+				// mousedown keeps focus off the option so blur doesn't close first.
+				li.addEventListener( 'mousedown', function ( e ) { e.preventDefault(); } );
+				li.addEventListener( 'click', function () { choose( i ); } );
+				list.appendChild( li );
+			} );
+
+			list.hidden = false;
+			input.setAttribute( 'aria-expanded', 'true' );
+			setActive( results.length ? 0 : -1 );
+		}
+
+		function choose( i ) {
+			var entry = results[ i ];
+			if ( ! entry ) { return; }
+			input.value = '';
+			close();
+			revealField( entry.el );
+		}
+
+		input.addEventListener( 'input', render );
+		input.addEventListener( 'focus', function () { if ( input.value.trim() ) { render(); } } );
+		input.addEventListener( 'blur', close );
+
+		input.addEventListener( 'keydown', function ( e ) {
+			if ( e.key === 'ArrowDown' || e.key === 'ArrowUp' ) {
+				if ( list.hidden ) { render(); }
+				if ( ! results.length ) { return; }
+				e.preventDefault();
+				var step = e.key === 'ArrowDown' ? 1 : -1;
+				setActive( ( active + step + results.length ) % results.length );
+			} else if ( e.key === 'Enter' ) {
+				if ( active >= 0 ) {
+					e.preventDefault();
+					choose( active );
+				}
+			} else if ( e.key === 'Escape' && ! list.hidden ) {
+				e.preventDefault();
+				close();
+			}
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 18. View As preview
+	//
+	// In edit mode the right panel's Member / Public buttons preview the
+	// profile in place instead of following their ?view_as= link: no
+	// reload, so the active pill, tab and scroll position stay put. Edit
+	// returns to editing; modifier-clicks still open the real view.
+	//
+	// What a viewer would not see gets .memdir-preview-hidden -- blurred,
+	// or hidden with "Hide instead of blur":
+	//
+	//   fields   -- waterfall level (resolveFieldPmp(), 9) the viewer can't
+	//               see, or empty (view mode renders nothing for them)
+	//   tabs     -- every field hidden
+	//   sections -- no field shown, as section-view.php drops them; their
+	//               pill too, and disabled sections' pills
+	//
+	// Header fields are left alone: the header is not PMP-filtered.
+	// Recomputed on PMP changes and, via scheduleCompleteness(), on saves.
+	// -----------------------------------------------------------------------
+
+	var previewLevel = ''; // '' (editing) | 'member' | 'public' | an audience
+
+	var PREVIEW_VIEWERS = {
+		'member': 'a member',
+		'public': 'the public',
+	};
+
+	Object.keys( PMP_AUDIENCES ).forEach( function ( value ) {
+		PREVIEW_VIEWERS[ value ] = 'a member of ' + PMP_AUDIENCES[ value ];
+	} );
+
+	/**
+	 * Whether a viewer at a preview level sees a resolved PMP level.
+	 * Mirrors step 3 of PmpResolver::can_view(). Like spoof_viewer(), the
+	 * previewed member is nobody in particular -- outside the Trust Network
+	 * and not a connection -- so 'trusted' and 'connections' stay hidden.
+	 * An audience preview is a member in that one audience only.
+	 *
+	 * @param {string} pmp    An explicit level, e.g. 'public' or 'trusted'
+	 * @param {string} level  'member' | 'public' | an audience value
+	 * @returns {boolean}
+	 */
+	function previewCanView( pmp, level ) {
+		if ( pmp === 'public' ) { return true; }
+		if ( pmp === 'member' ) { return level !== 'public'; }
+		return !! PMP_AUDIENCES[ pmp ] && pmp === level;
+	}
+
+	function refreshPreview() {
+		var profile = document.querySelector( '.memdir-profile--edit' );
+		if ( ! profile ) { return; }
+
+		profile.querySelectorAll( '.memdir-preview-hidden' ).forEach( function ( el ) {
+			el.classList.remove( 'memdir-preview-hidden' );
+		} );
+		profile.querySelectorAll( '[data-preview-note]' ).forEach( function ( el ) {
+			delete el.dataset.previewNote;
+		} );
+		if ( ! previewLevel ) { return; }
+
+		var hiddenFields = 0;
+
+		document.querySelectorAll( '.memdir-section--edit[data-section]' ).forEach( function ( section ) {
+			var shown = 0;
+
+			section.querySelectorAll( '.memdir-section-controls__tab-item' ).forEach( function ( btn ) {
+				if ( ( btn.dataset.tab || '' ).toLowerCase().indexOf( 'header' ) !== -1 ) { return; }
+
+				var tabShown = 0;
+				getTabFields( section, btn ).forEach( function ( acfField ) {
+					if ( [ 'tab', 'message', 'accordion' ].indexOf( acfField.dataset.type ) !== -1 ) { return; }
+
+					var wrap = acfField.querySelector( '.memdir-field-pmp[data-field-key="' + acfField.dataset.key + '"]' );
+					var pmp  = resolveFieldPmp( section, wrap ? wrap.dataset.storedPmp : 'inherit' ).pmp;
+
+					if ( previewCanView( pmp, previewLevel ) && isFieldFilled( acfField ) ) {
+						tabShown++;
+					} else {
+						acfField.classList.add( 'memdir-preview-hidden' );
+						hiddenFields++;
+					}
+				} );
+
+				shown += tabShown;
+				if ( ! tabShown ) { btn.classList.add( 'memdir-preview-hidden' ); }
+			} );
+
+			if ( ! shown ) {
+				section.classList.add( 'memdir-preview-hidden' );
+				section.dataset.previewNote = 'Not shown to ' + PREVIEW_VIEWERS[ previewLevel ] + ' \u2014 nothing here is visible to them.';
+				var pill = document.querySelector( '.memdir-pills .memdir-pill[data-section="' + section.dataset.section + '"]' );
+				if ( pill ) { pill.classList.add( 'memdir-preview-hidden' ); }
+			}
+		} );
+
+		document.querySelectorAll( '.memdir-pills .memdir-pill--disabled' ).forEach( function ( pill ) {
+			pill.classList.add( 'memdir-preview-hidden' );
+		} );
+
+		var text = document.querySelector( '.memdir-panel__preview-text' );
+		if ( text ) {
+			text.textContent = 'Previewing as ' + PREVIEW_VIEWERS[ previewLevel ] + ' \u2014 '
+				+ hiddenFields + ( hiddenFields === 1 ? ' field' : ' fields' ) + ' not shown to them.';
+		}
+	}
+
+	/**
+	 * Enter or leave in-place preview.
+	 *
+	 * @param {string} level  'member' | 'public' | an audience | '' to go back to editing.
+	 */
+	function setPreviewLevel( level ) {
+		var profile = document.querySelector( '.memdir-profile--edit' );
+		var panel   = document.querySelector( '.memdir-panel__preview' );
+		if ( ! profile || ! panel ) { return; }
+
+		previewLevel = PREVIEW_VIEWERS[ level ] ? level : '';
+		profile.classList.toggle( 'memdir-profile--preview', !! previewLevel );
+		panel.hidden = ! previewLevel;
+
+		document.querySelectorAll( '.memdir-panel__view-btn' ).forEach( function ( btn ) {
+			var btnLevel = new URL( btn.href, window.location.href ).searchParams.get( 'view_as' ) || '';
+			btn.classList.toggle( 'is-active', btnLevel === previewLevel );
+			if ( previewLevel && btnLevel === previewLevel ) {
+				panel.querySelector( '.memdir-panel__preview-full' ).href = btn.href;
+			}
+		} );
+
+		refreshPreview();
+	}
+
+	function initViewAsPreview() {
+		var profile = document.querySelector( '.memdir-profile--edit' );
+		var panel   = document.querySelector( '.memdir-panel__preview' );
+		if ( ! profile || ! panel ) { return; }
+
+		document.querySelectorAll( '.memdir-panel__view-btn' ).forEach( function ( btn ) {
+			btn.addEventListener( 'click', function ( e ) {
+				if ( e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey ) { return; }
+				e.preventDefault();
+				setPreviewLevel( new URL( btn.href, window.location.href ).searchParams.get( 'view_as' ) || '' );
+			} );
+		} );
+
+		panel.querySelector( '[data-preview-hide]' ).addEventListener( 'change', function () {
+			profile.classList.toggle( 'memdir-profile--preview-hide', this.checked );
+		} );
+
+		// PMP option handlers (8, 9, 9a) update the DOM optimistically
+		// before this bubbles up.
+		document.addEventListener( 'click', function ( e ) {
+			if ( previewLevel && e.target.closest && e.target.closest( '.memdir-pmp-dropdown__option' ) ) {
+				refreshPreview();
+			}
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 19. Privacy presets
+	//
+	// .memdir-panel__presets carries every preset spelled out against this
+	// site's sections and fields (PmpPresets::resolve_all()): global, then
+	// section_key => pmp and companion_name => pmp. The profile matches a
+	// preset when every PMP control on the page agrees with it; otherwise
+	// it is "Custom", and drifted if a preset was applied before.
+	// -----------------------------------------------------------------------
+
+	var pmpRefreshTimer = null;
+
+	/**
+	 * The PMP values the page's controls currently hold.
+	 *
+	 * @returns {{global: string, sections: Object, fields: Object}}
+	 */
+	function readPmpState() {
+		var globalDropdown = findPmpDropdown( { context: 'global', key: '' } );
+		var state = { global: globalDropdown ? globalDropdown.dataset.pmp : '', sections: {}, fields: {} };
+
+		document.querySelectorAll( '.memdir-section--edit[data-section]' ).forEach( function ( section ) {
+			var dropdown = findPmpDropdown( { context: 'section', key: section.dataset.section } );
+			if ( dropdown ) { state.sections[ section.dataset.section ] = dropdown.dataset.pmp || 'inherit'; }
+		} );
+		document.querySelectorAll( '.memdir-field-pmp[data-companion-name]' ).forEach( function ( wrap ) {
+			state.fields[ wrap.dataset.companionName ] = wrap.dataset.storedPmp || 'inherit';
+		} );
+
+		return state;
+	}
+
+	function presetMatches( preset, state ) {
+		if ( preset.global !== state.global ) { return false; }
+
+		return Object.keys( state.sections ).every( function ( key ) {
+			return ( preset.sections[ key ] || 'inherit' ) === state.sections[ key ];
+		} ) && Object.keys( state.fields ).every( function ( name ) {
+			return ( preset.fields[ name ] || 'inherit' ) === state.fields[ name ];
+		} );
+	}
+
+	function refreshPresets() {
+		var panel = document.querySelector( '.memdir-panel__presets' );
+		if ( ! panel ) { return; }
+
+		var presets = JSON.parse( panel.dataset.presets || '{}' );
+		var state   = readPmpState();
+		var matched = '';
+
+		Object.keys( presets ).some( function ( key ) {
+			if ( presetMatches( presets[ key ], state ) ) { matched = key; }
+			return !! matched;
+		} );
+
+		panel.querySelectorAll( '.memdir-panel__preset-btn' ).forEach( function ( btn ) {
+			btn.classList.toggle( 'is-active', btn.dataset.preset === matched );
+			btn.setAttribute( 'aria-pressed', btn.dataset.preset === matched ? 'true' : 'false' );
+		} );
+
+		var applied = presets[ panel.dataset.applied ];
+		var status  = panel.querySelector( '.memdir-panel__preset-status' );
+		if ( matched ) {
+			status.textContent = 'Matches \u201c' + presets[ matched ].label + '\u201d.';
+		} else if ( applied ) {
+			status.textContent = 'Custom \u2014 changed since \u201c' + applied.label + '\u201d was applied.';
+		} else {
+			status.textContent = 'Custom settings.';
+		}
+	}
+
+	/**
+	 * Re-derive what hangs off the PMP controls -- the matched preset (19)
+	 * and the pending-change notes (21) -- once per burst of changes.
+	 */
+	function schedulePmpRefresh() {
+		if ( pmpRefreshTimer ) { return; }
+		pmpRefreshTimer = setTimeout( function () {
+			pmpRefreshTimer = null;
+			refreshPresets();
+			refreshPmpSchedules();
+		}, 50 );
+	}
+
+	/**
+	 * Apply a preset: one request, then every control on the page is set
+	 * the way a synced save from another tab would set it.
+	 *
+	 * @param {Element} panel
+	 * @param {Element} btn    The preset's button.
+	 */
+	function applyPreset( panel, btn ) {
+		var nav    = document.querySelector( '.memdir-pills' );
+		var postId = nav ? ( nav.dataset.postId || '' ) : '';
+		if ( ! postId ) { return; }
+
+		if ( ! confirm( 'Apply \u201c' + btn.textContent.trim() + '\u201d? This replaces the visibility of your whole profile, every section and every field.' ) ) {
+			return;
+		}
+
+		var ajaxUrl = ( window.mdAjax && window.mdAjax.ajaxurl )
+			? window.mdAjax.ajaxurl : '/wp-admin/admin-ajax.php';
+		var nonce = ( window.mdAjax && window.mdAjax.nonce )
+			? window.mdAjax.nonce : '';
+
+		var formData = new FormData();
+		formData.set( 'action',  'memdir_ajax_apply_pmp_preset' );
+		formData.set( 'nonce',   nonce );
+		formData.set( 'post_id', postId );
+		formData.set( 'preset',  btn.dataset.preset );
+
+		panel.querySelectorAll( '.memdir-panel__preset-btn' ).forEach( function ( b ) { b.disabled = true; } );
+
+		var request = fetch( ajaxUrl, { method: 'POST', credentials: 'same-origin', body: formData } )
+			.then( function ( r ) { return r.json(); } );
+
+		trackSaveRequest( 'pmp:preset', {
+			label: 'Privacy preset',
+			el:    btn,
+			retry: function () { btn.click(); },
+		}, request )
+			.then( function ( data ) {
+				if ( ! data.success ) {
+					console.error( 'MemberDirectory: privacy preset AJAX error', data );
+					return;
+				}
+
+				var messages = [ { type: 'pmp', target: { context: 'global', key: '' }, pmp: data.data.global } ];
+				Object.keys( data.data.sections ).forEach( function ( key ) {
+					messages.push( { type: 'pmp', target: { context: 'section', key: key }, pmp: data.data.sections[ key ] } );
+				} );
+				Object.keys( data.data.fields ).forEach( function ( name ) {
+					var wrap = document.querySelector( '.memdir-field-pmp[data-companion-name="' + name + '"]' );
+					if ( wrap ) {
+						messages.push( { type: 'pmp', target: { context: 'field', key: wrap.dataset.fieldKey }, pmp: data.data.fields[ name ] } );
+					}
+				} );
+
+				messages.forEach( function ( message ) {
+					applySyncedPmp( message );
+					broadcastSync( message );
+				} );
+
+				panel.dataset.applied = data.data.preset;
+				refreshPresets();
+			} )
+			.catch( function ( err ) {
+				console.error( 'MemberDirectory: privacy preset AJAX failed', err );
+			} )
+			.then( function () {
+				panel.querySelectorAll( '.memdir-panel__preset-btn' ).forEach( function ( b ) { b.disabled = false; } );
+			} );
+	}
+
+	function initPresets() {
+		var panel = document.querySelector( '.memdir-panel__presets' );
+		if ( ! panel ) { return; }
+
+		panel.querySelectorAll( '.memdir-panel__preset-btn' ).forEach( function ( btn ) {
+			btn.addEventListener( 'click', function () { applyPreset( panel, btn ); } );
+		} );
+
+		refreshPresets();
+	}
+
+	// -----------------------------------------------------------------------
+	// 20. Privacy report
+	//
+	// "What can others see?" -- PrivacyReport::build() groups every filled
+	// field by the level the waterfall resolves it to. Each entry jumps to
+	// the field's own PMP control (header fields, which have none, to the
+	// field itself). The printable version is a separate server page.
+	// -----------------------------------------------------------------------
+
+	var REPORT_SOURCES = {
+		'field':   'its own setting',
+		'section': 'the section setting',
+		'global':  'your global default',
+		'header':  'the profile header, always shown',
+	};
+
+	/**
+	 * Close the report and bring a field's PMP control into view.
+	 *
+	 * @param {string} fieldKey
+	 */
+	function revealReportField( fieldKey ) {
+		var control = document.querySelector( '.memdir-field-pmp[data-field-key="' + fieldKey + '"] .memdir-pmp-dropdown' );
+		revealField( control || document.querySelector( '.memdir-section--edit .acf-field[data-key="' + fieldKey + '"]' ) );
+	}
+
+	function buildReportGroup( group, closeModal ) {
+		var wrap = document.createElement( 'div' );
+		wrap.className = 'memdir-report-modal__group memdir-report-modal__group--' + group.level;
+
+		var heading = document.createElement( 'p' );
+		heading.className = 'memdir-report-modal__level';
+		heading.textContent = group.label + ' \u00b7 ' + group.fields.length;
+		wrap.appendChild( heading );
+
+		var note = document.createElement( 'p' );
+		note.className = 'memdir-report-modal__note';
+		note.textContent = group.note;
+		wrap.appendChild( note );
+
+		group.fields.forEach( function ( field ) {
+			var row = document.createElement( 'div' );
+			row.className = 'memdir-report-modal__field';
+
+			var text = document.createElement( 'span' );
+			text.className = 'memdir-report-modal__value';
+			var label = document.createElement( 'strong' );
+			label.textContent = field.label;
+			text.appendChild( label );
+			text.appendChild( document.createTextNode( field.value ) );
+			var where = document.createElement( 'span' );
+			where.className = 'memdir-report-modal__where';
+			where.textContent = field.section_label + ' \u2014 set by ' + ( REPORT_SOURCES[ field.source ] || field.source );
+			text.appendChild( where );
+			row.appendChild( text );
+
+			var btn = document.createElement( 'button' );
+			btn.type = 'button';
+			btn.className = 'memdir-report-modal__jump';
+			btn.textContent = field.source === 'header' ? 'Edit' : 'Change';
+			btn.title = field.source === 'header'
+				? 'Go to ' + field.label
+				: 'Go to the visibility control for ' + field.label;
+			btn.addEventListener( 'click', function () {
+				closeModal();
+				revealReportField( field.key );
+			} );
+			row.appendChild( btn );
+
+			wrap.appendChild( row );
+		} );
+
+		return wrap;
+	}
+
+	/**
+	 * Open the privacy report dialog.
+	 *
+	 * @param {string} postId
+	 * @param {string} printUrl  PrivacyReport::print_url() for this profile.
+	 */
+	function openPrivacyReport( postId, printUrl ) {
+		var dialog = document.createElement( 'dialog' );
+		dialog.className = 'memdir-report-modal';
+		dialog.innerHTML =
+			'<div class="memdir-draft-modal__header">' +
+				'<h3 class="memdir-draft-modal__title">Privacy report</h3>' +
+				'<button type="button" class="memdir-draft-modal__close" aria-label="Close">&times;</button>' +
+			'</div>' +
+			'<div class="memdir-draft-modal__body"><p class="memdir-draft-modal__intro">Loading report\u2026</p></div>' +
+			'<p class="memdir-draft-modal__error" role="alert"></p>' +
+			'<div class="memdir-draft-modal__actions">' +
+				'<a class="memdir-report-modal__print" target="_blank" rel="noopener">Printable version</a>' +
+				'<a class="memdir-report-modal__download" download>Download</a>' +
+			'</div>';
+
+		dialog.querySelector( '.memdir-report-modal__print' ).href    = printUrl;
+		dialog.querySelector( '.memdir-report-modal__download' ).href = printUrl + ( printUrl.indexOf( '?' ) === -1 ? '?' : '&' ) + 'download=1';
+
+		document.body.appendChild( dialog );
+		dialog.showModal();
+
+		var body    = dialog.querySelector( '.memdir-draft-modal__body' );
+		var errorEl = dialog.querySelector( '.memdir-draft-modal__error' );
+
+		function closeModal() {
+			dialog.close();
+			dialog.remove();
+		}
+
+		function showError( res, fallback ) {
+			errorEl.textContent = ( res && res.data && res.data.message ) ? res.data.message : fallback;
+			errorEl.style.display = 'block';
+		}
+
+		dialog.querySelector( '.memdir-draft-modal__close' ).addEventListener( 'click', closeModal );
+		dialog.addEventListener( 'click', function ( e ) {
+			if ( e.target === dialog ) { closeModal(); }
+		} );
+
+		postPanelAction( 'memdir_ajax_privacy_report', postId )
+			.then( function ( res ) {
+				if ( ! res.success ) { showError( res, 'Could not load the report.' ); return; }
+
+				var groups = res.data.groups || [];
+				body.innerHTML = '';
+
+				var intro = document.createElement( 'p' );
+				intro.className = 'memdir-draft-modal__intro';
+				intro.textContent = groups.length
+					? 'Every filled-in field, grouped by who can see it. Saved changes only.'
+					: 'Your profile has no filled-in fields yet.';
+				body.appendChild( intro );
+
+				groups.forEach( function ( group ) {
+					body.appendChild( buildReportGroup( group, closeModal ) );
+				} );
+
+				if ( res.data.hidden_sections && res.data.hidden_sections.length ) {
+					var hidden = document.createElement( 'p' );
+					hidden.className = 'memdir-report-modal__note';
+					hidden.textContent = 'Switched off, so not shown to anyone: ' + res.data.hidden_sections.join( ', ' ) + '.';
+					body.appendChild( hidden );
+				}
+			} )
+			.catch( function ( err ) {
+				showError( null, 'Could not load the report.' );
+				console.error( 'MemberDirectory: privacy report failed', err );
+			} );
+	}
+
+	function initPrivacyReport() {
+		var btn     = document.querySelector( '.memdir-panel__report-btn' );
+		var section = document.querySelector( '.memdir-section--edit[data-post-id]' );
+		if ( ! btn || ! section ) { return; }
+
+		btn.addEventListener( 'click', function () {
+			openPrivacyReport( section.dataset.postId, btn.dataset.printUrl );
+		} );
+	}
+
+	// -----------------------------------------------------------------------
+	// 21. Scheduled PMP
+	//
+	// Every global, section and field PMP dropdown ends with "Schedule a
+	// change…": one or more dates, each with the level to switch to on it --
+	// a sabbatical is "Private from June 1st", then "Public from September
+	// 1st". PmpSchedule's daily cron writes them; until then a note after the
+	// control's eyebrow shows what is coming. A section that inherits also
+	// shows the global default's pending changes, since those will reach it.
+	// -----------------------------------------------------------------------
+
+	/** target => [ { at: 'Y-m-d', pmp }, ... ] -- PmpSchedule::get() for this profile. */
+	var pmpSchedule = ( window.mdAjax && window.mdAjax.pmpSchedule ) || {};
+
+	/** Mirrors PmpSchedule::MAX_CHANGES. */
+	var SCHEDULE_MAX_CHANGES = 10;
+
+	/**
+	 * A schedule date for display. Parsed as a local date -- new Date( 'Y-m-d' )
+	 * is UTC midnight and shows the day before west of Greenwich.
+	 *
+	 * @param {string} at  'Y-m-d'.
+	 * @returns {string}  e.g. "1 Mar 2027".
+	 */
+	function formatScheduleDate( at ) {
+		var parts = at.split( '-' );
+		return new Date( +parts[ 0 ], parts[ 1 ] - 1, +parts[ 2 ] ).toLocaleDateString( undefined, {
+			day: 'numeric', month: 'short', year: 'numeric',
+		} );
+	}
+
+	/**
+	 * @param {Object[]} changes  A target's pending changes, in date order.
+	 * @returns {string}  e.g. "→ Private from 1 Jun 2027, then Public from 1 Sep 2027".
+	 */
+	function describeSchedule( changes ) {
+		return '\u2192 ' + changes.map( function ( entry ) {
+			var label = entry.pmp === 'inherit' ? 'Inherit' : ( PMP_LABELS[ entry.pmp ] || entry.pmp );
+			return label + ' from ' + formatScheduleDate( entry.at );
+		} ).join( ', then ' );
+	}
+
+	/**
+	 * Set (or hide) the pending-change note right after an eyebrow. The
+	 * eyebrows' own text is rewritten all the time, so the note is a sibling.
+	 *
+	 * @param {Element} anchor
+	 * @param {string}  text    '' hides the note.
+	 */
+	function setPendingNote( anchor, text ) {
+		var note = anchor.nextElementSibling;
+		if ( ! note || ! note.classList.contains( 'memdir-pmp-pending' ) ) {
+			if ( ! text ) { return; }
+			note = document.createElement( 'span' );
+			note.className = 'memdir-pmp-pending';
+			anchor.parentNode.insertBefore( note, anchor.nextSibling );
+		}
+		note.textContent = text;
+		note.hidden      = ! text;
+	}
+
+	function refreshPmpSchedules() {
+		var globalChanges = pmpSchedule.global;
+
+		var globalDropdown = findPmpDropdown( { context: 'global', key: '' } );
+		if ( globalDropdown ) {
+			setPendingNote( globalDropdown, globalChanges ? describeSchedule( globalChanges ) : '' );
+		}
+
+		document.querySelectorAll( '.memdir-section--edit[data-section]' ).forEach( function ( section ) {
+			var status = section.querySelector( '.memdir-section-controls__pmp-status' );
+			if ( ! status ) { return; }
+
+			var own = pmpSchedule[ 'section:' + section.dataset.section ];
+			if ( own ) {
+				setPendingNote( status, describeSchedule( own ) );
+			} else if ( globalChanges && status.dataset.pmpMode === 'inherit' ) {
+				setPendingNote( status, 'Global ' + describeSchedule( globalChanges ) );
+			} else {
+				setPendingNote( status, '' );
+			}
+		} );
+
+		document.querySelectorAll( '.memdir-field-pmp[data-companion-name]' ).forEach( function ( wrap ) {
+			var statusEl = wrap.querySelector( '.memdir-field-pmp__status' );
+			var changes  = pmpSchedule[ 'field:' + wrap.dataset.companionName ];
+			if ( statusEl ) { setPendingNote( statusEl, changes ? describeSchedule( changes ) : '' ); }
+		} );
+
+		document.querySelectorAll( '.memdir-pmp-dropdown__schedule' ).forEach( function ( btn ) {
+			btn.textContent = pmpSchedule[ btn.dataset.target ]
+				? 'Edit scheduled changes\u2026'
+				: 'Schedule a change\u2026';
+		} );
+	}
+
+	function setPmpSchedule( schedule ) {
+		pmpSchedule = schedule;
+		refreshPmpSchedules();
+	}
+
+	/**
+	 * Open the schedule dialog for one dropdown: a row per pending change,
+	 * saved together -- the server replaces the target's whole list.
+	 *
+	 * @param {string}  postId
+	 * @param {Element} dropdown  The .memdir-pmp-dropdown being scheduled.
+	 * @param {string}  target    'global', 'section:{key}' or 'field:{companion_name}'.
+	 * @param {string}  what      What the setting is, for the intro.
+	 */
+	function openScheduleDialog( postId, dropdown, target, what ) {
+		var existing = pmpSchedule[ target ] || [];
+
+		var dialog = document.createElement( 'dialog' );
+		dialog.className = 'memdir-draft-modal memdir-schedule-modal';
+		dialog.innerHTML =
+			'<div class="memdir-draft-modal__header">' +
+				'<h3 class="memdir-draft-modal__title">Schedule visibility changes</h3>' +
+				'<button type="button" class="memdir-draft-modal__close" aria-label="Close">&times;</button>' +
+			'</div>' +
+			'<div class="memdir-draft-modal__body">' +
+				'<p class="memdir-draft-modal__intro"></p>' +
+				'<div class="memdir-schedule-modal__changes"></div>' +
+				'<button type="button" class="memdir-schedule-modal__add">+ Add another change</button>' +
+			'</div>' +
+			'<p class="memdir-draft-modal__error" role="alert"></p>' +
+			'<div class="memdir-draft-modal__actions">' +
+				'<button type="button" class="memdir-draft-modal__discard">Remove all</button>' +
+				'<button type="button" class="memdir-draft-modal__cancel">Cancel</button>' +
+				'<button type="button" class="memdir-draft-modal__publish">Save</button>' +
+			'</div>';
+
+		dialog.querySelector( '.memdir-draft-modal__intro' ).textContent =
+			'Switch ' + what + ' automatically on a date \u2014 to end a public period, to start one, ' +
+			'or both for a break with a return date. Changes are applied once a day, shortly after midnight.';
+
+		var tomorrow = new Date();
+		tomorrow.setDate( tomorrow.getDate() + 1 );
+		var minDate = tomorrow.getFullYear() + '-' +
+			String( tomorrow.getMonth() + 1 ).padStart( 2, '0' ) + '-' +
+			String( tomorrow.getDate() ).padStart( 2, '0' );
+
+		var list      = dialog.querySelector( '.memdir-schedule-modal__changes' );
+		var addBtn    = dialog.querySelector( '.memdir-schedule-modal__add' );
+		var removeBtn = dialog.querySelector( '.memdir-draft-modal__discard' );
+		var saveBtn   = dialog.querySelector( '.memdir-draft-modal__publish' );
+		var errorEl   = dialog.querySelector( '.memdir-draft-modal__error' );
+		removeBtn.hidden = ! existing.length;
+
+		/**
+		 * Add a change row. A first row defaults to the opposite of the
+		 * current level, later ones to the current level -- the way back.
+		 */
+		function addRow( entry ) {
+			var row = document.createElement( 'div' );
+			row.className = 'memdir-schedule-modal__change';
+			row.innerHTML =
+				'<label class="memdir-schedule-modal__row">On <input type="date" class="memdir-schedule-modal__date" required></label>' +
+				'<label class="memdir-schedule-modal__row">change to <select class="memdir-schedule-modal__pmp"></select></label>' +
+				'<button type="button" class="memdir-schedule-modal__remove" aria-label="Remove this change">&times;</button>';
+
+			var select = row.querySelector( '.memdir-schedule-modal__pmp' );
+			dropdown.querySelectorAll( '.memdir-pmp-dropdown__option' ).forEach( function ( opt ) {
+				var option = document.createElement( 'option' );
+				option.value       = opt.dataset.pmp;
+				option.textContent = PMP_TRIGGER_LABELS[ opt.dataset.pmp ] || opt.dataset.pmp;
+				select.appendChild( option );
+			} );
+
+			var dateInput = row.querySelector( '.memdir-schedule-modal__date' );
+			dateInput.min = minDate;
+
+			if ( entry ) {
+				dateInput.value = entry.at;
+				select.value    = entry.pmp;
+			} else if ( list.children.length ) {
+				select.value = dropdown.dataset.pmp;
+			} else {
+				select.value = dropdown.dataset.pmp === 'private' ? 'public' : 'private';
+			}
+
+			row.querySelector( '.memdir-schedule-modal__remove' ).addEventListener( 'click', function () {
+				row.remove();
+				if ( ! list.children.length ) { addRow( null ); }
+				addBtn.hidden = false;
+			} );
+
+			list.appendChild( row );
+			addBtn.hidden = list.children.length >= SCHEDULE_MAX_CHANGES;
+		}
+
+		if ( existing.length ) {
+			existing.forEach( addRow );
+		} else {
+			addRow( null );
+		}
+
+		document.body.appendChild( dialog );
+		dialog.showModal();
+
+		function closeModal() {
+			dialog.close();
+			dialog.remove();
+		}
+
+		function showError( res, fallback ) {
+			errorEl.textContent = ( res && res.data && res.data.message ) ? res.data.message : fallback;
+			errorEl.style.display = 'block';
+		}
+
+		/**
+		 * @param {Object} changes  'changes[Y-m-d]' => pmp; empty clears the target.
+		 */
+		function save( changes ) {
+			var extra = { target: target };
+			Object.keys( changes ).forEach( function ( k ) { extra[ k ] = changes[ k ]; } );
+
+			saveBtn.disabled = removeBtn.disabled = true;
+			postPanelAction( 'memdir_ajax_save_pmp_schedule', postId, extra )
+				.then( function ( res ) {
+					if ( ! res.success ) { showError( res, 'Could not save the changes.' ); return; }
+					setPmpSchedule( res.data.schedule );
+					broadcastSync( { type: 'schedule', schedule: res.data.schedule } );
+					closeModal();
+				} )
+				.catch( function ( err ) {
+					showError( null, 'Could not save the changes.' );
+					console.error( 'MemberDirectory: PMP schedule save failed', err );
+				} )
+				.then( function () {
+					saveBtn.disabled = removeBtn.disabled = false;
+				} );
+		}
+
+		dialog.querySelector( '.memdir-draft-modal__close' ).addEventListener( 'click', closeModal );
+		dialog.querySelector( '.memdir-draft-modal__cancel' ).addEventListener( 'click', closeModal );
+		dialog.addEventListener( 'click', function ( e ) {
+			if ( e.target === dialog ) { closeModal(); }
+		} );
+
+		addBtn.addEventListener( 'click', function () {
+			addRow( null );
+			list.lastElementChild.querySelector( '.memdir-schedule-modal__date' ).focus();
+		} );
+
+		saveBtn.addEventListener( 'click', function () {
+			var changes = {};
+			var problem = '';
+
+			list.querySelectorAll( '.memdir-schedule-modal__change' ).forEach( function ( row ) {
+				var at = row.querySelector( '.memdir-schedule-modal__date' ).value;
+				if ( ! at ) {
+					problem = problem || 'Pick a date for every change.';
+				} else if ( changes[ 'changes[' + at + ']' ] ) {
+					problem = problem || 'Each change needs its own date.';
+				} else {
+					changes[ 'changes[' + at + ']' ] = row.querySelector( '.memdir-schedule-modal__pmp' ).value;
+				}
+			} );
+
+			if ( problem ) { showError( null, problem ); return; }
+			save( changes );
+		} );
+		removeBtn.addEventListener( 'click', function () { save( {} ); } );
+	}
+
+	/**
+	 * Append "Schedule a change…" to a dropdown's menu. Not an
+	 * .memdir-pmp-dropdown__option: picking it must not count as a PMP
+	 * change for undo (12) or the View As preview (18).
+	 */
+	function addScheduleItem( postId, dropdown, target, what ) {
+		var menu = dropdown.querySelector( '.memdir-pmp-dropdown__menu' );
+		if ( ! menu ) { return; }
+
+		var li = document.createElement( 'li' );
+		li.setAttribute( 'role', 'none' );
+
+		var btn = document.createElement( 'button' );
+		btn.type = 'button';
+		btn.className      = 'memdir-pmp-dropdown__schedule';
+		btn.tabIndex       = -1;
+		btn.dataset.target = target;
+		btn.addEventListener( 'click', function () {
+			togglePmpDropdown( dropdown, false );
+			openScheduleDialog( postId, dropdown, target, what );
+		} );
+
+		li.appendChild( btn );
+		menu.appendChild( li );
+	}
+
+	function initPmpSchedules() {
+		var first = document.querySelector( '.memdir-section--edit[data-post-id]' );
+		if ( ! first || ! window.mdAjax || ! window.mdAjax.pmpSchedule ) { return; }
+
+		var postId = first.dataset.postId;
+
+		var globalDropdown = findPmpDropdown( { context: 'global', key: '' } );
+		if ( globalDropdown ) {
+			addScheduleItem( postId, globalDropdown, 'global', 'your global default' );
+		}
+
+		document.querySelectorAll( '.memdir-section--edit[data-section]' ).forEach( function ( section ) {
+			var dropdown = findPmpDropdown( { context: 'section', key: section.dataset.section } );
+			if ( dropdown ) {
+				addScheduleItem( postId, dropdown, 'section:' + section.dataset.section, 'this section' );
+			}
+		} );
+
+		document.querySelectorAll( '.memdir-field-pmp[data-companion-name]' ).forEach( function ( wrap ) {
+			var dropdown = wrap.querySelector( '.memdir-pmp-dropdown' );
+			if ( dropdown && wrap.dataset.companionName ) {
+				addScheduleItem( postId, dropdown, 'field:' + wrap.dataset.companionName,
+					wrap.dataset.fieldLabel ? '\u201c' + wrap.dataset.fieldLabel + '\u201d' : 'this field' );
+			}
+		} );
+
+		refreshPmpSchedules();
+	}
+
 	// -----------------------------------------------------------------------
 	// Boot
 	// -----------------------------------------------------------------------
@@ -3958,12 +8727,22 @@
 	document.addEventListener( 'DOMContentLoaded', function () {
 		initTabNav();
 		initPillNav();
+		initTablistKeys();    // ARIA tablist keys + section announcements
+		initSectionOrder();   // drag / Alt+Arrow pill reordering (edit mode)
+		initNavHistory();     // Back/Forward through pills and tabs
+		initSaveStatus();     // before anything that can start a save
 		initFieldAutosave();
+		initSaveQueue();      // replay offline-queued field saves
+		initHistory();        // undo/redo stacks + capture listeners
+		initDraftMode();      // draft toggle + publish/discard dialog
+		initRevisions();      // profile history dialog + restore
+		initLiveSync();       // mirror saves from other tabs on this profile
 		initRightPanel();
 		initSectionToggles();
 		initSectionPmp();
 		relocateFieldInstructions();
 		initFieldPmp();           // inject field PMP controls after section PMP is wired
+		initBulkPmp();            // bulk tab / section dropdowns over those controls
 		initHeaderEditing();  // per-element header pencils + modals
 		initImageUploaders(); // custom image/gallery upload UIs
 		initTaxonomySearch(); // custom taxonomy search for all non-header taxonomy fields
@@ -3972,6 +8751,12 @@
 		initMessagingSettings(); // edit-mode messaging access control
 		initMessaging();      // BuddyBoss compose message modal
 		hideEmptySectionPills();  // hide pills for PHP-dropped empty/PMP-blocked sections
+		initCompleteness();   // after uploaders / header editing have settled the form
+		initFieldSearch();
+		initViewAsPreview();
+		initPresets();
+		initPrivacyReport();
+		initPmpSchedules();   // after field PMP controls exist
 		restoreState();
 		syncControlsTop();
 	} );
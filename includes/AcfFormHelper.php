@@ -59,6 +59,20 @@ class AcfFormHelper {
 	/** Allowed MIME types for image uploads. */
 	private const ALLOWED_TYPES = [ 'image/jpeg', 'image/png', 'image/webp' ];
 
+	/**
+	 * Prefix of the post meta holding a field's revision counter, one row
+	 * per field (prefix . field_key => int). Bumped on every write to a
+	 * field — md_section saves and any other update_field(), see
+	 * count_field_write() — so clients can detect stale writes.
+	 */
+	const FIELD_REVISION_META_PREFIX = '_memdir_field_revision_';
+
+	/**
+	 * True while handle_ajax_save() is writing: it keeps its own revision
+	 * counts and returns them, so count_field_write() stands aside.
+	 */
+	private static bool $counting_revisions = false;
+
 	/**
 	 * Validate an uploaded image file before processing.
 	 *
@@ -126,6 +140,7 @@ class AcfFormHelper {
 		add_action( 'wp_ajax_memdir_ajax_save_section_enabled',   [ self::class, 'handle_save_section_enabled' ] );
 		add_action( 'wp_ajax_memdir_ajax_save_section_pmp',       [ self::class, 'handle_save_section_pmp' ] );
 		add_action( 'wp_ajax_memdir_ajax_save_field_pmp',         [ self::class, 'handle_save_field_pmp' ] );
+		add_action( 'wp_ajax_memdir_ajax_save_field_pmp_bulk',    [ self::class, 'handle_save_field_pmp_bulk' ] );
 		add_action( 'wp_ajax_memdir_ajax_upload_avatar',          [ self::class, 'handle_avatar_upload' ] );
 		add_action( 'wp_ajax_memdir_ajax_upload_image',           [ self::class, 'handle_image_upload' ] );
 		add_action( 'wp_ajax_memdir_ajax_delete_image',           [ self::class, 'handle_delete_image' ] );
@@ -135,6 +150,9 @@ class AcfFormHelper {
 		add_action( 'wp_ajax_memdir_search_taxonomy_terms',       [ self::class, 'handle_search_taxonomy_terms' ] );
 		add_action( 'wp_ajax_memdir_ajax_import_social',          [ self::class, 'handle_import_social' ] );
 		add_action( 'wp_ajax_memdir_ajax_save_avatar_link',       [ self::class, 'handle_save_avatar_link' ] );
+		add_action( 'wp_ajax_memdir_ajax_save_banner_focus',      [ self::class, 'handle_save_banner_focus' ] );
+
+		add_filter( 'acf/update_value', [ self::class, 'count_field_write' ], 99, 3 );
 	}
 
 	// -----------------------------------------------------------------------
@@ -284,11 +302,37 @@ class AcfFormHelper {
 	 * AJAX handler: save ACF fields for one section without a full page reload.
 	 *
 	 * Expects $_POST:
-	 *   nonce   — wp_create_nonce( 'md_save_nonce' )
-	 *   post_id — int, the member-directory post being edited
-	 *   acf     — array, ACF field values keyed by field key (field_md_*)
+	 *   nonce     — wp_create_nonce( 'md_save_nonce' )
+	 *   post_id   — int, the member-directory post being edited
+	 *   acf       — array, ACF field values keyed by field key (field_md_*)
+	 *   revisions — optional array, field key => revision the client last saw
+	 *
+	 * One request may carry many fields — the client batches autosaves made
+	 * within a short window. Each field is handled independently and the
+	 * response carries `results`, keyed by field key:
+	 *   { success: true,  revision: int }
+	 *   { success: false, code: 'conflict', message, revision, theirs }
+	 *   { success: false, code: 'invalid', message }
+	 *   { success: false, code: 'unknown_field', message }
+	 *
+	 * Conflict detection: when a revision is sent for a field and it no
+	 * longer matches the stored counter (someone else saved in between),
+	 * that field is not written; its result carries the server's current
+	 * raw value ('theirs') and revision so the client can offer keep-mine /
+	 * take-theirs. A stale revision whose value already matches the stored
+	 * one is not a conflict: the field succeeds without a write. Fields sent
+	 * without a revision save unconditionally. The check and the bump are one
+	 * conditional UPDATE (see claim_field_revision()), so two saves made from
+	 * the same revision can't both pass.
+	 *
+	 * Live writes are recorded as one revision (see Revisions).
 	 *
-	 * Responds with wp_send_json_success / wp_send_json_error.
+	 * In draft mode (Drafts::is_enabled()) values are staged rather than
+	 * written to the live post, and the response adds `draft: { count }`
+	 * — the number of fields waiting to be published.
+	 *
+	 * Request-level failures (nonce, post, permission) still respond with
+	 * wp_send_json_error and no `results`.
 	 *
 	 * Hooked via: add_action( 'wp_ajax_md_save_section', ... )
 	 * Only logged-in users can trigger wp_ajax_* — anonymous requests use
@@ -324,6 +368,18 @@ class AcfFormHelper {
 			? wp_unslash( $_POST['acf'] ) // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
 			: [];
 
+		$client_revisions = isset( $_POST['revisions'] ) && is_array( $_POST['revisions'] )
+			? array_map( 'absint', wp_unslash( $_POST['revisions'] ) )
+			: [];
+		$draft_mode = Drafts::is_enabled( $post_id );
+
+		// 6. Save each field unless its revision is stale. In draft mode the
+		//    values are staged instead of written (see Drafts).
+		$results = [];
+		$staged  = [];
+		$changes = [];
+
+		self::$counting_revisions = true;
 		foreach ( $acf_fields as $field_key => $value ) {
 			$field_key = sanitize_text_field( $field_key );
 
@@ -332,10 +388,509 @@ class AcfFormHelper {
 				continue;
 			}
 
-			update_field( $field_key, $value, $post_id );
+			$field = acf_get_field( $field_key );
+			if ( ! $field ) {
+				$results[ $field_key ] = [
+					'success' => false,
+					'code'    => 'unknown_field',
+					'message' => 'Unknown field.',
+				];
+				continue;
+			}
+
+			$error = self::validate_field_value( $field, $value );
+			if ( $error !== '' ) {
+				$results[ $field_key ] = [
+					'success' => false,
+					'code'    => 'invalid',
+					'message' => $error,
+				];
+				continue;
+			}
+
+			// Take the next revision before writing. With a client revision
+			// this only succeeds while the stored one still matches, so of
+			// two saves made from the same revision only one gets through.
+			$revision = array_key_exists( $field_key, $client_revisions )
+				? self::claim_field_revision( $post_id, $field_key, $client_revisions[ $field_key ] )
+				: self::bump_field_revision( $post_id, $field_key );
+
+			if ( ! $revision ) {
+				$current = self::get_field_revision( $post_id, $field_key );
+				$theirs  = $draft_mode
+					? Drafts::get_value( $post_id, $field_key )
+					: get_field( $field_key, $post_id, false );
+
+				// Nothing to resolve when the stored value is already the one
+				// being sent — the client just hasn't seen the new revision.
+				if ( self::values_match( $theirs, $value ) ) {
+					$results[ $field_key ] = [
+						'success'  => true,
+						'revision' => $current,
+					];
+					continue;
+				}
+
+				$results[ $field_key ] = [
+					'success'  => false,
+					'code'     => 'conflict',
+					'message'  => 'This field was changed somewhere else.',
+					'revision' => $current,
+					'theirs'   => $theirs,
+				];
+				continue;
+			}
+
+			if ( $draft_mode ) {
+				$staged[ $field_key ] = $value;
+			} else {
+				$before = get_field( $field_key, $post_id, false );
+				// update_field() returns false when the value is unchanged, so
+				// its return value is not an error signal.
+				update_field( $field_key, $value, $post_id );
+				$changes[] = Revisions::field_change( $field, $before, $value );
+			}
+
+			$results[ $field_key ] = [
+				'success'  => true,
+				'revision' => $revision,
+			];
+		}
+		self::$counting_revisions = false;
+
+		Revisions::record( $post_id, $changes );
+
+		$response = [
+			'message' => 'Saved.',
+			'results' => (object) $results,
+		];
+
+		if ( $draft_mode ) {
+			if ( $staged ) {
+				Drafts::stage( $post_id, $staged );
+			}
+			$response['draft'] = [ 'count' => count( Drafts::get_draft( $post_id ) ) ];
+		}
+
+		wp_send_json_success( $response );
+	}
+
+	// -----------------------------------------------------------------------
+	// Field validation
+	//
+	// get_field_rules() exports the ACF settings the edit UI needs to
+	// validate before saving (passed to JS via data-field-rules on the
+	// section). validate_field_value() applies the same rules server-side,
+	// with the same messages, then defers to ACF's own validation so
+	// acf/validate_value filters still run.
+	// -----------------------------------------------------------------------
+
+	/** Field types whose value must be one of the configured choices. */
+	private const CHOICE_TYPES = [ 'select', 'radio', 'checkbox', 'button_group' ];
+
+	/** Field types with a character limit setting. */
+	private const MAXLENGTH_TYPES = [ 'text', 'textarea', 'email', 'url', 'password' ];
+
+	/**
+	 * Build client-side validation rules for a list of ACF fields.
+	 *
+	 * @param  array $fields  Field arrays from acf_get_fields().
+	 * @return array [ field_key => [ label, type, required, maxlength?, min?, max?, choices? ] ]
+	 */
+	public static function get_field_rules( array $fields ): array {
+		$rules = [];
+
+		foreach ( $fields as $f ) {
+			$key  = $f['key']  ?? '';
+			$type = $f['type'] ?? '';
+			if ( ! $key || $type === 'tab' || str_contains( $key, '_pmp_' ) ) {
+				continue;
+			}
+
+			$rule = [
+				'label'    => $f['label'] ?? '',
+				'type'     => $type,
+				'required' => ! empty( $f['required'] ),
+			];
+
+			if ( in_array( $type, self::MAXLENGTH_TYPES, true ) && ! empty( $f['maxlength'] ) ) {
+				$rule['maxlength'] = (int) $f['maxlength'];
+			}
+
+			// number/range: value bounds. repeater/flexible_content: row counts.
+			if ( in_array( $type, [ 'number', 'range', 'repeater', 'flexible_content' ], true ) ) {
+				if ( isset( $f['min'] ) && $f['min'] !== '' ) {
+					$rule['min'] = (float) $f['min'];
+				}
+				if ( isset( $f['max'] ) && $f['max'] !== '' ) {
+					$rule['max'] = (float) $f['max'];
+				}
+			}
+
+			if ( in_array( $type, self::CHOICE_TYPES, true ) && ! empty( $f['choices'] )
+				&& empty( $f['allow_custom'] ) && empty( $f['other_choice'] ) ) {
+				$rule['choices'] = array_map( 'strval', array_keys( $f['choices'] ) );
+			}
+
+			$rules[ $key ] = $rule;
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Validate a submitted value against its field's settings.
+	 *
+	 * Mirrors validateFieldValue() in memdir.js — keep the two in step.
+	 *
+	 * @param  array $field  ACF field array.
+	 * @param  mixed $value  Unslashed submitted value.
+	 * @return string        Error message, or '' if valid.
+	 */
+	public static function validate_field_value( array $field, $value ): string {
+		$rules = self::get_field_rules( [ $field ] );
+		$rule  = $rules[ $field['key'] ] ?? null;
+		if ( ! $rule ) {
+			return '';
+		}
+
+		$label = $rule['label'] ?: 'This field';
+		$type  = $rule['type'];
+		$empty = ( $value === '' || $value === null || $value === [] );
+
+		if ( $rule['required'] && ( $empty || ( $type === 'true_false' && (string) $value !== '1' ) ) ) {
+			return $label . ' is required.';
+		}
+		if ( $empty ) {
+			return '';
+		}
+
+		if ( isset( $rule['maxlength'] ) && is_string( $value ) && mb_strlen( $value ) > $rule['maxlength'] ) {
+			return $label . ' must be ' . $rule['maxlength'] . ' characters or fewer.';
+		}
+
+		if ( $type === 'email' && ! is_email( $value ) ) {
+			return 'Enter a valid email address.';
+		}
+
+		if ( $type === 'url' && is_string( $value ) && strpos( $value, '://' ) === false && strpos( $value, '//' ) !== 0 ) {
+			return 'Enter a valid URL (including https://).';
+		}
+
+		if ( $type === 'number' || $type === 'range' ) {
+			if ( ! is_numeric( $value ) ) {
+				return $label . ' must be a number.';
+			}
+			$measure = (float) $value;
+		} elseif ( $type === 'repeater' || $type === 'flexible_content' ) {
+			$measure = is_array( $value ) ? count( $value ) : 0;
+		}
+
+		if ( isset( $measure ) ) {
+			$unit = is_array( $value ) ? ' rows' : '';
+			if ( isset( $rule['min'] ) && $measure < $rule['min'] ) {
+				return $label . ' must be at least ' . ( $rule['min'] + 0 ) . $unit . '.';
+			}
+			if ( isset( $rule['max'] ) && $measure > $rule['max'] ) {
+				return $label . ' must be no more than ' . ( $rule['max'] + 0 ) . $unit . '.';
+			}
+		}
+
+		if ( isset( $rule['choices'] ) ) {
+			foreach ( (array) $value as $choice ) {
+				if ( $choice !== '' && ! in_array( (string) $choice, $rule['choices'], true ) ) {
+					return 'Choose one of the listed options.';
+				}
+			}
+		}
+
+		// ACF's own validation (type rules + acf/validate_value filters).
+		acf_reset_validation_errors();
+		if ( ! acf_validate_value( $value, $field, 'acf[' . $field['key'] . ']' ) ) {
+			$errors = acf_get_validation_errors();
+			return $errors[0]['message'] ?? $label . ' is not valid.';
+		}
+
+		return '';
+	}
+
+	/**
+	 * Per-field revision counters for a member-directory post.
+	 *
+	 * Fields that have never been written since counting began are absent
+	 * and count as revision 0.
+	 *
+	 * @param  int $post_id
+	 * @return array [ field_key => int ]
+	 */
+	public static function get_field_revisions( int $post_id ): array {
+		$revisions = [];
+		foreach ( get_post_meta( $post_id ) as $meta_key => $values ) {
+			if ( strpos( $meta_key, self::FIELD_REVISION_META_PREFIX ) === 0 ) {
+				$revisions[ substr( $meta_key, strlen( self::FIELD_REVISION_META_PREFIX ) ) ] = (int) $values[0];
+			}
+		}
+		return $revisions;
+	}
+
+	/**
+	 * Current revision of one field, read from the database rather than
+	 * the meta cache — another request may have just bumped it.
+	 *
+	 * @param  int    $post_id
+	 * @param  string $field_key
+	 * @return int
+	 */
+	public static function get_field_revision( int $post_id, string $field_key ): int {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		return (int) $wpdb->get_var( $wpdb->prepare(
+			"SELECT meta_value FROM {$wpdb->postmeta} WHERE post_id = %d AND meta_key = %s LIMIT 1",
+			$post_id,
+			self::FIELD_REVISION_META_PREFIX . $field_key
+		) );
+	}
+
+	/**
+	 * Bump the revision counter of each given field, so an edit tab still
+	 * holding the old value gets a conflict instead of overwriting.
+	 *
+	 * @param int      $post_id
+	 * @param string[] $field_keys
+	 */
+	public static function bump_field_revisions( int $post_id, array $field_keys ): void {
+		foreach ( $field_keys as $field_key ) {
+			self::bump_field_revision( $post_id, $field_key );
+		}
+	}
+
+	/**
+	 * Bump one field's revision counter whatever its value.
+	 *
+	 * The increment is a single UPDATE, so concurrent bumps are all
+	 * counted. A field without a counter yet gets one at 1.
+	 *
+	 * @param  int    $post_id
+	 * @param  string $field_key
+	 * @return int The new revision.
+	 */
+	private static function bump_field_revision( int $post_id, string $field_key ): int {
+		global $wpdb;
+		$meta_key = self::FIELD_REVISION_META_PREFIX . $field_key;
+
+		// Two tries: a counter created by another request between the
+		// UPDATE and the INSERT is bumped on the second pass.
+		for ( $try = 0; $try < 2; $try++ ) {
+			// LAST_INSERT_ID( expr ) hands the new value back to this
+			// connection without a second read another bump could race.
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$updated = $wpdb->query( $wpdb->prepare(
+				"UPDATE {$wpdb->postmeta} SET meta_value = LAST_INSERT_ID( meta_value + 1 )
+				 WHERE post_id = %d AND meta_key = %s",
+				$post_id,
+				$meta_key
+			) );
+			if ( $updated ) {
+				wp_cache_delete( $post_id, 'post_meta' );
+				// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+				return (int) $wpdb->get_var( 'SELECT LAST_INSERT_ID()' );
+			}
+
+			if ( self::create_field_revision( $post_id, $meta_key ) ) {
+				return 1;
+			}
+		}
+		return self::get_field_revision( $post_id, $field_key );
+	}
+
+	/**
+	 * Move a field from the revision the client last saw to the next one.
+	 *
+	 * A single conditional UPDATE: it only matches while the stored
+	 * revision is still $expected, so when two saves start from the same
+	 * revision exactly one claims it.
+	 *
+	 * @param  int    $post_id
+	 * @param  string $field_key
+	 * @param  int    $expected Revision the client last saw.
+	 * @return int The new revision, or 0 when the stored one has moved on.
+	 */
+	private static function claim_field_revision( int $post_id, string $field_key, int $expected ): int {
+		global $wpdb;
+		$meta_key = self::FIELD_REVISION_META_PREFIX . $field_key;
+
+		if ( $expected === 0 ) {
+			// Never written: only the request that creates the counter wins.
+			return self::create_field_revision( $post_id, $meta_key ) ? 1 : 0;
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$updated = $wpdb->query( $wpdb->prepare(
+			"UPDATE {$wpdb->postmeta} SET meta_value = meta_value + 1
+			 WHERE post_id = %d AND meta_key = %s AND meta_value = %d",
+			$post_id,
+			$meta_key,
+			$expected
+		) );
+		if ( ! $updated ) {
+			return 0;
+		}
+
+		wp_cache_delete( $post_id, 'post_meta' );
+		return $expected + 1;
+	}
+
+	/**
+	 * Create a field's revision counter at 1, unless it already exists.
+	 *
+	 * Insert and existence check are one statement, so two requests
+	 * can't both create it.
+	 *
+	 * @param  int    $post_id
+	 * @param  string $meta_key
+	 * @return bool Whether this call created it.
+	 */
+	private static function create_field_revision( int $post_id, string $meta_key ): bool {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$inserted = $wpdb->query( $wpdb->prepare(
+			"INSERT INTO {$wpdb->postmeta} ( post_id, meta_key, meta_value )
+			 SELECT %d, %s, '1' FROM DUAL
+			 WHERE NOT EXISTS (
+				SELECT 1 FROM {$wpdb->postmeta} WHERE post_id = %d AND meta_key = %s
+			 )",
+			$post_id,
+			$meta_key,
+			$post_id,
+			$meta_key
+		) );
+		if ( ! $inserted ) {
+			return false;
+		}
+
+		wp_cache_delete( $post_id, 'post_meta' );
+		return true;
+	}
+
+	/**
+	 * acf/update_value filter: bump the revision of a member-directory
+	 * field written outside md_save_section — the wp-admin edit screen,
+	 * image uploads, social import, PMP endpoints, draft publish, restores
+	 * and scheduled changes. Only top-level fields are counted; those are
+	 * what the edit UI sends revisions for.
+	 *
+	 * @param  mixed      $value   The value about to be saved (returned as is).
+	 * @param  int|string $post_id ACF post ID — may be 'option', 'user_1', ...
+	 * @param  array      $field   ACF field array.
+	 * @return mixed
+	 */
+	public static function count_field_write( $value, $post_id, $field ) {
+		if ( self::$counting_revisions || ! is_numeric( $post_id ) || empty( $field['key'] ) ) {
+			return $value;
+		}
+		if ( get_post_type( (int) $post_id ) !== 'member-directory' ) {
+			return $value;
+		}
+		// Sub fields have a field as their parent, top-level ones a group.
+		if ( empty( $field['parent'] ) || ! acf_get_field_group( $field['parent'] ) ) {
+			return $value;
+		}
+
+		self::bump_field_revisions( (int) $post_id, [ $field['key'] ] );
+		return $value;
+	}
+
+	// -----------------------------------------------------------------------
+	// Value helpers — shared by Drafts and Revisions
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Compare a submitted value with a stored raw value. Form values arrive
+	 * as strings, so scalars (and lists of scalars) compare as strings.
+	 *
+	 * @param mixed $a
+	 * @param mixed $b
+	 * @return bool
+	 */
+	public static function values_match( $a, $b ): bool {
+		$a = ( $a === null || $a === false ) ? '' : $a;
+		$b = ( $b === null || $b === false ) ? '' : $b;
+
+		if ( is_scalar( $a ) && is_scalar( $b ) ) {
+			return (string) $a === (string) $b;
+		}
+		if ( is_array( $a ) && is_array( $b ) ) {
+			return wp_json_encode( map_deep( array_values( $a ), 'strval' ) )
+				=== wp_json_encode( map_deep( array_values( $b ), 'strval' ) );
+		}
+		return false;
+	}
+
+	/**
+	 * The registered section an ACF field belongs to (via its field group).
+	 *
+	 * @param  array $field ACF field array.
+	 * @return array        Section array from SectionRegistry, or [] if none.
+	 */
+	public static function get_field_section( array $field ): array {
+		// 'parent' is the group's post ID (or key, for local groups).
+		$group = ! empty( $field['parent'] ) ? acf_get_field_group( $field['parent'] ) : null;
+		if ( ! $group ) {
+			return [];
+		}
+
+		foreach ( SectionRegistry::get_sections() as $section ) {
+			if ( ( $section['acf_group_key'] ?? '' ) === $group['key'] ) {
+				return $section;
+			}
+		}
+		return [];
+	}
+
+	/**
+	 * Plain-text rendering of a raw field value, for diffs (draft publish,
+	 * revision history). Choice keys become labels, term and attachment IDs
+	 * become names, containers are flattened; capped at 280 characters.
+	 *
+	 * @param array $field ACF field array.
+	 * @param mixed $value Raw value.
+	 * @return string
+	 */
+	public static function format_value_text( array $field, $value ): string {
+		$type = $field['type'] ?? '';
+
+		if ( $value === null || $value === '' || $value === false || $value === [] ) {
+			return '';
+		}
+
+		if ( $type === 'true_false' ) {
+			return (string) $value === '1' ? 'Yes' : 'No';
+		}
+
+		if ( ! empty( $field['choices'] ) ) {
+			$value = array_map( function ( $v ) use ( $field ) {
+				return is_scalar( $v ) ? ( $field['choices'][ $v ] ?? $v ) : $v;
+			}, (array) $value );
+		} elseif ( $type === 'taxonomy' ) {
+			$value = array_map( function ( $id ) {
+				$term = get_term( (int) $id );
+				return ( $term && ! is_wp_error( $term ) ) ? $term->name : $id;
+			}, (array) $value );
+		} elseif ( in_array( $type, [ 'image', 'file' ], true ) && is_numeric( $value ) ) {
+			$value = get_the_title( (int) $value ) ?: 'File #' . (int) $value;
 		}
 
-		wp_send_json_success( [ 'message' => 'Saved.' ] );
+		$value = (array) $value;
+		$parts = [];
+		array_walk_recursive( $value, function ( $v ) use ( &$parts ) {
+			if ( is_scalar( $v ) && (string) $v !== '' ) {
+				$parts[] = (string) $v;
+			}
+		} );
+
+		return wp_html_excerpt( wp_strip_all_tags( implode( ', ', $parts ) ), 280, '…' );
 	}
 
 	/**
@@ -390,8 +945,13 @@ class AcfFormHelper {
 		// Using the name (not the key) guarantees a round-trip even when the
 		// ACF field group hasn't been created for this section yet.
 		$field_name = 'member_directory_' . $section_key . '_enabled';
+		$before     = get_field( $field_name, $post_id, false );
 		update_field( $field_name, $enabled ? 1 : 0, $post_id );
 
+		Revisions::record( $post_id, [
+			Revisions::section_change( 'section_enabled', $section_key, $before ?? 1, $enabled ? 1 : 0 ),
+		] );
+
 		wp_send_json_success( [
 			'section_key' => $section_key,
 			'enabled'     => $enabled,
@@ -401,10 +961,12 @@ class AcfFormHelper {
 	/**
 	 * AJAX handler: save the PMP (visibility) level for one section.
 	 *
-	 * Writes directly to the 4-state privacy_mode field:
+	 * Writes directly to the privacy_mode field:
 	 *   'inherit'  — section defers to global PMP.
 	 *   'public'   — explicit override: everyone sees the section.
 	 *   'member'   — explicit override: logged-in users only.
+	 *   'trusted' / 'connections' — explicit override: the profile's Trust
+	 *                Network / the author's connections (see PmpResolver).
 	 *   'private'  — explicit override: author and admin only.
 	 *
 	 * ACF field written: member_directory_{section_key}_privacy_mode
@@ -414,7 +976,7 @@ class AcfFormHelper {
 	 *   nonce       — wp_create_nonce( 'md_save_nonce' )
 	 *   post_id     — int, the member-directory post being edited
 	 *   section_key — string, e.g. 'profile' or 'business'
-	 *   pmp         — 'inherit' | 'public' | 'member' | 'private'
+	 *   pmp         — 'inherit' or a level from PmpResolver::levels()
 	 *
 	 * Action: wp_ajax_memdir_ajax_save_section_pmp
 	 */
@@ -440,25 +1002,30 @@ class AcfFormHelper {
 			wp_send_json_error( [ 'message' => 'Invalid section key.' ], 400 );
 		}
 
-		if ( ! in_array( $pmp, [ 'inherit', 'public', 'member', 'private' ], true ) ) {
+		if ( $pmp !== 'inherit' && ! PmpResolver::is_level( $pmp ) ) {
 			wp_send_json_error( [ 'message' => 'Invalid PMP value.' ], 400 );
 		}
 
 		// Single 4-state field — save via the field name so the meta key matches
 		// what get_field( 'member_directory_{key}_privacy_mode' ) reads.
 		$field_name = 'member_directory_' . $section_key . '_privacy_mode';
+		$before     = get_field( $field_name, $post_id, false ) ?: 'inherit';
 		update_field( $field_name, $pmp, $post_id );
 
+		Revisions::record( $post_id, [ Revisions::section_change( 'section_pmp', $section_key, $before, $pmp ) ] );
+
 		wp_send_json_success( [ 'section_key' => $section_key, 'pmp' => $pmp ] );
 	}
 
 	/**
 	 * AJAX handler: save the PMP (visibility) level for a single field.
 	 *
-	 * Writes to the per-field 4-state PMP companion field:
+	 * Writes to the per-field PMP companion field:
 	 *   'inherit'  — field defers to section PMP.
 	 *   'public'   — explicit override: everyone sees the field.
 	 *   'member'   — explicit override: logged-in users only.
+	 *   'trusted' / 'connections' — explicit override: the profile's Trust
+	 *                Network / the author's connections (see PmpResolver).
 	 *   'private'  — explicit override: author and admin only.
 	 *
 	 * Uses the companion field NAME (not key) for update_field() so the
@@ -469,7 +1036,7 @@ class AcfFormHelper {
 	 *   nonce          — wp_create_nonce( 'md_save_nonce' )
 	 *   post_id        — int, the member-directory post being edited
 	 *   companion_name — string, e.g. 'member_directory_field_pmp_business_name'
-	 *   pmp            — 'inherit' | 'public' | 'member' | 'private'
+	 *   pmp            — 'inherit' or a level from PmpResolver::levels()
 	 *
 	 * Action: wp_ajax_memdir_ajax_save_field_pmp
 	 */
@@ -490,7 +1057,7 @@ class AcfFormHelper {
 			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
 		}
 
-		if ( ! in_array( $pmp, [ 'inherit', 'public', 'member', 'private' ], true ) ) {
+		if ( $pmp !== 'inherit' && ! PmpResolver::is_level( $pmp ) ) {
 			wp_send_json_error( [ 'message' => 'Invalid PMP value.' ], 400 );
 		}
 
@@ -503,11 +1070,75 @@ class AcfFormHelper {
 		// formally registered in an ACF group.  ACF resolves field names to
 		// post meta keys, falling back to update_post_meta() when no field
 		// object exists.  get_field( $companion_name ) will read it back.
+		$before = (string) ( get_field( $companion_name, $post_id, false ) ?: 'inherit' );
 		update_field( $companion_name, $pmp, $post_id );
 
+		Revisions::record( $post_id, [ Revisions::field_pmp_change( $companion_name, $before, $pmp ) ] );
+
 		wp_send_json_success( [ 'companion_name' => $companion_name, 'pmp' => $pmp ] );
 	}
 
+	/**
+	 * AJAX handler: save the PMP level of several fields in one request —
+	 * the "set all fields in this tab / section" control, and its undo.
+	 *
+	 * Same companion-field writes as handle_save_field_pmp(), validated up
+	 * front so a bad entry saves nothing, and recorded as one revision.
+	 *
+	 * Expects $_POST:
+	 *   nonce   — wp_create_nonce( 'md_save_nonce' )
+	 *   post_id — int, the member-directory post being edited
+	 *   pmps    — array, companion_name => 'inherit' or a level from PmpResolver::levels()
+	 *
+	 * Action: wp_ajax_memdir_ajax_save_field_pmp_bulk
+	 */
+	public static function handle_save_field_pmp_bulk(): void {
+		if ( ! check_ajax_referer( 'md_save_nonce', 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$raw     = isset( $_POST['pmps'] ) && is_array( $_POST['pmps'] ) ? wp_unslash( $_POST['pmps'] ) : [];
+
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
+		}
+
+		$pmps = [];
+		foreach ( $raw as $companion_name => $pmp ) {
+			$companion_name = sanitize_text_field( (string) $companion_name );
+			$pmp            = sanitize_text_field( (string) $pmp );
+
+			if ( strpos( $companion_name, 'member_directory_field_pmp_' ) !== 0 ) {
+				wp_send_json_error( [ 'message' => 'Invalid companion name.' ], 400 );
+			}
+			if ( $pmp !== 'inherit' && ! PmpResolver::is_level( $pmp ) ) {
+				wp_send_json_error( [ 'message' => 'Invalid PMP value.' ], 400 );
+			}
+
+			$pmps[ $companion_name ] = $pmp;
+		}
+
+		if ( ! $pmps ) {
+			wp_send_json_error( [ 'message' => 'No fields given.' ], 400 );
+		}
+
+		$changes = [];
+		foreach ( $pmps as $companion_name => $pmp ) {
+			$before = (string) ( get_field( $companion_name, $post_id, false ) ?: 'inherit' );
+			update_field( $companion_name, $pmp, $post_id );
+			$changes[] = Revisions::field_pmp_change( $companion_name, $before, $pmp );
+		}
+
+		Revisions::record( $post_id, $changes );
+
+		wp_send_json_success( [ 'pmps' => $pmps ] );
+	}
+
 	/**
 	 * AJAX handler: direct avatar upload — one image in, one image out.
 	 *
@@ -1098,4 +1729,83 @@ class AcfFormHelper {
 
 		wp_send_json_success( [ 'url' => $url ] );
 	}
+
+	// -----------------------------------------------------------------------
+	// Banner focal point — which part of the banner stays in view
+	// -----------------------------------------------------------------------
+
+	/**
+	 * CSS background-position for a section's banner, from the focal point
+	 * the author set in reposition mode. Empty when none is set (CSS
+	 * centres the image).
+	 *
+	 * background-position rather than object-position: banners are CSS
+	 * background images on the header and directory card, not <img> elements.
+	 *
+	 * Stored in post meta `_memdir_banner_focus` as
+	 * [ section_key => [ 'x' => 0–100, 'y' => 0–100 ] ] — each section
+	 * header has its own banner.
+	 *
+	 * @param int    $post_id     The member-directory post ID.
+	 * @param string $section_key The section whose banner is shown.
+	 * @return string e.g. '50% 30%'.
+	 */
+	public static function banner_position( int $post_id, string $section_key ): string {
+		$focus = get_post_meta( $post_id, '_memdir_banner_focus', true );
+		if ( ! is_array( $focus ) || ! isset( $focus[ $section_key ]['x'], $focus[ $section_key ]['y'] ) ) {
+			return '';
+		}
+		return round( (float) $focus[ $section_key ]['x'], 2 ) . '% ' . round( (float) $focus[ $section_key ]['y'], 2 ) . '%';
+	}
+
+	/**
+	 * AJAX handler: save or clear a section banner's focal point.
+	 *
+	 * POST params:
+	 *   post_id (int)    — member-directory post ID
+	 *   section (string) — section key of the header banner
+	 *   x, y    (float)  — focal point, percent of the image; omit x to clear
+	 *   nonce   (string) — md_save_nonce
+	 */
+	public static function handle_save_banner_focus(): void {
+		if ( ! check_ajax_referer( 'md_save_nonce', 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id     = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] )                          : 0;
+		$section_key = isset( $_POST['section'] ) ? sanitize_key( wp_unslash( $_POST['section'] ) ) : '';
+		$clear       = ! isset( $_POST['x'] ) || $_POST['x'] === '';
+
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
+		}
+
+		if ( ! in_array( $section_key, array_column( SectionRegistry::get_sections(), 'key' ), true ) ) {
+			wp_send_json_error( [ 'message' => 'Invalid section.' ], 400 );
+		}
+
+		$focus = get_post_meta( $post_id, '_memdir_banner_focus', true );
+		$focus = is_array( $focus ) ? $focus : [];
+
+		if ( $clear ) {
+			unset( $focus[ $section_key ] );
+		} else {
+			$focus[ $section_key ] = [
+				'x' => max( 0, min( 100, (float) sanitize_text_field( wp_unslash( $_POST['x'] ) ) ) ),
+				'y' => max( 0, min( 100, isset( $_POST['y'] ) ? (float) sanitize_text_field( wp_unslash( $_POST['y'] ) ) : 50 ) ),
+			];
+		}
+
+		if ( $focus ) {
+			update_post_meta( $post_id, '_memdir_banner_focus', $focus );
+		} else {
+			delete_post_meta( $post_id, '_memdir_banner_focus' );
+		}
+
+		wp_send_json_success( [ 'position' => self::banner_position( $post_id, $section_key ) ] );
+	}
 }
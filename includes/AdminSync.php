@@ -75,6 +75,12 @@ class AdminSync {
 	/** Nonce field name in directory config forms. */
 	const DIR_CONFIG_NONCE_FIELD = 'member_directory_dir_config_nonce';
 
+	/** Nonce action used to validate visibility audience add/delete submissions. */
+	const AUDIENCE_NONCE_ACTION = 'member_directory_pmp_audience';
+
+	/** Nonce field name in visibility audience forms. */
+	const AUDIENCE_NONCE_FIELD = 'member_directory_audience_nonce';
+
 	/** Admin page slug registered with WordPress. */
 	const PAGE_SLUG = 'member-directory-sync';
 
@@ -191,13 +197,22 @@ class AdminSync {
 
 			<hr>
 			<h2>Directory Settings</h2>
-			<p>Configure the <code>[memdir_directory]</code> shortcode: card grid, search, taxonomy filters, and card display options.</p>
+			<p>Configure the <code>[memdir_directory]</code> shortcode: card grid, search, taxonomy filters, and card display options &mdash; plus the privacy presets offered on every profile.</p>
 
 			<?php
 			self::maybe_handle_directory_config();
 			self::render_directory_settings();
 			?>
 
+			<hr>
+			<h2>Visibility Audiences</h2>
+			<p>Extra visibility levels for membership tiers and other groups. Each audience matches users by WordPress role or capability and is offered after <em>Members</em> in every visibility dropdown and in View As.</p>
+
+			<?php
+			self::maybe_handle_audiences();
+			self::render_audiences();
+			?>
+
 			<hr>
 			<h2>Claude Skill</h2>
 			<p>Download the skill file and attach it to a Claude conversation to enrich a bare ACF field group export with the full iPMP apparatus — section system fields, per-field PMP companions, and auto-generated header fields (title, avatar, badge taxonomy, social icons).</p>
@@ -749,6 +764,82 @@ class AdminSync {
 			return;
 		}
 
+		// Handle privacy preset delete.
+		if ( ! empty( $_POST['dir_preset_delete'] ) ) {
+			$key = sanitize_key( wp_unslash( $_POST['dir_preset_delete'] ) );
+			unset( $config['pmp_presets'][ $key ] );
+			Directory::update_config( $config );
+
+			self::render_upload_result( true, 'Privacy preset deleted.' );
+			return;
+		}
+
+		// Handle privacy preset save (new or existing).
+		if ( isset( $_POST['dir_preset_label'] ) ) {
+			$label  = sanitize_text_field( wp_unslash( $_POST['dir_preset_label'] ) );
+			$key    = sanitize_key( wp_unslash( $_POST['dir_preset_key'] ?? '' ) );
+			$is_new = $key === '';
+			$key    = $key ?: sanitize_key( str_replace( [ ' ', '-' ], '_', $label ) );
+			$global = sanitize_text_field( wp_unslash( $_POST['dir_preset_global'] ?? '' ) );
+
+			if ( $label === '' || $key === '' ) {
+				self::render_upload_result( false, 'Enter a preset name.' );
+				return;
+			}
+			// "Add Preset" derives the key from the name — don't let it
+			// replace an existing preset.
+			if ( $is_new && isset( $config['pmp_presets'][ $key ] ) ) {
+				self::render_upload_result( false, 'A preset with that name already exists.' );
+				return;
+			}
+			if ( ! PmpResolver::is_level( $global ) ) {
+				self::render_upload_result( false, 'Choose a global visibility for the preset.' );
+				return;
+			}
+
+			// Sections: keep explicit levels only — unlisted means inherit.
+			$sections = [];
+			foreach ( (array) ( $_POST['dir_preset_sections'] ?? [] ) as $section_key => $pmp ) {
+				$pmp = sanitize_text_field( wp_unslash( $pmp ) );
+				if ( PmpResolver::is_level( $pmp ) ) {
+					$sections[ sanitize_key( $section_key ) ] = $pmp;
+				}
+			}
+
+			// Field rules: one "pattern = level" per line.
+			$fields = [];
+			$lines  = preg_split( '/\R/', wp_unslash( $_POST['dir_preset_fields'] ?? '' ) );
+			foreach ( $lines as $n => $line ) {
+				if ( trim( $line ) === '' ) {
+					continue;
+				}
+				$parts   = array_map( 'trim', explode( '=', $line, 2 ) );
+				$pattern = preg_replace( '/[^a-z0-9_*?]/', '', strtolower( $parts[0] ) );
+				$pmp     = sanitize_text_field( $parts[1] ?? '' );
+
+				if ( $pattern === '' || ( $pmp !== 'inherit' && ! PmpResolver::is_level( $pmp ) ) ) {
+					self::render_upload_result(
+						false,
+						'Field rule on line ' . ( $n + 1 ) . ' is not valid.',
+						'Write one rule per line as <code>pattern = level</code>, e.g. <code>*phone* = member</code>.'
+					);
+					return;
+				}
+				$fields[ $pattern ] = $pmp;
+			}
+
+			$config['pmp_presets'][ $key ] = [
+				'label'    => $label,
+				'global'   => $global,
+				'sections' => $sections,
+				'fields'   => $fields,
+			];
+			Directory::update_config( $config );
+
+			self::render_upload_result( true, 'Privacy preset <strong>' . esc_html( $label ) . '</strong> saved.' );
+			return;
+		}
+
 		// Handle filter reorder.
 		if ( ! empty( $_POST['dir_filter_move'] ) && ! empty( $_POST['dir_filter_direction'] ) ) {
 			$move_tax  = sanitize_text_field( wp_unslash( $_POST['dir_filter_move'] ) );
@@ -819,6 +910,148 @@ class AdminSync {
 		self::render_upload_result( true, 'Directory settings saved.' );
 	}
 
+	/**
+	 * Handle the Visibility Audiences forms: add (label + role/capability)
+	 * or delete (audience_delete = PMP value).
+	 *
+	 * The PMP value ("audience_" + the label as a key) is what profiles
+	 * store, so re-adding a deleted audience under the same label brings
+	 * their settings back.
+	 */
+	private static function maybe_handle_audiences(): void {
+		if ( ! isset( $_POST[ self::AUDIENCE_NONCE_FIELD ] ) ) {
+			return;
+		}
+
+		if ( ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST[ self::AUDIENCE_NONCE_FIELD ] ) ), self::AUDIENCE_NONCE_ACTION ) ) {
+			wp_die( esc_html__( 'Security check failed. Please go back and try again.' ) );
+		}
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_die( esc_html__( 'You do not have permission to run this action.' ) );
+		}
+
+		$audiences = PmpResolver::get_audiences();
+
+		if ( isset( $_POST['audience_delete'] ) ) {
+			$key = sanitize_key( wp_unslash( $_POST['audience_delete'] ) );
+
+			if ( ! isset( $audiences[ $key ] ) ) {
+				self::render_upload_result( false, 'Audience not found.' );
+				return;
+			}
+
+			$label = $audiences[ $key ]['label'];
+			unset( $audiences[ $key ] );
+			PmpResolver::update_audiences( $audiences );
+
+			self::render_upload_result(
+				true,
+				'Audience <strong>' . esc_html( $label ) . '</strong> deleted.',
+				'Fields and sections still set to it are now hidden from everyone but the profile author until they are changed.'
+			);
+			return;
+		}
+
+		$label = sanitize_text_field( wp_unslash( $_POST['audience_label'] ?? '' ) );
+		$type  = ( $_POST['audience_type'] ?? '' ) === 'cap' ? 'cap' : 'role';
+		$value = sanitize_key( wp_unslash( $_POST['audience_value'] ?? '' ) );
+		$key   = PmpResolver::AUDIENCE_PREFIX . sanitize_key( str_replace( [ ' ', '-' ], '_', $label ) );
+
+		if ( $label === '' || $value === '' || $key === PmpResolver::AUDIENCE_PREFIX ) {
+			self::render_upload_result( false, 'Enter a label and a role or capability.' );
+			return;
+		}
+
+		if ( isset( $audiences[ $key ] ) ) {
+			self::render_upload_result( false, 'An audience with that label already exists.' );
+			return;
+		}
+
+		if ( $type === 'role' && ! wp_roles()->is_role( $value ) ) {
+			self::render_upload_result( false, 'Role <code>' . esc_html( $value ) . '</code> does not exist.' );
+			return;
+		}
+
+		$audiences[ $key ] = [
+			'label' => $label,
+			'type'  => $type,
+			'value' => $value,
+		];
+		PmpResolver::update_audiences( $audiences );
+
+		self::render_upload_result( true, 'Audience <strong>' . esc_html( $label ) . '</strong> added.' );
+	}
+
+	/**
+	 * Render the Visibility Audiences list and add form.
+	 */
+	private static function render_audiences(): void {
+		$audiences = PmpResolver::get_audiences();
+
+		if ( $audiences ) {
+			echo '<table class="widefat striped" style="max-width:720px;margin-bottom:12px;">';
+			echo '<thead><tr><th>Label</th><th>Matches</th><th>Value</th><th></th></tr></thead><tbody>';
+
+			foreach ( $audiences as $key => $audience ) {
+				echo '<tr>';
+				echo '<td>' . esc_html( $audience['label'] ) . '</td>';
+				echo '<td>' . ( $audience['type'] === 'cap' ? 'Capability' : 'Role' )
+					. ' <code>' . esc_html( $audience['value'] ) . '</code></td>';
+				echo '<td><code>' . esc_html( $key ) . '</code></td>';
+				echo '<td style="text-align:right;">';
+				echo '<form method="post" action="" style="margin:0;">';
+				wp_nonce_field( self::AUDIENCE_NONCE_ACTION, self::AUDIENCE_NONCE_FIELD );
+				echo '<input type="hidden" name="audience_delete" value="' . esc_attr( $key ) . '">';
+				echo '<button type="submit" class="button-link button-link-delete"'
+					. ' onclick="return confirm(\'Delete this audience? Profiles using it become hidden to everyone but their authors.\');">Delete</button>';
+				echo '</form>';
+				echo '</td>';
+				echo '</tr>';
+			}
+
+			echo '</tbody></table>';
+		} else {
+			echo '<p><em>No audiences yet &mdash; visibility is Public / Members / Private only.</em></p>';
+		}
+
+		?>
+		<form method="post" action="">
+			<?php wp_nonce_field( self::AUDIENCE_NONCE_ACTION, self::AUDIENCE_NONCE_FIELD ); ?>
+			<table class="form-table" role="presentation">
+				<tr>
+					<th scope="row"><label for="audience_label">Label</label></th>
+					<td>
+						<input type="text" id="audience_label" name="audience_label"
+							class="regular-text" placeholder="e.g. Pro members">
+						<p class="description">Shown in the visibility dropdowns. The stored value is derived from it.</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><label for="audience_type">Match users by</label></th>
+					<td>
+						<select id="audience_type" name="audience_type">
+							<option value="role">Role</option>
+							<option value="cap">Capability</option>
+						</select>
+						<input type="text" id="audience_value" name="audience_value" list="audience_roles"
+							class="regular-text" placeholder="e.g. pro_member" aria-label="Role or capability">
+						<datalist id="audience_roles">
+							<?php foreach ( wp_roles()->get_names() as $role => $role_name ) : ?>
+								<option value="<?php echo esc_attr( $role ); ?>"><?php echo esc_html( translate_user_role( $role_name ) ); ?></option>
+							<?php endforeach; ?>
+						</datalist>
+						<p class="description">A role slug, or a capability your membership plugin grants to a tier.</p>
+					</td>
+				</tr>
+			</table>
+			<p>
+				<?php submit_button( 'Add Audience', 'secondary', 'audience_submit', false ); ?>
+			</p>
+		</form>
+		<?php
+	}
+
 	/**
 	 * Render the Directory Settings UI.
 	 */
@@ -1108,6 +1341,84 @@ class AdminSync {
 				</div>
 			</div>
 		</details>
+
+		<details style="margin-bottom:8px;border:1px solid #ddd;border-radius:3px;">
+			<summary style="padding:10px 14px;cursor:pointer;background:#f6f7f7;font-weight:600;list-style:none;">
+				Privacy Presets
+			</summary>
+			<div style="padding:14px;">
+				<p style="font-size:12px;color:#666;margin-bottom:12px;">One-click visibility setups offered in every profile's right panel. Applying a preset sets the global, section and field visibility together; anything it does not list goes back to <em>Inherit</em>.</p>
+				<?php
+				foreach ( PmpPresets::get_presets() as $key => $preset ) {
+					self::render_preset_form( (string) $key, $preset );
+				}
+				self::render_preset_form( '', [] );
+				?>
+			</div>
+		</details>
+		<?php
+	}
+
+	/**
+	 * Render one privacy preset's edit form, or the add form when $key is ''.
+	 *
+	 * @param string $key    Preset key ('' for a new preset).
+	 * @param array  $preset See PmpPresets for the shape.
+	 */
+	private static function render_preset_form( string $key, array $preset ): void {
+		$levels    = PmpResolver::levels();
+		$field_txt = '';
+		foreach ( $preset['fields'] ?? [] as $pattern => $pmp ) {
+			$field_txt .= $pattern . ' = ' . $pmp . "\n";
+		}
+		$id = 'dir_preset_' . ( $key ?: 'new' );
+
+		?>
+		<form method="post" action="" style="margin:0 0 12px;padding:10px 12px;border:1px solid #eee;">
+			<?php wp_nonce_field( self::DIR_CONFIG_NONCE_ACTION, self::DIR_CONFIG_NONCE_FIELD ); ?>
+			<input type="hidden" name="dir_preset_key" value="<?php echo esc_attr( $key ); ?>">
+			<p style="display:flex;align-items:center;gap:8px;margin-top:0;">
+				<?php if ( $key === '' ) : ?><strong>New preset:</strong><?php endif; ?>
+				<input type="text" name="dir_preset_label" value="<?php echo esc_attr( $preset['label'] ?? '' ); ?>"
+					placeholder="Preset name" aria-label="Preset name" style="width:200px;">
+				<label for="<?php echo esc_attr( $id ); ?>_global">Global</label>
+				<select id="<?php echo esc_attr( $id ); ?>_global" name="dir_preset_global">
+					<?php foreach ( $levels as $val => $label ) : ?>
+						<option value="<?php echo esc_attr( $val ); ?>" <?php selected( $preset['global'] ?? 'public', $val ); ?>><?php echo esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<?php if ( $key !== '' ) : ?><code style="font-size:11px;color:#999;"><?php echo esc_html( $key ); ?></code><?php endif; ?>
+			</p>
+			<p style="display:flex;flex-wrap:wrap;gap:6px 16px;">
+				<?php foreach ( SectionRegistry::get_sections() as $section ) :
+					$s_key = $section['key'] ?? '';
+					$s_pmp = $preset['sections'][ $s_key ] ?? 'inherit';
+				?>
+				<label>
+					<?php echo esc_html( $section['label'] ?? $s_key ); ?>
+					<select name="dir_preset_sections[<?php echo esc_attr( $s_key ); ?>]">
+						<option value="inherit">Inherit</option>
+						<?php foreach ( $levels as $val => $label ) : ?>
+							<option value="<?php echo esc_attr( $val ); ?>" <?php selected( $s_pmp, $val ); ?>><?php echo esc_html( $label ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</label>
+				<?php endforeach; ?>
+			</p>
+			<p>
+				<label for="<?php echo esc_attr( $id ); ?>_fields" style="display:block;margin-bottom:4px;">Field rules</label>
+				<textarea id="<?php echo esc_attr( $id ); ?>_fields" name="dir_preset_fields" rows="3" class="large-text code"
+					placeholder="*phone* = member"><?php echo esc_textarea( $field_txt ); ?></textarea>
+				<span class="description">One <code>pattern = level</code> per line, matched against field names without <code>member_directory_</code>; <code>*</code> is a wildcard and the first match wins. Levels: <code>inherit</code>, <code><?php echo implode( '</code>, <code>', array_map( 'esc_html', array_keys( $levels ) ) ); ?></code>.</span>
+			</p>
+			<p style="margin-bottom:0;display:flex;gap:8px;">
+				<button type="submit" class="button button-small"><?php echo $key === '' ? 'Add Preset' : 'Save'; ?></button>
+				<?php if ( $key !== '' ) : ?>
+				<button type="submit" name="dir_preset_delete" value="<?php echo esc_attr( $key ); ?>" class="button-link button-link-delete"
+					onclick="return confirm('Delete this preset?');">Delete</button>
+				<?php endif; ?>
+			</p>
+		</form>
 		<?php
 	}
 
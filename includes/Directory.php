@@ -96,6 +96,7 @@ class Directory {
 			'map_pin_width'      => 25,        // Custom pin icon width (px).
 			'map_pin_height'     => 41,        // Custom pin icon height (px).
 			'filters'            => [],
+			'pmp_presets'        => PmpPresets::DEFAULT_PRESETS,
 			'card'               => [
 				'show_avatar'   => true,
 				'show_banner'   => true,
@@ -237,7 +238,7 @@ class Directory {
 		$page = max( 1, (int) ( $_GET['memdir_page'] ?? 1 ) );
 
 		// Build viewer context for PMP.
-		$viewer     = PmpResolver::spoof_viewer( is_user_logged_in() ? 'member' : 'public' );
+		$viewer     = self::card_viewer();
 		$global_pmp = 'public'; // Will be overridden per-post.
 
 		// Build the query.
@@ -367,7 +368,7 @@ class Directory {
 		$per_page = (int) $config['per_page'];
 		$sort     = $config['default_sort'];
 
-		$viewer = PmpResolver::spoof_viewer( is_user_logged_in() ? 'member' : 'public' );
+		$viewer = self::card_viewer();
 
 		$query = self::build_query( $active_filters, $search, $page, $per_page, $sort, $config, $section );
 
@@ -509,6 +510,7 @@ class Directory {
 			'field_pmp'   => 'inherit',
 			'section_pmp' => 'inherit',
 			'global_pmp'  => $global_pmp,
+			'post_id'     => $post_id,
 		], $viewer );
 
 		if ( ! $global_visible ) {
@@ -542,14 +544,15 @@ class Directory {
 
 		// Initialize card with defaults.
 		$card = [
-			'post_id'   => $post_id,
-			'permalink' => get_permalink( $post_id ),
-			'title'     => get_the_title( $post_id ),
-			'avatar'    => '',
-			'banner'    => '',
-			'badges'    => [],
-			'location'  => '',
-			'social'    => [],
+			'post_id'         => $post_id,
+			'permalink'       => get_permalink( $post_id ),
+			'title'           => get_the_title( $post_id ),
+			'avatar'          => '',
+			'banner'          => '',
+			'banner_position' => '',
+			'badges'          => [],
+			'location'        => '',
+			'social'          => [],
 		];
 
 		$card_display  = $config['card'] ?? [];
@@ -575,6 +578,7 @@ class Directory {
 				'field_pmp'   => 'inherit',
 				'section_pmp' => $section_pmp,
 				'global_pmp'  => $global_pmp,
+				'post_id'     => $post_id,
 			], $viewer );
 
 			if ( ! $section_visible ) {
@@ -626,6 +630,7 @@ class Directory {
 					'field_pmp'   => $field_pmp,
 					'section_pmp' => $section_pmp,
 					'global_pmp'  => $global_pmp,
+					'post_id'     => $post_id,
 				], $viewer );
 
 				if ( ! $visible ) {
@@ -745,6 +750,11 @@ class Directory {
 			$card['banner'] = (string) wp_get_attachment_image_url( (int) $used_section['default_banner'], 'medium' );
 		}
 
+		// Focal point the author set for this section's banner.
+		if ( $card['banner'] !== '' ) {
+			$card['banner_position'] = AcfFormHelper::banner_position( $post_id, (string) ( $used_section['key'] ?? '' ) );
+		}
+
 		// Location (from location section, if show_location enabled).
 		if ( ! empty( $card_display['show_location'] ) ) {
 			$loc_value     = get_field( 'member_directory_location_location', $post_id );
@@ -766,6 +776,20 @@ class Directory {
 	// Render helpers
 	// -----------------------------------------------------------------------
 
+	/**
+	 * Viewer context for cards: a generic member or visitor — authors and
+	 * admins see cards as everyone else does — carrying the real user ID and
+	 * audiences so the relational and audience PMP levels resolve per card.
+	 *
+	 * @return array
+	 */
+	private static function card_viewer(): array {
+		$viewer              = PmpResolver::spoof_viewer( is_user_logged_in() ? 'member' : 'public' );
+		$viewer['user_id']   = get_current_user_id();
+		$viewer['audiences'] = PmpResolver::user_audiences( $viewer['user_id'] );
+		return $viewer;
+	}
+
 	/**
 	 * Render all cards from a WP_Query and collect marker data for the map.
 	 *
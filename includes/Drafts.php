@@ -0,0 +1,277 @@
+<?php
+/**
+ * Draft-and-publish editing mode.
+ *
+ * By default every autosave writes straight to the live profile. With draft
+ * mode on, md_save_section stages values in a per-post draft instead
+ * (AcfFormHelper::handle_ajax_save() calls stage()), the edit form renders
+ * the staged values, and every view — the profile in view mode, View As,
+ * directory cards — keeps reading the published ACF values until the
+ * member publishes.
+ *
+ * Storage (post meta):
+ *   _memdir_draft_mode — '1' when draft mode is on.
+ *   _memdir_draft      — [ field_key => raw value ] as update_field() expects it.
+ *
+ * Only field values are drafted. PMP, section toggles, the primary section
+ * and the image/gallery upload handlers keep saving live — they have their
+ * own endpoints and are not content.
+ *
+ * Static class: Drafts::init() wires the AJAX handlers.
+ */
+
+namespace MemberDirectory;
+
+defined( 'ABSPATH' ) || exit;
+
+class Drafts {
+
+	/** Post meta key for the draft-mode flag. */
+	const MODE_META = '_memdir_draft_mode';
+
+	/** Post meta key for the staged field values. */
+	const DRAFT_META = '_memdir_draft';
+
+	/**
+	 * Wire AJAX handlers (logged-in users only — no nopriv variants).
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_memdir_ajax_set_draft_mode',  [ self::class, 'handle_set_mode' ] );
+		add_action( 'wp_ajax_memdir_ajax_get_draft_diff',  [ self::class, 'handle_get_diff' ] );
+		add_action( 'wp_ajax_memdir_ajax_publish_draft',   [ self::class, 'handle_publish' ] );
+		add_action( 'wp_ajax_memdir_ajax_discard_draft',   [ self::class, 'handle_discard' ] );
+	}
+
+	// -----------------------------------------------------------------------
+	// Read / write
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Whether draft mode is on for a member-directory post.
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 * @return bool
+	 */
+	public static function is_enabled( int $post_id ): bool {
+		return get_post_meta( $post_id, self::MODE_META, true ) === '1';
+	}
+
+	/**
+	 * The staged field values for a post.
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 * @return array [ field_key => raw value ]
+	 */
+	public static function get_draft( int $post_id ): array {
+		$draft = get_post_meta( $post_id, self::DRAFT_META, true );
+		return is_array( $draft ) ? $draft : [];
+	}
+
+	/**
+	 * A field's current editing value: the staged value when there is one,
+	 * otherwise the published raw value.
+	 *
+	 * @param int    $post_id   The member-directory post ID.
+	 * @param string $field_key ACF field key.
+	 * @return mixed
+	 */
+	public static function get_value( int $post_id, string $field_key ) {
+		$draft = self::get_draft( $post_id );
+		return array_key_exists( $field_key, $draft )
+			? $draft[ $field_key ]
+			: get_field( $field_key, $post_id, false );
+	}
+
+	/**
+	 * Stage field values in the draft.
+	 *
+	 * A value that matches the published one is dropped from the draft, so
+	 * editing a field back to its live value leaves nothing to publish.
+	 *
+	 * @param int   $post_id The member-directory post ID.
+	 * @param array $values  [ field_key => raw value ], already validated.
+	 */
+	public static function stage( int $post_id, array $values ): void {
+		$draft = self::get_draft( $post_id );
+
+		foreach ( $values as $field_key => $value ) {
+			if ( AcfFormHelper::values_match( $value, get_field( $field_key, $post_id, false ) ) ) {
+				unset( $draft[ $field_key ] );
+			} else {
+				$draft[ $field_key ] = $value;
+			}
+		}
+
+		if ( $draft ) {
+			update_post_meta( $post_id, self::DRAFT_META, $draft );
+		} else {
+			delete_post_meta( $post_id, self::DRAFT_META );
+		}
+	}
+
+	/**
+	 * Render staged values in the edit form.
+	 *
+	 * Called by the single template once it knows the page is in edit mode,
+	 * so view mode never sees the filter. Priority 20 runs after ACF's own
+	 * type filters (e.g. the repeater's row loader) so the staged value —
+	 * already in the shape the form submitted — replaces the loaded one.
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 */
+	public static function apply_to_edit_form( int $post_id ): void {
+		if ( ! self::is_enabled( $post_id ) ) {
+			return;
+		}
+
+		$draft = self::get_draft( $post_id );
+		if ( ! $draft ) {
+			return;
+		}
+
+		add_filter( 'acf/load_value', function ( $value, $value_post_id, $field ) use ( $post_id, $draft ) {
+			if ( (int) $value_post_id !== $post_id || ! array_key_exists( $field['key'] ?? '', $draft ) ) {
+				return $value;
+			}
+			return $draft[ $field['key'] ];
+		}, 20, 3 );
+	}
+
+	// -----------------------------------------------------------------------
+	// AJAX handlers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * AJAX handler: turn draft mode on or off.
+	 *
+	 * Expects $_POST:
+	 *   nonce   — md_save_nonce
+	 *   post_id — int, the member-directory post
+	 *   enabled — '1' or '0'
+	 *
+	 * Turning draft mode off while changes are staged is refused — the
+	 * member must publish or discard first, so nothing is lost silently.
+	 */
+	public static function handle_set_mode(): void {
+		$post_id = self::verify_request();
+		$enabled = ( $_POST['enabled'] ?? '' ) === '1';
+
+		if ( ! $enabled && self::get_draft( $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Publish or discard your draft changes first.' ], 409 );
+		}
+
+		if ( $enabled ) {
+			update_post_meta( $post_id, self::MODE_META, '1' );
+		} else {
+			delete_post_meta( $post_id, self::MODE_META );
+		}
+
+		wp_send_json_success( [ 'enabled' => $enabled ] );
+	}
+
+	/**
+	 * AJAX handler: list staged changes next to their live values.
+	 *
+	 * Expects $_POST: nonce, post_id.
+	 *
+	 * Responds with `changes`: [ { key, label, section, live, draft } ],
+	 * where live/draft are plain-text renderings for display.
+	 */
+	public static function handle_get_diff(): void {
+		$post_id = self::verify_request();
+		$changes = [];
+
+		foreach ( self::get_draft( $post_id ) as $field_key => $value ) {
+			$field = acf_get_field( $field_key );
+			if ( ! $field ) {
+				continue;
+			}
+
+			$changes[] = [
+				'key'     => $field_key,
+				'label'   => $field['label'] ?? $field_key,
+				'section' => AcfFormHelper::get_field_section( $field )['label'] ?? '',
+				'live'    => AcfFormHelper::format_value_text( $field, get_field( $field_key, $post_id, false ) ),
+				'draft'   => AcfFormHelper::format_value_text( $field, $value ),
+			];
+		}
+
+		wp_send_json_success( [ 'changes' => $changes ] );
+	}
+
+	/**
+	 * AJAX handler: write every staged value to the live profile and clear
+	 * the draft. The publish is recorded as one revision.
+	 *
+	 * Expects $_POST: nonce, post_id.
+	 */
+	public static function handle_publish(): void {
+		$post_id = self::verify_request();
+		$draft   = self::get_draft( $post_id );
+		$changes = [];
+
+		foreach ( $draft as $field_key => $value ) {
+			$field = acf_get_field( $field_key );
+			if ( $field ) {
+				$before = get_field( $field_key, $post_id, false );
+				update_field( $field_key, $value, $post_id );
+				$changes[] = Revisions::field_change( $field, $before, $value );
+			}
+		}
+
+		delete_post_meta( $post_id, self::DRAFT_META );
+		Revisions::record( $post_id, $changes );
+
+		wp_send_json_success( [
+			'message'   => 'Published.',
+			'published' => count( $draft ),
+		] );
+	}
+
+	/**
+	 * AJAX handler: throw the draft away.
+	 *
+	 * Expects $_POST: nonce, post_id.
+	 *
+	 * Discarded fields get their revision bumped — the value open in any
+	 * edit tab is now stale and should be reloaded rather than re-saved.
+	 */
+	public static function handle_discard(): void {
+		$post_id = self::verify_request();
+		$draft   = self::get_draft( $post_id );
+
+		if ( $draft ) {
+			AcfFormHelper::bump_field_revisions( $post_id, array_keys( $draft ) );
+			delete_post_meta( $post_id, self::DRAFT_META );
+		}
+
+		wp_send_json_success( [ 'message' => 'Draft discarded.' ] );
+	}
+
+	// -----------------------------------------------------------------------
+	// Helpers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Shared nonce / post / permission checks for the draft endpoints.
+	 * Sends the JSON error and exits on failure.
+	 *
+	 * @return int The validated post ID.
+	 */
+	private static function verify_request(): int {
+		if ( ! check_ajax_referer( 'md_save_nonce', 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id = absint( $_POST['post_id'] ?? 0 );
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
+		}
+
+		return $post_id;
+	}
+}
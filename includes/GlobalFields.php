@@ -18,6 +18,10 @@
  * from a JSON file and does not require a sync.
  * The Primary Section choices are built dynamically from SectionRegistry
  * so the select options stay in sync as sections are added or removed.
+ *
+ * Also owns the per-profile section order (post meta, not an ACF field):
+ * the author's drag-and-drop order of the section pills, applied to the
+ * pill nav and the All Sections layout in both modes.
  */
 
 namespace MemberDirectory;
@@ -26,6 +30,9 @@ defined( 'ABSPATH' ) || exit;
 
 class GlobalFields {
 
+	/** Post meta key for the author's section order: [ section_key, ... ]. */
+	const SECTION_ORDER_META = '_memdir_section_order';
+
 	/**
 	 * Register (or immediately run) the acf/init callback.
 	 * Called once from Plugin::init() during plugins_loaded.
@@ -51,6 +58,7 @@ class GlobalFields {
 		// AJAX handlers — logged-in users only.
 		add_action( 'wp_ajax_memdir_ajax_save_primary_section', [ self::class, 'handle_save_primary_section' ] );
 		add_action( 'wp_ajax_memdir_ajax_save_global_pmp',      [ self::class, 'handle_save_global_pmp' ] );
+		add_action( 'wp_ajax_memdir_ajax_save_section_order',   [ self::class, 'handle_save_section_order' ] );
 	}
 
 	/**
@@ -107,7 +115,8 @@ class GlobalFields {
 	/**
 	 * Field 1: Profile Visibility (global PMP).
 	 *
-	 * A button_group with three options — Public, Members Only, Private.
+	 * A button_group with the PMP levels on offer (PmpResolver::levels()) —
+	 * Public, Members Only, Trust Network, Connections, Private.
 	 * This is the top of the PMP waterfall: when both section and field PMP
 	 * are set to 'inherit', this value determines visibility.
 	 *
@@ -119,11 +128,7 @@ class GlobalFields {
 			'name'          => 'member_directory_global_pmp',
 			'label'         => 'Profile Visibility',
 			'type'          => 'button_group',
-			'choices'       => [
-				'public'  => 'Public',
-				'member'  => 'Members Only',
-				'private' => 'Private',
-			],
+			'choices'       => array_merge( PmpResolver::levels(), [ 'member' => 'Members Only' ] ),
 			'default_value' => 'member',
 			'layout'        => 'horizontal',
 		];
@@ -217,7 +222,7 @@ class GlobalFields {
 	 * Handle AJAX save for the Global PMP field.
 	 *
 	 * Validates nonce, post type, capabilities, and that the submitted
-	 * value is one of the three explicit PMP levels before saving.
+	 * value is one of the explicit PMP levels on offer before saving.
 	 *
 	 * Action: wp_ajax_memdir_ajax_save_global_pmp
 	 */
@@ -237,12 +242,108 @@ class GlobalFields {
 			wp_send_json_error( [ 'message' => 'Insufficient permissions.' ], 403 );
 		}
 
-		if ( ! in_array( $pmp, [ 'public', 'member', 'private' ], true ) ) {
+		if ( ! PmpResolver::is_level( $pmp ) ) {
 			wp_send_json_error( [ 'message' => 'Invalid PMP value.' ], 400 );
 		}
 
+		$before = (string) get_field( 'field_md_global_pmp', $post_id, false );
 		update_field( 'field_md_global_pmp', $pmp, $post_id );
+
+		Revisions::record( $post_id, [ [
+			'kind'    => 'global_pmp',
+			'name'    => 'field_md_global_pmp',
+			'section' => '',
+			'label'   => 'Global default visibility',
+			'before'  => $before,
+			'after'   => $pmp,
+		] ] );
+
 		wp_send_json_success( [ 'global_pmp' => $pmp ] );
 	}
 
+	// -----------------------------------------------------------------------
+	// Section order
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The author's saved section order, or an empty array when they never
+	 * reordered (callers then keep their default order).
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 * @return string[] Section keys.
+	 */
+	public static function get_section_order( int $post_id ): array {
+		$order = get_post_meta( $post_id, self::SECTION_ORDER_META, true );
+		return is_array( $order ) ? array_values( $order ) : [];
+	}
+
+	/**
+	 * Sort section configs by the post's saved order.
+	 *
+	 * Sections missing from the saved order (added to the registry after the
+	 * author reordered) keep their registry order after the ordered ones.
+	 * Without a saved order the list is returned unchanged.
+	 *
+	 * @param int   $post_id  The member-directory post ID.
+	 * @param array $sections Section configs from SectionRegistry::get_sections().
+	 * @return array
+	 */
+	public static function apply_section_order( int $post_id, array $sections ): array {
+		$order = self::get_section_order( $post_id );
+		if ( ! $order ) {
+			return $sections;
+		}
+
+		$rank = array_flip( $order );
+		$pos  = array_flip( array_keys( $sections ) );
+
+		uksort( $sections, function ( $a, $b ) use ( $sections, $rank, $pos ) {
+			$ra = $rank[ $sections[ $a ]['key'] ?? '' ] ?? PHP_INT_MAX;
+			$rb = $rank[ $sections[ $b ]['key'] ?? '' ] ?? PHP_INT_MAX;
+			return $ra === $rb ? $pos[ $a ] <=> $pos[ $b ] : $ra <=> $rb;
+		} );
+
+		return array_values( $sections );
+	}
+
+	/**
+	 * Handle AJAX save for the per-profile section order.
+	 *
+	 * Expects $_POST:
+	 *   nonce   — md_save_nonce
+	 *   post_id — int, the member-directory post
+	 *   order[] — section keys in the new order; unknown keys are dropped
+	 *
+	 * Action: wp_ajax_memdir_ajax_save_section_order
+	 */
+	public static function handle_save_section_order(): void {
+		if ( ! check_ajax_referer( 'md_save_nonce', 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$order   = isset( $_POST['order'] ) && is_array( $_POST['order'] )
+			? array_map( 'sanitize_key', wp_unslash( $_POST['order'] ) )
+			: [];
+
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Insufficient permissions.' ], 403 );
+		}
+
+		$valid_keys = array_column( SectionRegistry::get_sections(), 'key' );
+		$order      = array_values( array_unique( array_intersect( $order, $valid_keys ) ) );
+
+		if ( ! $order ) {
+			wp_send_json_error( [ 'message' => 'Invalid section order.' ], 400 );
+		}
+
+		update_post_meta( $post_id, self::SECTION_ORDER_META, $order );
+
+		wp_send_json_success( [ 'order' => $order ] );
+	}
+
 }
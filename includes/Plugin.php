@@ -20,6 +20,8 @@
  *   ✅ Onboarding.php       — available
  *   ✅ Messaging.php        — available
  *   ✅ Directory.php        — available
+ *   ✅ Drafts.php           — available
+ *   ✅ Revisions.php        — available
  */
 
 namespace MemberDirectory;
@@ -33,12 +35,17 @@ require_once __DIR__ . '/AdminSync.php';
 // Require additional classes as they are added to includes/:
 require_once __DIR__ . '/FieldRenderer.php';
 require_once __DIR__ . '/PmpResolver.php';
+require_once __DIR__ . '/PmpPresets.php';
+require_once __DIR__ . '/PrivacyReport.php';
+require_once __DIR__ . '/PmpSchedule.php';
 require_once __DIR__ . '/GlobalFields.php';
 require_once __DIR__ . '/AcfFormHelper.php';
 require_once __DIR__ . '/TrustNetwork.php';
 require_once __DIR__ . '/Onboarding.php';
 require_once __DIR__ . '/Messaging.php';
 require_once __DIR__ . '/Directory.php';
+require_once __DIR__ . '/Drafts.php';
+require_once __DIR__ . '/Revisions.php';
 
 class Plugin {
 
@@ -86,6 +93,11 @@ class Plugin {
 		Onboarding::init();
 		Messaging::init();
 		Directory::init();
+		Drafts::init();
+		Revisions::init();
+		PmpPresets::init();
+		PrivacyReport::init();
+		PmpSchedule::init();
 	}
 
 	// -----------------------------------------------------------------------
@@ -211,11 +223,14 @@ class Plugin {
 
 		// Build social import sources: other primary-capable sections that have
 		// filled-in social URL fields in their header tab.
+		// Pending scheduled PMP changes (PmpSchedule) ride along for editors.
 		$social_sources = [];
+		$pmp_schedule   = [];
 		if ( is_singular( 'member-directory' ) ) {
 			$md_post_id = get_queried_object_id();
 			$viewer     = PmpResolver::resolve_viewer( $md_post_id );
 			if ( $md_post_id && AcfFormHelper::is_edit_mode( $md_post_id, $viewer ) ) {
+				$pmp_schedule = PmpSchedule::get( $md_post_id );
 				foreach ( SectionRegistry::get_sections() as $sec ) {
 					if ( empty( $sec['can_be_primary'] ) ) {
 						continue;
@@ -238,6 +253,9 @@ class Plugin {
 				'socialSources'    => (object) $social_sources,
 				'currentUserId'    => get_current_user_id(),
 				'messagingEnabled' => Messaging::is_available(),
+				'pmpLevels'        => array_keys( PmpResolver::levels() ),
+				'pmpAudiences'     => (object) wp_list_pluck( PmpResolver::get_audiences(), 'label' ),
+				'pmpSchedule'      => (object) $pmp_schedule,
 				'messagingAccess'  => is_singular( 'member-directory' )
 					? Messaging::get_access( get_queried_object_id() )
 					: 'off',
@@ -247,6 +265,9 @@ class Plugin {
 				'avatarLink'       => is_singular( 'member-directory' )
 					? (string) get_post_meta( get_queried_object_id(), '_memdir_avatar_link', true )
 					: '',
+				'fieldRevisions'   => (object) ( is_singular( 'member-directory' )
+					? AcfFormHelper::get_field_revisions( get_queried_object_id() )
+					: [] ),
 			]
 		);
 	}
@@ -0,0 +1,268 @@
+<?php
+/**
+ * Privacy presets — one-click PMP setups for a whole profile.
+ *
+ * A preset names a global PMP, per-section PMPs and per-field PMPs, and
+ * applying it writes all three levels in one request. Admins define the
+ * presets under Directory Settings (AdminSync); they live in the directory
+ * config as 'pmp_presets':
+ *
+ *   [ key => [
+ *       'label'    => 'Members-only contact',
+ *       'global'   => 'public',
+ *       'sections' => [ section_key => pmp ],   // unlisted → inherit
+ *       'fields'   => [ pattern => pmp ],       // unlisted → inherit
+ *   ] ]
+ *
+ * Field rules match the field name without its member_directory_ prefix
+ * (the companion suffix) with shell wildcards — '*phone*' covers every
+ * phone field in every section. The first matching rule wins.
+ *
+ * The right panel lists the presets; memdir.js (section 19) compares them
+ * with the page's PMP controls to show which one the profile matches, or
+ * that it has drifted from the one applied last (_memdir_pmp_preset).
+ * "Custom" is that unmatched state, not a preset.
+ *
+ * Static class: PmpPresets::init() wires the AJAX handler.
+ */
+
+namespace MemberDirectory;
+
+defined( 'ABSPATH' ) || exit;
+
+class PmpPresets {
+
+	/** Post meta key for the preset applied last. */
+	const APPLIED_META = '_memdir_pmp_preset';
+
+	/** Starter presets, used until an admin saves their own. */
+	const DEFAULT_PRESETS = [
+		'open'            => [
+			'label'    => 'Open',
+			'global'   => 'public',
+			'sections' => [],
+			'fields'   => [],
+		],
+		'members_contact' => [
+			'label'    => 'Members-only contact',
+			'global'   => 'public',
+			'sections' => [],
+			'fields'   => [
+				'*phone*'   => 'member',
+				'*email*'   => 'member',
+				'*address*' => 'member',
+			],
+		],
+		'private'         => [
+			'label'    => 'Private until ready',
+			'global'   => 'private',
+			'sections' => [],
+			'fields'   => [],
+		],
+	];
+
+	/**
+	 * Wire AJAX handlers (logged-in users only — no nopriv variants).
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_memdir_ajax_apply_pmp_preset', [ self::class, 'handle_apply' ] );
+	}
+
+	// -----------------------------------------------------------------------
+	// Read
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The admin-defined presets (see the class docblock for the shape).
+	 *
+	 * @return array<string, array>
+	 */
+	public static function get_presets(): array {
+		$presets = Directory::get_config()['pmp_presets'] ?? [];
+		return is_array( $presets ) ? $presets : [];
+	}
+
+	/**
+	 * Every preset spelled out against the registered sections and fields:
+	 * the value each level gets, so nothing is left to pattern matching.
+	 *
+	 * @return array<string, array{label: string, global: string, sections: array<string, string>, fields: array<string, string>}>
+	 *         fields is keyed by PMP companion name.
+	 */
+	public static function resolve_all(): array {
+		$companions = self::get_companion_names();
+		$resolved   = [];
+
+		foreach ( self::get_presets() as $key => $preset ) {
+			$sections = [];
+			foreach ( SectionRegistry::get_sections() as $section ) {
+				$section_key              = $section['key'] ?? '';
+				$sections[ $section_key ] = (string) ( $preset['sections'][ $section_key ] ?? 'inherit' );
+			}
+
+			$fields = [];
+			foreach ( $companions as $companion_name ) {
+				$fields[ $companion_name ] = self::match_field_rule(
+					$preset['fields'] ?? [],
+					substr( $companion_name, strlen( 'member_directory_field_pmp_' ) )
+				);
+			}
+
+			$resolved[ $key ] = [
+				'label'    => (string) ( $preset['label'] ?? $key ),
+				'global'   => (string) ( $preset['global'] ?? 'public' ),
+				'sections' => $sections,
+				'fields'   => $fields,
+			];
+		}
+
+		return $resolved;
+	}
+
+	/**
+	 * The preset a post had applied last, or '' when none has been.
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 * @return string
+	 */
+	public static function get_applied( int $post_id ): string {
+		return (string) get_post_meta( $post_id, self::APPLIED_META, true );
+	}
+
+	// -----------------------------------------------------------------------
+	// AJAX handler
+	// -----------------------------------------------------------------------
+
+	/**
+	 * AJAX handler: apply a preset — global, section and field PMP in one
+	 * go, recorded as one revision. Only values that change are written.
+	 *
+	 * Expects $_POST:
+	 *   nonce   — md_save_nonce
+	 *   post_id — int, the member-directory post
+	 *   preset  — string, a key from get_presets()
+	 *
+	 * Responds with the preset's full values (resolve_all() shape) so the
+	 * page can set every control it shows.
+	 */
+	public static function handle_apply(): void {
+		if ( ! check_ajax_referer( 'md_save_nonce', 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$key     = isset( $_POST['preset'] ) ? sanitize_key( wp_unslash( $_POST['preset'] ) ) : '';
+
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
+		}
+
+		$preset = self::resolve_all()[ $key ] ?? null;
+		if ( ! $preset ) {
+			wp_send_json_error( [ 'message' => 'Unknown preset.' ], 400 );
+		}
+
+		// A level can disappear after the preset was saved (an audience
+		// deleted, BuddyBoss switched off) — refuse rather than write it.
+		$values = array_merge( [ $preset['global'] ], $preset['sections'], $preset['fields'] );
+		foreach ( array_unique( $values ) as $pmp ) {
+			if ( $pmp !== 'inherit' && ! PmpResolver::is_level( $pmp ) ) {
+				wp_send_json_error( [ 'message' => 'This preset uses a visibility level that is no longer available.' ], 400 );
+			}
+		}
+		if ( $preset['global'] === 'inherit' ) {
+			wp_send_json_error( [ 'message' => 'Invalid PMP value.' ], 400 );
+		}
+
+		$changes = [];
+
+		$before = (string) get_field( 'field_md_global_pmp', $post_id, false );
+		if ( $before !== $preset['global'] ) {
+			update_field( 'field_md_global_pmp', $preset['global'], $post_id );
+			$changes[] = [
+				'kind'    => 'global_pmp',
+				'name'    => 'field_md_global_pmp',
+				'section' => '',
+				'label'   => 'Global default visibility',
+				'before'  => $before,
+				'after'   => $preset['global'],
+			];
+		}
+
+		foreach ( $preset['sections'] as $section_key => $pmp ) {
+			$field_name = 'member_directory_' . $section_key . '_privacy_mode';
+			$before     = (string) ( get_field( $field_name, $post_id, false ) ?: 'inherit' );
+			if ( $before !== $pmp ) {
+				update_field( $field_name, $pmp, $post_id );
+				$changes[] = Revisions::section_change( 'section_pmp', $section_key, $before, $pmp );
+			}
+		}
+
+		foreach ( $preset['fields'] as $companion_name => $pmp ) {
+			$before = (string) ( get_field( $companion_name, $post_id, false ) ?: 'inherit' );
+			if ( $before !== $pmp ) {
+				update_field( $companion_name, $pmp, $post_id );
+				$changes[] = Revisions::field_pmp_change( $companion_name, $before, $pmp );
+			}
+		}
+
+		update_post_meta( $post_id, self::APPLIED_META, $key );
+		Revisions::record( $post_id, $changes );
+
+		wp_send_json_success( array_merge( [ 'preset' => $key ], $preset ) );
+	}
+
+	// -----------------------------------------------------------------------
+	// Helpers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The PMP companion name of every content field in every section —
+	 * the fields section-edit.php gives a field PMP control.
+	 *
+	 * @return string[]
+	 */
+	private static function get_companion_names(): array {
+		$names = [];
+
+		foreach ( SectionRegistry::get_sections() as $section ) {
+			$group_key = $section['acf_group_key'] ?? '';
+			$fields    = $group_key ? ( acf_get_fields( $group_key ) ?: [] ) : [];
+
+			foreach ( $fields as $f ) {
+				$fkey = $f['key'] ?? '';
+				if ( in_array( $f['type'] ?? '', [ 'tab', 'button_group' ], true )
+					|| preg_match( '/_(enabled|privacy_mode)$/', $fkey )
+					|| str_contains( $fkey, '_pmp_' )
+					|| empty( $f['name'] ) ) {
+					continue;
+				}
+
+				$names[] = 'member_directory_field_pmp_' . preg_replace( '/^member_directory_/', '', $f['name'] );
+			}
+		}
+
+		return array_values( array_unique( $names ) );
+	}
+
+	/**
+	 * The PMP a preset's field rules give a field: the first pattern that
+	 * matches its suffix, or 'inherit'.
+	 *
+	 * @param array  $rules  [ pattern => pmp ].
+	 * @param string $suffix Field name without member_directory_.
+	 * @return string
+	 */
+	private static function match_field_rule( array $rules, string $suffix ): string {
+		foreach ( $rules as $pattern => $pmp ) {
+			if ( fnmatch( (string) $pattern, $suffix ) ) {
+				return (string) $pmp;
+			}
+		}
+		return 'inherit';
+	}
+}
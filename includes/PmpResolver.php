@@ -12,9 +12,12 @@
  *
  * PMP values exist at three levels, stacked bottom-to-top:
  *
- *     FIELD     (lowest)   — can be: public, member, private, or inherit
- *     SECTION   (middle)   — can be: public, member, private, or inherit
- *     GLOBAL    (top)      — can be: public, member, private  (NEVER inherit)
+ *     FIELD     (lowest)   — can be: any explicit value, or inherit
+ *     SECTION   (middle)   — can be: any explicit value, or inherit
+ *     GLOBAL    (top)      — can be: any explicit value  (NEVER inherit)
+ *
+ * Explicit values: public, member, trusted, connections, private, plus
+ * any admin-defined audience (audience_*, see AUDIENCES below).
  *
  * Resolution starts at the bottom (field) and walks upward:
  *
@@ -31,6 +34,35 @@
  * of a "most permissive" rule.
  *
  * ────────────────────────────────────────────────────────────────────
+ *  RELATIONAL LEVELS
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Two levels depend on who the viewer is to the profile owner, so
+ * can_view() needs the profile's post ID ($args['post_id']) and the
+ * viewer's user ID ($viewer['user_id']) to resolve them:
+ *
+ *     trusted      — viewer is in the profile's Trust Network
+ *                    (TrustNetwork::is_in_network()).
+ *     connections  — viewer is a BuddyBoss connection (friend) of the
+ *                    profile author. Only offered when the BuddyBoss
+ *                    friends component is active (see levels()).
+ *
+ * Without a post ID or a logged-in viewer both fail closed (hide).
+ * Spoofed viewers have no user ID, so View As previews them as hidden.
+ *
+ * ────────────────────────────────────────────────────────────────────
+ *  AUDIENCES
+ * ────────────────────────────────────────────────────────────────────
+ *
+ * Admins can define extra levels on the settings page — e.g. "Pro
+ * members" — each matching users by WordPress role or capability.
+ * They are stored in the AUDIENCE_OPTION option keyed by their PMP
+ * value ("audience_pro"), are offered right after "member" in every
+ * picker, and are visible only to logged-in users the audience
+ * matches ($viewer['audiences']). A value whose audience has since
+ * been deleted fails closed like any unknown value.
+ *
+ * ────────────────────────────────────────────────────────────────────
  *  GHOST BEHAVIOR
  * ────────────────────────────────────────────────────────────────────
  *
@@ -78,10 +110,36 @@ defined( 'ABSPATH' ) || exit;
 class PmpResolver {
 
 	/**
-	 * The three explicit PMP values. Anything else is treated as "inherit".
+	 * The explicit PMP values. Anything else is treated as "inherit".
 	 * Order does not matter here — this is a membership test, not a ranking.
 	 */
-	const EXPLICIT_VALUES = [ 'public', 'member', 'private' ];
+	const EXPLICIT_VALUES = [ 'public', 'member', 'trusted', 'connections', 'private' ];
+
+	/**
+	 * Display labels for the explicit values, most open first — the order
+	 * every PMP picker lists them in.
+	 */
+	const LEVEL_LABELS = [
+		'public'      => 'Public',
+		'member'      => 'Members',
+		'trusted'     => 'Trust Network',
+		'connections' => 'Connections',
+		'private'     => 'Private',
+	];
+
+	/** Option holding the admin-defined audiences (see get_audiences()). */
+	const AUDIENCE_OPTION = 'member_directory_pmp_audiences';
+
+	/** Prefix every audience PMP value carries, e.g. "audience_pro". */
+	const AUDIENCE_PREFIX = 'audience_';
+
+	/**
+	 * Relationship checks already made this request, keyed
+	 * "{level}:{user_id}:{post_id}" — directory pages ask once per field.
+	 *
+	 * @var array<string, bool>
+	 */
+	private static array $relation_cache = [];
 
 	// -----------------------------------------------------------------------
 	// can_view — the core visibility check
@@ -98,12 +156,16 @@ class PmpResolver {
 	 *     field_pmp:   string,
 	 *     section_pmp: string,
 	 *     global_pmp:  string,
-	 * } $args  The three PMP values for this field in this context.
+	 *     post_id?:    int,
+	 * } $args  The three PMP values for this field in this context, plus
+	 *          the profile's post ID for the relational levels.
 	 *
 	 * @param array{
 	 *     is_author:    bool,
 	 *     is_admin:     bool,
 	 *     is_logged_in: bool,
+	 *     user_id?:     int,
+	 *     audiences?:   string[],
 	 * } $viewer  The viewer context (real or spoofed).
 	 *
 	 * @return bool  True = show the field. False = ghost (emit nothing).
@@ -123,49 +185,165 @@ class PmpResolver {
 		}
 
 		// -----------------------------------------------------------------
-		// Step 2: Resolve the effective PMP value via the waterfall.
-		//
-		// Start at the field level. If the field has an explicit value
-		// (public, member, or private), that value wins — stop. If the
-		// field is set to "inherit", move up to the section. Same rule.
-		// If the section is also "inherit", fall through to global.
-		// Global is always explicit, so the waterfall always terminates.
+		// Step 2: Resolve the effective PMP value via the waterfall
+		// (see resolve()).
 		// -----------------------------------------------------------------
 
-		$field_pmp   = $args['field_pmp']   ?? 'inherit';
-		$section_pmp = $args['section_pmp'] ?? 'inherit';
-		$global_pmp  = $args['global_pmp']  ?? 'public';
-
-		if ( self::is_explicit( $field_pmp ) ) {
-			// Waterfall stops at field level.
-			$effective = $field_pmp;
-		} elseif ( self::is_explicit( $section_pmp ) ) {
-			// Field was "inherit" — waterfall stops at section level.
-			$effective = $section_pmp;
-		} else {
-			// Both field and section were "inherit" — global wins.
-			// Global should always be explicit, but default to 'public'
-			// as a safety net if something is misconfigured.
-			$effective = $global_pmp;
-		}
+		$effective = self::resolve( $args )['pmp'];
 
 		// -----------------------------------------------------------------
 		// Step 3: Apply the resolved effective value against the viewer.
 		//
-		//   public  → visible to everyone (logged in or logged out)
-		//   member  → visible only to logged-in users
-		//   private → visible only to author and admin (already caught
-		//             in step 1, so reaching here means: hide)
+		//   public      → visible to everyone (logged in or logged out)
+		//   member      → visible only to logged-in users
+		//   trusted     → visible only to the profile's Trust Network
+		//   connections → visible only to the author's BuddyBoss connections
+		//   audience_*  → visible only to logged-in users in that audience
+		//   private     → visible only to author and admin (already caught
+		//                 in step 1, so reaching here means: hide)
 		// -----------------------------------------------------------------
 
 		return match ( $effective ) {
-			'public'  => true,
-			'member'  => ! empty( $viewer['is_logged_in'] ),
-			'private' => false,
-			default   => false, // Unknown value — fail closed (hide).
+			'public'      => true,
+			'member'      => ! empty( $viewer['is_logged_in'] ),
+			'trusted',
+			'connections' => self::is_related( $effective, (int) ( $viewer['user_id'] ?? 0 ), (int) ( $args['post_id'] ?? 0 ) ),
+			'private'     => false,
+			// An audience the viewer belongs to; anything else is an
+			// unknown value — fail closed (hide).
+			default       => self::is_audience( $effective )
+				&& in_array( $effective, $viewer['audiences'] ?? [], true ),
 		};
 	}
 
+	// -----------------------------------------------------------------------
+	// resolve — the waterfall on its own
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Walk the waterfall for one field: its effective PMP value and the
+	 * level that decided it. Used by can_view() and by reports that need
+	 * to explain a value rather than just apply it.
+	 *
+	 * @param  array $args  field_pmp / section_pmp / global_pmp, as for can_view().
+	 * @return array{pmp: string, source: string}  source: field | section | global.
+	 */
+	public static function resolve( array $args ): array {
+		$field_pmp   = (string) ( $args['field_pmp']   ?? 'inherit' );
+		$section_pmp = (string) ( $args['section_pmp'] ?? 'inherit' );
+		$global_pmp  = (string) ( $args['global_pmp']  ?? 'public' );
+
+		// Start at the field level. If the field has an explicit value,
+		// that value wins — stop. If the field is set to "inherit", move
+		// up to the section. Same rule. If the section is also "inherit",
+		// fall through to global.
+		if ( self::is_explicit( $field_pmp ) ) {
+			return [ 'pmp' => $field_pmp, 'source' => 'field' ];
+		}
+		if ( self::is_explicit( $section_pmp ) ) {
+			return [ 'pmp' => $section_pmp, 'source' => 'section' ];
+		}
+
+		// Global should always be explicit, but default to 'public' as a
+		// safety net if something is misconfigured.
+		return [ 'pmp' => $global_pmp, 'source' => 'global' ];
+	}
+
+	// -----------------------------------------------------------------------
+	// levels — what the PMP pickers offer
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The explicit PMP values on offer on this site, value => label, most
+	 * open first, with the admin-defined audiences right after "member".
+	 * "connections" is left out unless BuddyBoss connections are
+	 * available — stored values still resolve (and fail closed) if the
+	 * component is switched off later.
+	 *
+	 * @return array<string, string>
+	 */
+	public static function levels(): array {
+		$levels = [];
+
+		foreach ( self::LEVEL_LABELS as $value => $label ) {
+			$levels[ $value ] = $label;
+
+			if ( $value === 'member' ) {
+				foreach ( self::get_audiences() as $key => $audience ) {
+					$levels[ $key ] = $audience['label'];
+				}
+			}
+		}
+
+		if ( ! function_exists( 'friends_check_friendship' ) ) {
+			unset( $levels['connections'] );
+		}
+
+		return $levels;
+	}
+
+	/**
+	 * Whether a value is an explicit PMP level on offer (see levels()).
+	 * "inherit" is not — callers that accept it check for it themselves.
+	 *
+	 * @param  string $value
+	 * @return bool
+	 */
+	public static function is_level( string $value ): bool {
+		return isset( self::levels()[ $value ] );
+	}
+
+	// -----------------------------------------------------------------------
+	// Audiences — admin-defined role / capability levels
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The admin-defined audiences, keyed by PMP value, in the order they
+	 * were added.
+	 *
+	 * @return array<string, array{label: string, type: string, value: string}>
+	 *         type is 'role' or 'cap'; value is the role slug or capability.
+	 */
+	public static function get_audiences(): array {
+		$audiences = get_option( self::AUDIENCE_OPTION, [] );
+		return is_array( $audiences ) ? $audiences : [];
+	}
+
+	/**
+	 * Persist the audiences (see get_audiences() for the shape).
+	 *
+	 * @param array $audiences
+	 */
+	public static function update_audiences( array $audiences ): void {
+		update_option( self::AUDIENCE_OPTION, $audiences );
+	}
+
+	/**
+	 * The audiences a user belongs to.
+	 *
+	 * @param  int $user_id  0 for a logged-out visitor.
+	 * @return string[]      Audience PMP values, e.g. [ 'audience_pro' ].
+	 */
+	public static function user_audiences( int $user_id ): array {
+		$user = $user_id ? get_userdata( $user_id ) : false;
+		if ( ! $user ) {
+			return [];
+		}
+
+		$matched = [];
+		foreach ( self::get_audiences() as $key => $audience ) {
+			$in = $audience['type'] === 'role'
+				? in_array( $audience['value'], (array) $user->roles, true )
+				: user_can( $user, $audience['value'] );
+
+			if ( $in ) {
+				$matched[] = $key;
+			}
+		}
+
+		return $matched;
+	}
+
 	// -----------------------------------------------------------------------
 	// resolve_viewer — build the real viewer context
 	// -----------------------------------------------------------------------
@@ -186,6 +364,8 @@ class PmpResolver {
 	 *     is_author:    bool,
 	 *     is_admin:     bool,
 	 *     is_logged_in: bool,
+	 *     user_id:      int,
+	 *     audiences:    string[],
 	 * }
 	 */
 	public static function resolve_viewer( int $post_id ): array {
@@ -197,6 +377,8 @@ class PmpResolver {
 			'is_author'    => $is_logged_in && $current_user === $post_author,
 			'is_admin'     => $is_logged_in && current_user_can( 'manage_options' ),
 			'is_logged_in' => $is_logged_in,
+			'user_id'      => $current_user,
+			'audiences'    => self::user_audiences( $current_user ),
 		];
 	}
 
@@ -211,27 +393,45 @@ class PmpResolver {
 	 * viewer types without changing any saved data. The spoofed array
 	 * is passed directly into can_view() in place of the real viewer.
 	 *
-	 * Only two spoof levels exist:
-	 *   - "member" — simulates a logged-in non-author user
-	 *   - "public" — simulates a logged-out visitor
+	 * The spoof levels:
+	 *   - "member"     — simulates a logged-in non-author user
+	 *   - "audience_*" — the same, belonging to that one audience
+	 *   - "public"     — simulates a logged-out visitor
 	 *
 	 * There is no "author" or "admin" spoof because those viewers
 	 * always see everything — there is nothing to preview.
 	 *
-	 * @param  string $level  Either "member" or "public".
+	 * @param  string $level  "member", "public" or an audience value.
+	 *
+	 * The spoofed viewer has no user ID: a generic member is nobody's
+	 * trusted partner or connection.
 	 *
 	 * @return array{
 	 *     is_author:    bool,
 	 *     is_admin:     bool,
 	 *     is_logged_in: bool,
+	 *     user_id:      int,
+	 *     audiences:    string[],
 	 * }
 	 */
 	public static function spoof_viewer( string $level ): array {
+		if ( isset( self::get_audiences()[ $level ] ) ) {
+			return [
+				'is_author'    => false,
+				'is_admin'     => false,
+				'is_logged_in' => true,
+				'user_id'      => 0,
+				'audiences'    => [ $level ],
+			];
+		}
+
 		return match ( $level ) {
 			'member' => [
 				'is_author'    => false,
 				'is_admin'     => false,
 				'is_logged_in' => true,
+				'user_id'      => 0,
+				'audiences'    => [],
 			],
 			// "public" and any unrecognized level both resolve to the most
 			// restrictive viewer: logged out, not author, not admin.
@@ -239,6 +439,8 @@ class PmpResolver {
 				'is_author'    => false,
 				'is_admin'     => false,
 				'is_logged_in' => false,
+				'user_id'      => 0,
+				'audiences'    => [],
 			],
 		};
 	}
@@ -250,7 +452,7 @@ class PmpResolver {
 	/**
 	 * Check whether a PMP value is explicit (not "inherit").
 	 *
-	 * Explicit values are: public, member, private.
+	 * Explicit values are the EXPLICIT_VALUES plus any audience value.
 	 * Everything else (including "inherit", empty strings, nulls,
 	 * and typos) is treated as non-explicit, which means the
 	 * waterfall continues upward.
@@ -259,6 +461,49 @@ class PmpResolver {
 	 * @return bool           True if the value is explicit.
 	 */
 	private static function is_explicit( string $value ): bool {
-		return in_array( $value, self::EXPLICIT_VALUES, true );
+		return in_array( $value, self::EXPLICIT_VALUES, true ) || self::is_audience( $value );
+	}
+
+	/**
+	 * Whether a value has the audience shape ("audience_" + key). Deleted
+	 * audiences still count, so their stored values stop the waterfall and
+	 * fail closed instead of silently inheriting something more open.
+	 *
+	 * @param  string $value
+	 * @return bool
+	 */
+	private static function is_audience( string $value ): bool {
+		return str_starts_with( $value, self::AUDIENCE_PREFIX ) && strlen( $value ) > strlen( self::AUDIENCE_PREFIX );
+	}
+
+	/**
+	 * Check a relational level: is the user in the profile's Trust Network
+	 * ("trusted"), or a BuddyBoss connection of its author ("connections")?
+	 *
+	 * @param  string $level    'trusted' | 'connections'.
+	 * @param  int    $user_id  The viewer; 0 when logged out or spoofed.
+	 * @param  int    $post_id  The member-directory post being viewed.
+	 * @return bool             False whenever either ID is missing.
+	 */
+	private static function is_related( string $level, int $user_id, int $post_id ): bool {
+		if ( ! $user_id || ! $post_id ) {
+			return false;
+		}
+
+		$cache_key = $level . ':' . $user_id . ':' . $post_id;
+		if ( isset( self::$relation_cache[ $cache_key ] ) ) {
+			return self::$relation_cache[ $cache_key ];
+		}
+
+		if ( $level === 'trusted' ) {
+			$related = TrustNetwork::is_in_network( $user_id, $post_id );
+		} else {
+			$author_id = (int) get_post_field( 'post_author', $post_id );
+			$related   = $author_id
+				&& function_exists( 'friends_check_friendship' )
+				&& friends_check_friendship( $user_id, $author_id );
+		}
+
+		return self::$relation_cache[ $cache_key ] = (bool) $related;
 	}
 }
@@ -0,0 +1,291 @@
+<?php
+/**
+ * Scheduled visibility changes.
+ *
+ * Any PMP level — global, section or field — can carry a list of pending
+ * changes: "on this date, switch to that value". One change covers an
+ * expiry ("public until March 1st, then members only") or a start date;
+ * two cover a period ("private from June 1st, public again from
+ * September 1st while I'm on sabbatical").
+ *
+ * Storage: post meta _memdir_pmp_schedule,
+ *
+ *   [ target => [ [ 'at' => 'Y-m-d', 'pmp' => value ], ... ] ]
+ *
+ *   target — 'global', 'section:{section_key}' or 'field:{companion_name}'.
+ *   at     — the site-timezone date the change applies on; a target's
+ *            changes are sorted by it, at most one per date.
+ *
+ * A daily cron event (CRON_HOOK, shortly after local midnight) writes every
+ * change that is due through the same fields the PMP endpoints write, logs
+ * them as one revision per profile, and drops them from the schedule.
+ * Until then nothing changes — can_view() never looks at the schedule.
+ *
+ * Static class: PmpSchedule::init() wires the AJAX handler and the cron.
+ */
+
+namespace MemberDirectory;
+
+defined( 'ABSPATH' ) || exit;
+
+class PmpSchedule {
+
+	/** Post meta key for the pending changes. */
+	const META = '_memdir_pmp_schedule';
+
+	/** Cron hook that applies due changes. */
+	const CRON_HOOK = 'memdir_apply_pmp_schedule';
+
+	/** Most pending changes one target can carry. */
+	const MAX_CHANGES = 10;
+
+	/**
+	 * Wire the AJAX handler (logged-in users only — no nopriv variant) and
+	 * the daily cron event.
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_memdir_ajax_save_pmp_schedule', [ self::class, 'handle_save' ] );
+		add_action( self::CRON_HOOK, [ self::class, 'apply_due' ] );
+		add_action( 'init', [ self::class, 'ensure_cron' ] );
+	}
+
+	/**
+	 * Schedule the daily event if it isn't — first load after activation,
+	 * or after something cleared it.
+	 */
+	public static function ensure_cron(): void {
+		if ( ! wp_next_scheduled( self::CRON_HOOK ) ) {
+			$first = new \DateTime( 'tomorrow 00:05', wp_timezone() );
+			wp_schedule_event( $first->getTimestamp(), 'daily', self::CRON_HOOK );
+		}
+	}
+
+	/**
+	 * Deactivation hook: drop the daily event. ensure_cron() puts it back
+	 * on the first load after reactivation.
+	 */
+	public static function clear_cron(): void {
+		wp_clear_scheduled_hook( self::CRON_HOOK );
+	}
+
+	// -----------------------------------------------------------------------
+	// Read
+	// -----------------------------------------------------------------------
+
+	/**
+	 * A post's pending changes (see the class docblock for the shape).
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 * @return array<string, array<int, array{at: string, pmp: string}>>
+	 */
+	public static function get( int $post_id ): array {
+		$schedule = get_post_meta( $post_id, self::META, true );
+		return is_array( $schedule ) ? $schedule : [];
+	}
+
+	// -----------------------------------------------------------------------
+	// Apply
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Cron callback: apply every change due today or earlier, on every
+	 * profile that has one. A target with several due changes (the site
+	 * missed a few days) gets them in date order, so the latest wins.
+	 */
+	public static function apply_due(): void {
+		$today = wp_date( 'Y-m-d' );
+		$posts = get_posts( [
+			'post_type'      => 'member-directory',
+			'post_status'    => 'any',
+			'posts_per_page' => -1,
+			'fields'         => 'ids',
+			'meta_key'       => self::META, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+		] );
+
+		foreach ( $posts as $post_id ) {
+			$schedule = self::get( (int) $post_id );
+			$changes  = [];
+
+			foreach ( $schedule as $target => $entries ) {
+				foreach ( $entries as $i => $entry ) {
+					if ( ( $entry['at'] ?? '' ) > $today ) {
+						break;
+					}
+					$change = self::write( (int) $post_id, (string) $target, (string) ( $entry['pmp'] ?? '' ) );
+					if ( $change ) {
+						$changes[] = $change;
+					}
+					unset( $entries[ $i ] );
+				}
+
+				if ( $entries ) {
+					$schedule[ $target ] = array_values( $entries );
+				} else {
+					unset( $schedule[ $target ] );
+				}
+			}
+
+			self::update( (int) $post_id, $schedule );
+			Revisions::record( (int) $post_id, $changes );
+		}
+	}
+
+	// -----------------------------------------------------------------------
+	// AJAX handler
+	// -----------------------------------------------------------------------
+
+	/**
+	 * AJAX handler: replace the pending changes of one PMP level.
+	 *
+	 * Expects $_POST:
+	 *   nonce   — md_save_nonce
+	 *   post_id — int, the member-directory post
+	 *   target  — 'global', 'section:{section_key}' or 'field:{companion_name}'
+	 *   changes — [ 'Y-m-d' => pmp ]: dates after today, each with the value
+	 *             to switch to on it — a level from PmpResolver::levels(), or
+	 *             'inherit' for sections and fields. Absent or empty clears
+	 *             the target's changes.
+	 *
+	 * Responds with the post's whole schedule.
+	 */
+	public static function handle_save(): void {
+		if ( ! check_ajax_referer( 'md_save_nonce', 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$target  = isset( $_POST['target'] ) ? sanitize_text_field( wp_unslash( $_POST['target'] ) ) : '';
+		$raw     = isset( $_POST['changes'] ) && is_array( $_POST['changes'] ) ? wp_unslash( $_POST['changes'] ) : [];
+
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
+		}
+
+		if ( ! self::is_valid_target( $target ) ) {
+			wp_send_json_error( [ 'message' => 'Invalid target.' ], 400 );
+		}
+
+		if ( count( $raw ) > self::MAX_CHANGES ) {
+			wp_send_json_error( [ 'message' => 'Too many changes — at most ' . self::MAX_CHANGES . '.' ], 400 );
+		}
+
+		$today          = wp_date( 'Y-m-d' );
+		$allows_inherit = $target !== 'global';
+		$changes        = [];
+
+		foreach ( $raw as $at => $pmp ) {
+			$at   = sanitize_text_field( (string) $at );
+			$pmp  = sanitize_text_field( (string) $pmp );
+			$date = \DateTime::createFromFormat( '!Y-m-d', $at, wp_timezone() );
+
+			if ( ! $date || $date->format( 'Y-m-d' ) !== $at ) {
+				wp_send_json_error( [ 'message' => 'Invalid date.' ], 400 );
+			}
+			if ( $at <= $today ) {
+				wp_send_json_error( [ 'message' => 'Pick dates after today.' ], 400 );
+			}
+			if ( ! PmpResolver::is_level( $pmp ) && ! ( $allows_inherit && $pmp === 'inherit' ) ) {
+				wp_send_json_error( [ 'message' => 'Invalid PMP value.' ], 400 );
+			}
+
+			$changes[] = [ 'at' => $at, 'pmp' => $pmp ];
+		}
+
+		usort( $changes, function ( $a, $b ) {
+			return strcmp( $a['at'], $b['at'] );
+		} );
+
+		$schedule = self::get( $post_id );
+		if ( $changes ) {
+			$schedule[ $target ] = $changes;
+		} else {
+			unset( $schedule[ $target ] );
+		}
+		self::update( $post_id, $schedule );
+
+		wp_send_json_success( [ 'schedule' => (object) $schedule ] );
+	}
+
+	// -----------------------------------------------------------------------
+	// Helpers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Persist a schedule, deleting the meta when it is empty so the cron
+	 * query only finds profiles with something pending.
+	 *
+	 * @param int   $post_id
+	 * @param array $schedule
+	 */
+	private static function update( int $post_id, array $schedule ): void {
+		if ( $schedule ) {
+			update_post_meta( $post_id, self::META, $schedule );
+		} else {
+			delete_post_meta( $post_id, self::META );
+		}
+	}
+
+	/**
+	 * Whether a target names a PMP level that exists.
+	 *
+	 * @param string $target
+	 * @return bool
+	 */
+	private static function is_valid_target( string $target ): bool {
+		if ( $target === 'global' ) {
+			return true;
+		}
+		if ( str_starts_with( $target, 'section:' ) ) {
+			return in_array( substr( $target, 8 ), array_column( SectionRegistry::get_sections(), 'key' ), true );
+		}
+		return str_starts_with( $target, 'field:member_directory_field_pmp_' );
+	}
+
+	/**
+	 * Write one due change through the same field the PMP endpoints use.
+	 * Levels that stopped being on offer since it was scheduled are skipped.
+	 *
+	 * @param int    $post_id
+	 * @param string $target
+	 * @param string $pmp
+	 * @return array|null The revision change record, or null if nothing was written.
+	 */
+	private static function write( int $post_id, string $target, string $pmp ): ?array {
+		if ( ! self::is_valid_target( $target ) || ( $pmp !== 'inherit' && ! PmpResolver::is_level( $pmp ) ) ) {
+			return null;
+		}
+
+		if ( $target === 'global' ) {
+			if ( $pmp === 'inherit' ) {
+				return null;
+			}
+			$before = (string) get_field( 'field_md_global_pmp', $post_id, false );
+			update_field( 'field_md_global_pmp', $pmp, $post_id );
+			return [
+				'kind'    => 'global_pmp',
+				'name'    => 'field_md_global_pmp',
+				'section' => '',
+				'label'   => 'Global default visibility',
+				'before'  => $before,
+				'after'   => $pmp,
+			];
+		}
+
+		if ( str_starts_with( $target, 'section:' ) ) {
+			$section_key = substr( $target, 8 );
+			$field_name  = 'member_directory_' . $section_key . '_privacy_mode';
+			$before      = (string) ( get_field( $field_name, $post_id, false ) ?: 'inherit' );
+			update_field( $field_name, $pmp, $post_id );
+			return Revisions::section_change( 'section_pmp', $section_key, $before, $pmp );
+		}
+
+		$companion_name = substr( $target, 6 );
+		$before         = (string) ( get_field( $companion_name, $post_id, false ) ?: 'inherit' );
+		update_field( $companion_name, $pmp, $post_id );
+		return Revisions::field_pmp_change( $companion_name, $before, $pmp );
+	}
+}
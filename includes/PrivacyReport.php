@@ -0,0 +1,336 @@
+<?php
+/**
+ * Privacy report — "what can a stranger see about me?"
+ *
+ * Lists every non-empty field of a profile grouped by its effective
+ * visibility after the field → section → global waterfall
+ * (PmpResolver::resolve()), and says which level decided it. Two ways in:
+ *
+ *   - the right panel's "Privacy report" dialog (memdir.js section 20),
+ *     which links each entry back to its PMP control;
+ *   - a printable HTML summary, downloadable from that dialog or opened
+ *     by admins from the "Privacy report" row action in the member list.
+ *
+ * Header-tab fields are reported as public: the profile header is shown to
+ * everyone who can open the profile and is not PMP-filtered. Sections that
+ * are switched off are listed separately — nobody sees them.
+ *
+ * Static class: PrivacyReport::init() wires the AJAX handlers and the row
+ * action.
+ */
+
+namespace MemberDirectory;
+
+defined( 'ABSPATH' ) || exit;
+
+class PrivacyReport {
+
+	/**
+	 * Nonce action for the printable report's GET URL. Its own action, so
+	 * a URL that ends up in browser history, logs or a Referer header
+	 * can't be replayed against the save endpoints that md_save_nonce
+	 * opens.
+	 */
+	const PRINT_NONCE = 'memdir_privacy_report';
+
+	/** Who each level reaches, in the report's words. Audiences share one line. */
+	const LEVEL_NOTES = [
+		'public'      => 'Anyone, including visitors who are not logged in.',
+		'member'      => 'Any logged-in member.',
+		'audience'    => 'Logged-in members in this audience.',
+		'trusted'     => 'People in your Trust Network.',
+		'connections' => 'Your connections.',
+		'private'     => 'Only you and site administrators.',
+	];
+
+	/**
+	 * Wire AJAX handlers (logged-in users only — no nopriv variants) and
+	 * the admin row action.
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_memdir_ajax_privacy_report', [ self::class, 'handle_get_report' ] );
+		add_action( 'wp_ajax_memdir_privacy_report_print', [ self::class, 'handle_print' ] );
+		add_filter( 'post_row_actions', [ self::class, 'add_row_action' ], 10, 2 );
+	}
+
+	// -----------------------------------------------------------------------
+	// Build
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The report for one profile.
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 * @return array{
+	 *     groups: array<int, array{level: string, label: string, note: string, fields: array}>,
+	 *     hidden_sections: string[],
+	 * }
+	 * Groups run most open first and only appear when they hold a field.
+	 * Each field: { key, label, section, section_label, source, value },
+	 * source being field | section | global | header.
+	 */
+	public static function build( int $post_id ): array {
+		$global_pmp      = (string) ( get_field( 'member_directory_global_pmp', $post_id ) ?: 'public' );
+		$primary_section = get_field( 'member_directory_primary_section', $post_id ) ?: 'profile';
+		$by_level        = [];
+		$hidden_sections = [];
+
+		foreach ( SectionRegistry::get_sections() as $section ) {
+			$section_key   = $section['key'] ?? '';
+			$section_label = $section['label'] ?? $section_key;
+			$group_key     = $section['acf_group_key'] ?? '';
+
+			// Same rule as single-member-directory.php.
+			$enabled = get_field( 'member_directory_' . $section_key . '_enabled', $post_id );
+			if ( $enabled === false && $section_key !== $primary_section && empty( $section['always_on'] ) ) {
+				$hidden_sections[] = $section_label;
+				continue;
+			}
+
+			$section_pmp = (string) ( get_field( 'member_directory_' . $section_key . '_privacy_mode', $post_id ) ?: 'inherit' );
+			$fields      = $group_key ? ( acf_get_fields( $group_key ) ?: [] ) : [];
+			$in_header   = false;
+			$cond_active = true;
+
+			foreach ( $fields as $field ) {
+				// Header and [if:section] tabs, as section-view.php walks them.
+				if ( ( $field['type'] ?? '' ) === 'tab' ) {
+					$in_header   = stripos( $field['label'] ?? '', 'header' ) !== false;
+					$cond_active = true;
+					if ( preg_match( '/\[if:([a-z0-9_-]+)\]/i', $field['label'] ?? '', $m ) ) {
+						$cond_active = ! empty( get_field( 'member_directory_' . $m[1] . '_enabled', $post_id ) );
+					}
+					continue;
+				}
+				if ( ! $cond_active || SectionRegistry::is_system_field( $field ) ) {
+					continue;
+				}
+
+				$value = AcfFormHelper::format_value_text( $field, get_field( $field['key'], $post_id, false ) );
+				if ( $value === '' ) {
+					continue;
+				}
+
+				if ( $in_header ) {
+					$resolved = [ 'pmp' => 'public', 'source' => 'header' ];
+				} else {
+					$suffix   = preg_replace( '/^member_directory_/', '', $field['name'] ?? '' );
+					$resolved = PmpResolver::resolve( [
+						'field_pmp'   => (string) ( get_field( 'member_directory_field_pmp_' . $suffix, $post_id, false ) ?: 'inherit' ),
+						'section_pmp' => $section_pmp,
+						'global_pmp'  => $global_pmp,
+					] );
+				}
+
+				$by_level[ $resolved['pmp'] ][] = [
+					'key'           => $field['key'],
+					'label'         => ( $field['label'] ?? '' ) ?: $field['key'],
+					'section'       => $section_key,
+					'section_label' => $section_label,
+					'source'        => $resolved['source'],
+					'value'         => $value,
+				];
+			}
+		}
+
+		// Levels on offer first, most open first; then anything stored that
+		// no longer is (a deleted audience) — those fail closed.
+		$labels = PmpResolver::levels() + PmpResolver::LEVEL_LABELS;
+		$groups = [];
+		foreach ( array_unique( array_merge( array_keys( $labels ), array_keys( $by_level ) ) ) as $level ) {
+			if ( empty( $by_level[ $level ] ) ) {
+				continue;
+			}
+			$groups[] = [
+				'level'  => $level,
+				'label'  => $labels[ $level ] ?? $level,
+				'note'   => self::level_note( $level ),
+				'fields' => $by_level[ $level ],
+			];
+		}
+
+		return [
+			'groups'          => $groups,
+			'hidden_sections' => $hidden_sections,
+		];
+	}
+
+	/**
+	 * The printable report's URL. Carries a PRINT_NONCE nonce, so it only
+	 * works for the user it was made for and only opens the report.
+	 *
+	 * @param int  $post_id  The member-directory post ID.
+	 * @param bool $download Serve as a file download rather than a page.
+	 * @return string
+	 */
+	public static function print_url( int $post_id, bool $download = false ): string {
+		return add_query_arg( array_filter( [
+			'action'   => 'memdir_privacy_report_print',
+			'post_id'  => $post_id,
+			'nonce'    => wp_create_nonce( self::PRINT_NONCE ),
+			'download' => $download ? '1' : '',
+		] ), admin_url( 'admin-ajax.php' ) );
+	}
+
+	// -----------------------------------------------------------------------
+	// Handlers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * AJAX handler: the report as JSON, for the right-panel dialog.
+	 *
+	 * Expects $_POST: nonce, post_id.
+	 */
+	public static function handle_get_report(): void {
+		$post_id = self::verify_request();
+		wp_send_json_success( self::build( $post_id ) );
+	}
+
+	/**
+	 * AJAX handler (GET): the report as a standalone printable page, or
+	 * as an .html download with download=1.
+	 *
+	 * Expects $_GET: nonce (PRINT_NONCE), post_id, download (optional).
+	 */
+	public static function handle_print(): void {
+		$post_id = self::verify_request( self::PRINT_NONCE );
+		$report  = self::build( $post_id );
+		$title   = get_the_title( $post_id );
+
+		nocache_headers();
+		header( 'Content-Type: text/html; charset=utf-8' );
+		if ( ! empty( $_GET['download'] ) ) {
+			$filename = 'privacy-report-' . ( get_post_field( 'post_name', $post_id ) ?: $post_id ) . '-' . gmdate( 'Y-m-d' ) . '.html';
+			header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+		}
+
+		?>
+<!DOCTYPE html>
+<html lang="<?php echo esc_attr( get_bloginfo( 'language' ) ); ?>">
+<head>
+<meta charset="utf-8">
+<title><?php echo esc_html( 'Privacy report — ' . $title ); ?></title>
+<style>
+	body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1a1a1a; max-width: 760px; margin: 32px auto; padding: 0 16px; }
+	h1 { font-size: 22px; margin: 0 0 4px; }
+	h2 { font-size: 16px; margin: 28px 0 2px; padding-bottom: 4px; border-bottom: 2px solid #97A97C; }
+	.meta, .note { color: #6b6b6b; font-size: 12px; margin: 0 0 8px; }
+	table { width: 100%; border-collapse: collapse; }
+	th, td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #e2e2dc; }
+	th { font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: #6b6b6b; }
+	td.value { word-break: break-word; }
+	.print { margin: 16px 0; }
+	@media print { .print { display: none; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+	<h1><?php echo esc_html( 'Privacy report — ' . $title ); ?></h1>
+	<p class="meta"><?php echo esc_html( 'Generated ' . wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) . ' · ' . get_permalink( $post_id ) ); ?></p>
+	<p class="print"><button type="button" onclick="window.print()">Print</button></p>
+
+	<?php if ( ! $report['groups'] ) : ?>
+		<p>This profile has no filled-in fields.</p>
+	<?php endif; ?>
+
+	<?php foreach ( $report['groups'] as $group ) : ?>
+		<h2><?php echo esc_html( $group['label'] . ' (' . count( $group['fields'] ) . ')' ); ?></h2>
+		<p class="note"><?php echo esc_html( $group['note'] ); ?></p>
+		<table>
+			<thead><tr><th>Field</th><th>Section</th><th>Value</th><th>Set by</th></tr></thead>
+			<tbody>
+			<?php foreach ( $group['fields'] as $field ) : ?>
+				<tr>
+					<td><?php echo esc_html( $field['label'] ); ?></td>
+					<td><?php echo esc_html( $field['section_label'] ); ?></td>
+					<td class="value"><?php echo esc_html( $field['value'] ); ?></td>
+					<td><?php echo esc_html( self::source_label( $field['source'] ) ); ?></td>
+				</tr>
+			<?php endforeach; ?>
+			</tbody>
+		</table>
+	<?php endforeach; ?>
+
+	<?php if ( $report['hidden_sections'] ) : ?>
+		<h2>Not shown to anyone</h2>
+		<p class="note"><?php echo esc_html( 'Switched-off sections: ' . implode( ', ', $report['hidden_sections'] ) . '.' ); ?></p>
+	<?php endif; ?>
+</body>
+</html>
+		<?php
+		exit;
+	}
+
+	/**
+	 * Add "Privacy report" to a member profile's row actions in wp-admin,
+	 * so admins can answer a member's privacy question without opening
+	 * the profile.
+	 *
+	 * @param array    $actions
+	 * @param \WP_Post $post
+	 * @return array
+	 */
+	public static function add_row_action( array $actions, \WP_Post $post ): array {
+		if ( $post->post_type === 'member-directory' && current_user_can( 'edit_post', $post->ID ) ) {
+			$actions['memdir_privacy_report'] = '<a href="' . esc_url( self::print_url( $post->ID ) ) . '" target="_blank" rel="noopener">Privacy report</a>';
+		}
+		return $actions;
+	}
+
+	// -----------------------------------------------------------------------
+	// Helpers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Who a level reaches, for the group heading.
+	 *
+	 * @param string $level
+	 * @return string
+	 */
+	private static function level_note( string $level ): string {
+		if ( str_starts_with( $level, PmpResolver::AUDIENCE_PREFIX ) ) {
+			return PmpResolver::is_level( $level )
+				? self::LEVEL_NOTES['audience']
+				: 'This audience no longer exists, so nobody but you and site administrators sees these.';
+		}
+		return self::LEVEL_NOTES[ $level ] ?? '';
+	}
+
+	/**
+	 * Which waterfall level decided a field, in words.
+	 *
+	 * @param string $source field | section | global | header.
+	 * @return string
+	 */
+	private static function source_label( string $source ): string {
+		return [
+			'field'   => 'Field setting',
+			'section' => 'Section setting',
+			'global'  => 'Global default',
+			'header'  => 'Profile header (always shown)',
+		][ $source ] ?? $source;
+	}
+
+	/**
+	 * Shared nonce / post / permission checks. Sends the JSON error and
+	 * exits on failure. Reads $_REQUEST, so the GET print view passes too.
+	 *
+	 * @param string $nonce_action md_save_nonce, or PRINT_NONCE for the print view.
+	 * @return int The validated post ID.
+	 */
+	private static function verify_request( string $nonce_action = 'md_save_nonce' ): int {
+		if ( ! check_ajax_referer( $nonce_action, 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id = absint( $_REQUEST['post_id'] ?? 0 );
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
+		}
+
+		return $post_id;
+	}
+}
@@ -0,0 +1,538 @@
+<?php
+/**
+ * Profile revision history.
+ *
+ * Every write that changes what a profile shows is recorded as one revision:
+ * field saves through md_save_section (and draft publishes), section and
+ * field PMP, the global PMP, and section enable toggles. A revision holds
+ * who, when, and a list of changes:
+ *
+ *   { kind, name, section, label, before, after }
+ *
+ *   kind    — field | field_pmp | section_pmp | global_pmp | section_enabled
+ *   name    — what update_field() was called with (field key or name), so a
+ *             restore writes back through the same selector.
+ *   section — section key ('' for the global PMP).
+ *
+ * Storage: custom table {prefix}memdir_revisions, one row per revision,
+ * capped at LOG_LIMIT rows per post. Revision IDs only ever increase. A
+ * value whose JSON is longer than VALUE_LIMIT is not kept: the change is
+ * still listed, with the side named in its `omitted` list, but that value
+ * cannot be restored.
+ *
+ * Restoring sets a field (or every recorded setting of a section) to the
+ * value it had right after the chosen revision, and is itself recorded.
+ *
+ * Static class: Revisions::init() wires the AJAX handlers.
+ */
+
+namespace MemberDirectory;
+
+defined( 'ABSPATH' ) || exit;
+
+class Revisions {
+
+	/** Revision log table, without the prefix. */
+	const TABLE_SUFFIX = 'memdir_revisions';
+
+	/** Oldest revisions of a post beyond this are dropped. */
+	const LOG_LIMIT = 200;
+
+	/** Longest recorded value kept, in bytes of JSON. */
+	const VALUE_LIMIT = 16384;
+
+	/** Display labels for PMP values. Audiences are labelled from PmpResolver::levels(). */
+	private const PMP_LABELS = [
+		'inherit'     => 'Inherit',
+		'public'      => 'Public',
+		'member'      => 'Members',
+		'trusted'     => 'Trust Network',
+		'connections' => 'Connections',
+		'private'     => 'Private',
+	];
+
+	/**
+	 * Wire AJAX handlers (logged-in users only — no nopriv variants) and
+	 * log cleanup when a profile is deleted.
+	 */
+	public static function init(): void {
+		add_action( 'wp_ajax_memdir_ajax_get_revisions',    [ self::class, 'handle_get_revisions' ] );
+		add_action( 'wp_ajax_memdir_ajax_restore_revision', [ self::class, 'handle_restore' ] );
+		add_action( 'before_delete_post',                   [ self::class, 'delete_log' ] );
+
+		// Same fallback as TrustNetwork: already-active installs skip the
+		// activation hook.
+		if ( is_admin() ) {
+			self::maybe_install_table();
+		}
+	}
+
+	// -----------------------------------------------------------------------
+	// Table
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Full table name with prefix.
+	 */
+	private static function table(): string {
+		global $wpdb;
+		return $wpdb->prefix . self::TABLE_SUFFIX;
+	}
+
+	/**
+	 * Create the revision table via dbDelta.
+	 * Called on plugin activation and as a fallback from init().
+	 */
+	public static function install_table(): void {
+		global $wpdb;
+		$table   = self::table();
+		$charset = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE {$table} (
+			id BIGINT(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			post_id BIGINT(20) UNSIGNED NOT NULL,
+			user_id BIGINT(20) UNSIGNED NOT NULL DEFAULT 0,
+			restored_from BIGINT(20) UNSIGNED NOT NULL DEFAULT 0,
+			created_at DATETIME NOT NULL,
+			changes LONGTEXT NOT NULL,
+			PRIMARY KEY (id),
+			KEY idx_post (post_id, id)
+		) {$charset};";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+	}
+
+	/**
+	 * Install the table only if it does not exist yet.
+	 */
+	private static function maybe_install_table(): void {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		if ( $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $table ) ) !== $table ) {
+			self::install_table();
+		}
+	}
+
+	/**
+	 * before_delete_post: drop a deleted profile's revisions.
+	 *
+	 * @param int $post_id
+	 */
+	public static function delete_log( int $post_id ): void {
+		global $wpdb;
+		if ( get_post_type( $post_id ) !== 'member-directory' ) {
+			return;
+		}
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$wpdb->delete( self::table(), [ 'post_id' => $post_id ], [ '%d' ] );
+	}
+
+	// -----------------------------------------------------------------------
+	// Recording
+	// -----------------------------------------------------------------------
+
+	/**
+	 * Append a revision. Changes whose before and after match are dropped;
+	 * nothing is written if none remain.
+	 *
+	 * @param int   $post_id       The member-directory post ID.
+	 * @param array $changes       Change arrays (see class docblock).
+	 * @param int   $restored_from Revision ID this restores, 0 if none.
+	 */
+	public static function record( int $post_id, array $changes, int $restored_from = 0 ): void {
+		$changes = array_values( array_filter( $changes, function ( $c ) {
+			return ! AcfFormHelper::values_match( $c['before'], $c['after'] );
+		} ) );
+		if ( ! $changes ) {
+			return;
+		}
+
+		self::insert( $post_id, $restored_from, $changes );
+		self::prune( $post_id );
+	}
+
+	/**
+	 * Build the change record for an ACF content field.
+	 *
+	 * @param array $field  ACF field array.
+	 * @param mixed $before Raw value before the write.
+	 * @param mixed $after  Raw value written.
+	 * @return array
+	 */
+	public static function field_change( array $field, $before, $after ): array {
+		return [
+			'kind'    => 'field',
+			'name'    => $field['key'],
+			'section' => AcfFormHelper::get_field_section( $field )['key'] ?? '',
+			'label'   => $field['label'] ?? $field['key'],
+			'before'  => $before,
+			'after'   => $after,
+		];
+	}
+
+	/**
+	 * Build the change record for a field's PMP companion.
+	 *
+	 * @param string $companion_name member_directory_field_pmp_{suffix}.
+	 * @param string $before
+	 * @param string $after
+	 * @return array
+	 */
+	public static function field_pmp_change( string $companion_name, string $before, string $after ): array {
+		$suffix = substr( $companion_name, strlen( 'member_directory_field_pmp_' ) );
+		$field  = acf_get_field( 'member_directory_' . $suffix );
+
+		return [
+			'kind'    => 'field_pmp',
+			'name'    => $companion_name,
+			'section' => $field ? ( AcfFormHelper::get_field_section( $field )['key'] ?? '' ) : '',
+			'label'   => ( $field['label'] ?? $suffix ) . ' visibility',
+			'before'  => $before,
+			'after'   => $after,
+		];
+	}
+
+	/**
+	 * Build the change record for a section-level setting.
+	 *
+	 * @param string $kind        section_pmp | section_enabled.
+	 * @param string $section_key
+	 * @param mixed  $before
+	 * @param mixed  $after
+	 * @return array
+	 */
+	public static function section_change( string $kind, string $section_key, $before, $after ): array {
+		return [
+			'kind'    => $kind,
+			'name'    => $kind === 'section_pmp'
+				? 'member_directory_' . $section_key . '_privacy_mode'
+				: 'member_directory_' . $section_key . '_enabled',
+			'section' => $section_key,
+			'label'   => $kind === 'section_pmp' ? 'Section visibility' : 'Section shown',
+			'before'  => $before,
+			'after'   => $after,
+		];
+	}
+
+	/**
+	 * The revision log for a post, oldest first:
+	 *
+	 *   [ { id, time, user, restored_from, changes } ]
+	 *
+	 * @param int $post_id The member-directory post ID.
+	 * @return array
+	 */
+	public static function get_log( int $post_id ): array {
+		global $wpdb;
+		$table = self::table();
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$rows = $wpdb->get_results( $wpdb->prepare(
+			"SELECT id, user_id, restored_from, created_at, changes FROM {$table}
+			 WHERE post_id = %d
+			 ORDER BY id ASC",
+			$post_id
+		), ARRAY_A ) ?: [];
+
+		return array_map( function ( $row ) {
+			$changes = json_decode( $row['changes'], true );
+			return [
+				'id'            => (int) $row['id'],
+				'time'          => (int) strtotime( $row['created_at'] . ' UTC' ),
+				'user'          => (int) $row['user_id'],
+				'restored_from' => (int) $row['restored_from'],
+				'changes'       => is_array( $changes ) ? $changes : [],
+			];
+		}, $rows );
+	}
+
+	// -----------------------------------------------------------------------
+	// AJAX handlers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * AJAX handler: list revisions, newest first, formatted for display.
+	 *
+	 * Expects $_POST: nonce, post_id.
+	 *
+	 * Responds with `revisions`: [ { id, date, author, restored_from,
+	 * changes: [ { kind, name, section, section_label, label, before, after } ] } ]
+	 * where before/after are plain-text renderings.
+	 */
+	public static function handle_get_revisions(): void {
+		$post_id  = self::verify_request();
+		$sections = array_column( SectionRegistry::get_sections(), 'label', 'key' );
+		$format   = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		$authors  = [];
+		$out      = [];
+
+		foreach ( array_reverse( self::get_log( $post_id ) ) as $revision ) {
+			$user_id = (int) $revision['user'];
+			if ( ! isset( $authors[ $user_id ] ) ) {
+				// No user: written by the PmpSchedule cron.
+				$user                = $user_id ? get_userdata( $user_id ) : false;
+				$authors[ $user_id ] = $user ? $user->display_name : ( $user_id ? 'Unknown' : 'Scheduled change' );
+			}
+
+			$out[] = [
+				'id'            => (int) $revision['id'],
+				'date'          => wp_date( $format, (int) $revision['time'] ),
+				'author'        => $authors[ $user_id ],
+				'restored_from' => (int) ( $revision['restored_from'] ?? 0 ),
+				'changes'       => array_map( function ( $c ) use ( $sections ) {
+					return [
+						'kind'          => $c['kind'],
+						'name'          => $c['name'],
+						'section'       => $c['section'],
+						'section_label' => $sections[ $c['section'] ] ?? ( $c['section'] ? $c['section'] : 'Profile-wide' ),
+						'label'         => $c['label'],
+						'before'        => self::is_kept( $c, 'before' ) ? self::format_change_value( $c, $c['before'] ) : 'Too large to keep',
+						'after'         => self::is_kept( $c, 'after' ) ? self::format_change_value( $c, $c['after'] ) : 'Too large to keep',
+					];
+				}, $revision['changes'] ),
+			];
+		}
+
+		wp_send_json_success( [ 'revisions' => $out ] );
+	}
+
+	/**
+	 * AJAX handler: restore one recorded setting, or a whole section, to
+	 * the value it had right after a revision.
+	 *
+	 * Expects $_POST:
+	 *   nonce       — md_save_nonce
+	 *   post_id     — int, the member-directory post
+	 *   revision_id — int, the revision to go back to
+	 *   name        — selector of a single change to restore, or
+	 *   section     — section key, to restore everything recorded for it
+	 *
+	 * In draft mode restored field values are staged, like any other edit.
+	 */
+	public static function handle_restore(): void {
+		$post_id     = self::verify_request();
+		$revision_id = absint( $_POST['revision_id'] ?? 0 );
+		$name        = sanitize_text_field( wp_unslash( $_POST['name'] ?? '' ) );
+		$section     = sanitize_key( wp_unslash( $_POST['section'] ?? '' ) );
+		$log         = self::get_log( $post_id );
+
+		if ( ! $revision_id || ! in_array( $revision_id, array_map( 'intval', array_column( $log, 'id' ) ), true ) ) {
+			wp_send_json_error( [ 'message' => 'Unknown revision.' ], 400 );
+		}
+		if ( $name === '' && $section === '' ) {
+			wp_send_json_error( [ 'message' => 'Nothing to restore.' ], 400 );
+		}
+
+		// Latest record of each selector in scope (for kind/label/section).
+		$targets = [];
+		foreach ( $log as $revision ) {
+			foreach ( $revision['changes'] as $c ) {
+				if ( $name !== '' ? $c['name'] === $name : $c['section'] === $section ) {
+					$targets[ $c['name'] ] = $c;
+				}
+			}
+		}
+
+		$primary    = get_field( 'member_directory_primary_section', $post_id ) ?: 'profile';
+		$draft_mode = Drafts::is_enabled( $post_id );
+		$changes    = [];
+		$staged     = [];
+
+		foreach ( $targets as $selector => $c ) {
+			[ $known, $value ] = self::value_at( $log, $selector, $revision_id );
+			if ( ! $known ) {
+				continue;
+			}
+
+			// Never-set values were recorded as null; restore them as the default.
+			if ( $value === null ) {
+				$defaults = [ 'field' => '', 'field_pmp' => 'inherit', 'section_pmp' => 'inherit', 'section_enabled' => 1 ];
+				if ( ! isset( $defaults[ $c['kind'] ] ) ) {
+					continue;
+				}
+				$value = $defaults[ $c['kind'] ];
+			}
+
+			// Same guard as handle_save_section_enabled().
+			if ( $c['kind'] === 'section_enabled' && $c['section'] === $primary && ! $value ) {
+				continue;
+			}
+
+			if ( $c['kind'] === 'field' && $draft_mode ) {
+				$staged[ $selector ] = $value;
+				continue;
+			}
+
+			$before = get_field( $selector, $post_id, false );
+			update_field( $selector, $value, $post_id );
+			$changes[] = array_merge( $c, [ 'before' => $before, 'after' => $value ] );
+		}
+
+		if ( $staged ) {
+			Drafts::stage( $post_id, $staged );
+		}
+
+		// Open edit tabs hold the pre-restore values — make their next save
+		// conflict. Live writes are counted by update_field() itself (see
+		// AcfFormHelper::count_field_write()); staged ones are not.
+		if ( $staged ) {
+			AcfFormHelper::bump_field_revisions( $post_id, array_keys( $staged ) );
+		}
+
+		self::record( $post_id, $changes, $revision_id );
+
+		wp_send_json_success( [
+			'message'  => 'Restored.',
+			'restored' => count( $changes ) + count( $staged ),
+		] );
+	}
+
+	// -----------------------------------------------------------------------
+	// Helpers
+	// -----------------------------------------------------------------------
+
+	/**
+	 * The value a selector had right after a revision: the `after` of its
+	 * last change at or before that revision, else the `before` of its first
+	 * change after it.
+	 *
+	 * @param array  $log         Revision log, oldest first.
+	 * @param string $selector    Change name.
+	 * @param int    $revision_id
+	 * @return array [ bool $known, mixed $value ] — known is false when the
+	 *               log never touched the selector, or that value was too
+	 *               large to keep.
+	 */
+	private static function value_at( array $log, string $selector, int $revision_id ): array {
+		$result = [ false, null ];
+
+		foreach ( $log as $revision ) {
+			foreach ( $revision['changes'] as $c ) {
+				if ( $c['name'] !== $selector ) {
+					continue;
+				}
+				if ( (int) $revision['id'] <= $revision_id ) {
+					$result = self::is_kept( $c, 'after' ) ? [ true, $c['after'] ] : [ false, null ];
+				} elseif ( ! $result[0] ) {
+					return self::is_kept( $c, 'before' ) ? [ true, $c['before'] ] : [ false, null ];
+				}
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Write one revision row. Values too large to keep are dropped and
+	 * listed in the change's `omitted`.
+	 *
+	 * @param int   $post_id
+	 * @param int   $restored_from
+	 * @param array $changes
+	 */
+	private static function insert( int $post_id, int $restored_from, array $changes ): void {
+		global $wpdb;
+
+		foreach ( $changes as &$c ) {
+			foreach ( [ 'before', 'after' ] as $side ) {
+				if ( strlen( (string) wp_json_encode( $c[ $side ] ) ) > self::VALUE_LIMIT ) {
+					$c[ $side ]     = null;
+					$c['omitted'][] = $side;
+				}
+			}
+		}
+		unset( $c );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$wpdb->insert( self::table(), [
+			'post_id'       => $post_id,
+			'user_id'       => get_current_user_id(),
+			'restored_from' => $restored_from,
+			'created_at'    => current_time( 'mysql', true ),
+			'changes'       => wp_json_encode( $changes ),
+		], [ '%d', '%d', '%d', '%s', '%s' ] );
+	}
+
+	/**
+	 * Drop a post's revisions beyond the newest LOG_LIMIT.
+	 *
+	 * @param int $post_id
+	 */
+	private static function prune( int $post_id ): void {
+		global $wpdb;
+		$table = self::table();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		$cutoff = (int) $wpdb->get_var( $wpdb->prepare(
+			"SELECT id FROM {$table} WHERE post_id = %d ORDER BY id DESC LIMIT 1 OFFSET %d",
+			$post_id,
+			self::LOG_LIMIT
+		) );
+		if ( $cutoff ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+			$wpdb->query( $wpdb->prepare(
+				"DELETE FROM {$table} WHERE post_id = %d AND id <= %d",
+				$post_id,
+				$cutoff
+			) );
+		}
+	}
+
+	/**
+	 * Whether a change still holds its before or after value.
+	 *
+	 * @param array  $change
+	 * @param string $side 'before' or 'after'.
+	 * @return bool
+	 */
+	private static function is_kept( array $change, string $side ): bool {
+		return ! in_array( $side, $change['omitted'] ?? [], true );
+	}
+
+	/**
+	 * Plain-text rendering of a recorded value.
+	 *
+	 * @param array $change
+	 * @param mixed $value
+	 * @return string
+	 */
+	private static function format_change_value( array $change, $value ): string {
+		switch ( $change['kind'] ) {
+			case 'field':
+				$field = acf_get_field( $change['name'] );
+				return $field ? AcfFormHelper::format_value_text( $field, $value ) : (string) $value;
+
+			case 'section_enabled':
+				return $value ? 'On' : 'Off';
+
+			default:
+				return self::PMP_LABELS[ (string) $value ]
+					?? PmpResolver::levels()[ (string) $value ]
+					?? (string) $value;
+		}
+	}
+
+	/**
+	 * Shared nonce / post / permission checks. Sends the JSON error and
+	 * exits on failure.
+	 *
+	 * @return int The validated post ID.
+	 */
+	private static function verify_request(): int {
+		if ( ! check_ajax_referer( 'md_save_nonce', 'nonce', false ) ) {
+			wp_send_json_error( [ 'message' => 'Security check failed.' ], 403 );
+		}
+
+		$post_id = absint( $_POST['post_id'] ?? 0 );
+		if ( ! $post_id || get_post_type( $post_id ) !== 'member-directory' ) {
+			wp_send_json_error( [ 'message' => 'Invalid post.' ], 400 );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post_id ) ) {
+			wp_send_json_error( [ 'message' => 'Permission denied.' ], 403 );
+		}
+
+		return $post_id;
+	}
+}
@@ -182,6 +182,39 @@ class TrustNetwork {
 		return $row ?: null;
 	}
 
+	/**
+	 * Whether a user is in a profile's Trust Network: they trust the
+	 * profile (accepted request from them to it), or its author trusts
+	 * one of their profiles (accepted request the other way round).
+	 *
+	 * Backs the "trusted" PMP level — see PmpResolver::can_view().
+	 */
+	public static function is_in_network( int $user_id, int $post_id ): bool {
+		$relationship = self::get_relationship( $user_id, $post_id );
+		if ( $relationship && $relationship['status'] === self::STATUS_ACCEPTED ) {
+			return true;
+		}
+
+		$author_id = (int) get_post_field( 'post_author', $post_id );
+		if ( ! $author_id || $author_id === $user_id ) {
+			return false;
+		}
+
+		global $wpdb;
+		$table = self::table();
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery
+		return (bool) $wpdb->get_var( $wpdb->prepare(
+			"SELECT t.id FROM {$table} t
+			 INNER JOIN {$wpdb->posts} p ON p.ID = t.target_post
+			 WHERE t.requester_id = %d AND t.status = %s AND p.post_author = %d
+			 LIMIT 1",
+			$author_id,
+			self::STATUS_ACCEPTED,
+			$user_id
+		) );
+	}
+
 	/**
 	 * Get a single trust row by ID.
 	 */
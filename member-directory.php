@@ -33,7 +33,15 @@ if ( ! class_exists( 'ACF' ) ) {
 // Table creation on plugin activation.
 // ---------------------------------------------------------------------------
 require_once plugin_dir_path( __FILE__ ) . 'includes/TrustNetwork.php';
+require_once plugin_dir_path( __FILE__ ) . 'includes/Revisions.php';
 register_activation_hook( __FILE__, [ MemberDirectory\TrustNetwork::class, 'install_table' ] );
+register_activation_hook( __FILE__, [ MemberDirectory\Revisions::class, 'install_table' ] );
+
+// ---------------------------------------------------------------------------
+// Scheduled PMP changes: the daily cron event goes away with the plugin.
+// ---------------------------------------------------------------------------
+require_once plugin_dir_path( __FILE__ ) . 'includes/PmpSchedule.php';
+register_deactivation_hook( __FILE__, [ MemberDirectory\PmpSchedule::class, 'clear_cron' ] );
 
 // ---------------------------------------------------------------------------
 // Bootstrap.
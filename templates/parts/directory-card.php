@@ -8,6 +8,7 @@
  *   - title      (string)
  *   - avatar     (string) URL
  *   - banner     (string) URL
+ *   - banner_position (string) CSS background-position, '' for centred
  *   - badges     (string[]) term names
  *   - location   (string)
  *   - social     (array[]) [ url, platform, svg ]
@@ -25,7 +26,7 @@ $has_avatar = ! empty( $card['avatar'] );
 
 	<div class="memdir-card__banner"
 		<?php if ( $has_banner ) : ?>
-			style="background-image: url(<?php echo esc_url( $card['banner'] ); ?>);"
+			style="background-image: url(<?php echo esc_url( $card['banner'] ); ?>);<?php echo ! empty( $card['banner_position'] ) ? ' background-position: ' . esc_attr( $card['banner_position'] ) . ';' : ''; ?>"
 		<?php endif; ?>
 	>
 		<?php if ( $has_avatar ) : ?>
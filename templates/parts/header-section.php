@@ -30,6 +30,7 @@
 
 defined( 'ABSPATH' ) || exit;
 
+use MemberDirectory\AcfFormHelper;
 use MemberDirectory\SectionRegistry;
 
 $section_key   = $section['key']           ?? '';
@@ -261,6 +262,7 @@ foreach ( $taxo_groups as $group ) {
 
 $has_meta       = ! empty( $badges ) || ! empty( $social_links );
 $has_banner     = ! empty( $banner_url );
+$banner_pos     = $has_banner ? AcfFormHelper::banner_position( $post_id, $section_key ) : '';
 $is_edit_mode   = ! empty( $is_edit ); // inherited from single-member-directory.php
 
 // In edit mode, find the banner field key so JS can wire up the upload overlay.
@@ -287,7 +289,7 @@ $avatar_link = ! $is_edit_mode ? get_post_meta( $post_id, '_memdir_avatar_link',
 
 ?>
 <header class="memdir-header memdir-header--<?php echo esc_attr( $section_key ); ?><?php echo $show_banner ? ' memdir-header--has-banner' : ''; ?>"
-	<?php if ( $has_banner ) : ?> style="background-image: url(<?php echo esc_url( $banner_url ); ?>);"<?php endif; ?>>
+	<?php if ( $has_banner ) : ?> style="background-image: url(<?php echo esc_url( $banner_url ); ?>);<?php echo $banner_pos ? ' background-position: ' . esc_attr( $banner_pos ) . ';' : ''; ?>"<?php endif; ?>>
 
 	<?php if ( $show_banner ) : ?>
 	<div class="memdir-header__banner<?php echo ! $has_banner ? ' memdir-header__banner--empty' : ''; ?>"
@@ -7,14 +7,29 @@
  * live in the right panel (right-panel.php). This partial renders the correct
  * initial state on page load — disabled pills appear greyed out.
  *
+ * Section pills form a WAI-ARIA tablist (.memdir-pills__tabs, laid out with
+ * display: contents so they still sit directly in the pill row). Each pill
+ * is a tab controlling its section's tabpanel (#memdir-section-{key}); the
+ * All Sections pill controls every panel. memdir.js keeps aria-selected and
+ * the roving tabindex in sync and handles arrow / Home / End keys. The
+ * Message button sits outside the tablist — it is an action, not a tab.
+ *
+ * Order: All Sections first, then — once the author has reordered the
+ * pills (GlobalFields::SECTION_ORDER_META) — $sections as given, which the
+ * caller has already sorted; otherwise the primary section followed by the
+ * rest in registry order. Trust is always last. In edit mode memdir.js
+ * makes the section pills draggable (Alt+Arrow keys as the keyboard path).
+ *
  * Expected variables (set by the caller before include):
  *
  *   @var array  $sections        Section configs from SectionRegistry::get_sections().
  *   @var int    $post_id         The member-directory post ID.
  *   @var string $active_section  Currently active section key, or 'all' for
  *                                All Sections view (default on first load).
+ *   @var bool   $is_edit         Edit mode (enables reordering).
  */
 
+use MemberDirectory\GlobalFields;
 use MemberDirectory\SectionRegistry;
 
 defined( 'ABSPATH' ) || exit;
@@ -51,12 +66,30 @@ foreach ( $sections as $section ) {
 // Normalise active_section — fall back to 'all' if the caller didn't set it.
 $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 
+// Every tabpanel the All Sections pill controls.
+$all_panel_ids = array_map(
+	fn( $s ) => 'memdir-section-' . ( $s['key'] ?? '' ),
+	$sections
+);
+$all_panel_ids[] = 'memdir-section-trust';
+
+$has_custom_order = (bool) GlobalFields::get_section_order( $post_id );
+$can_reorder      = ! empty( $is_edit );
+
 ?>
 <nav class="memdir-pills"
      data-primary-section="<?php echo esc_attr( $primary_section ); ?>"
      data-post-id="<?php echo esc_attr( (string) $post_id ); ?>"
+     data-custom-order="<?php echo $has_custom_order ? '1' : '0'; ?>"
+     aria-label="Profile sections"
 >
 
+	<?php if ( $can_reorder ) : ?>
+	<span id="memdir-pills-reorder-hint" class="memdir-sr-only">Drag, or press Alt plus the left or right arrow key, to reorder sections.</span>
+	<?php endif; ?>
+
+	<div class="memdir-pills__tabs" role="tablist" aria-label="Profile sections">
+
 	<?php
 	// -----------------------------------------------------------------------
 	// All Sections pill
@@ -70,6 +103,11 @@ $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 		class="<?php echo esc_attr( $all_classes ); ?>"
 		data-section="all"
 		type="button"
+		id="memdir-pill-all"
+		role="tab"
+		aria-selected="<?php echo $active_section === 'all' ? 'true' : 'false'; ?>"
+		aria-controls="<?php echo esc_attr( implode( ' ', $all_panel_ids ) ); ?>"
+		tabindex="<?php echo $active_section === 'all' ? '0' : '-1'; ?>"
 	>
 		<span class="memdir-pill__icon" aria-hidden="true">&#9776;</span>
 		<span class="memdir-pill__label">All sections</span>
@@ -78,9 +116,10 @@ $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 	<?php
 	// -----------------------------------------------------------------------
 	// Primary section pill — rendered first, no checkbox, cannot be disabled.
+	// With a custom order it renders in place in the loop below instead.
 	// -----------------------------------------------------------------------
 	foreach ( $sections as $section ) :
-		if ( ( $section['key'] ?? '' ) !== $primary_section ) {
+		if ( $has_custom_order || ( $section['key'] ?? '' ) !== $primary_section ) {
 			continue;
 		}
 		$key   = $section['key']   ?? '';
@@ -96,6 +135,12 @@ $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 		data-section="<?php echo esc_attr( $key ); ?>"
 		data-order="<?php echo esc_attr( (string) ( $section['order'] ?? 99 ) ); ?>"
 		type="button"
+		id="memdir-pill-<?php echo esc_attr( $key ); ?>"
+		role="tab"
+		aria-selected="<?php echo $active_section === $key ? 'true' : 'false'; ?>"
+		aria-controls="memdir-section-<?php echo esc_attr( $key ); ?>"
+		tabindex="<?php echo $active_section === $key ? '0' : '-1'; ?>"
+		<?php echo $can_reorder ? 'aria-describedby="memdir-pills-reorder-hint"' : ''; ?>
 	>
 		<span class="memdir-pill__label"><?php echo esc_html( $label ); ?></span>
 	</button>
@@ -103,14 +148,14 @@ $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 
 	<?php
 	// -----------------------------------------------------------------------
-	// Non-primary section pills — in SectionRegistry order, no checkboxes.
+	// Non-primary section pills — in $sections order, no checkboxes.
 	// Enable/disable toggles live in the right panel (right-panel.php).
 	// -----------------------------------------------------------------------
 	foreach ( $sections as $section ) :
 		$key = $section['key'] ?? '';
 
-		// Primary is already rendered above.
-		if ( $key === $primary_section ) {
+		// Primary is already rendered above (default order only).
+		if ( $key === $primary_section && ! $has_custom_order ) {
 			continue;
 		}
 
@@ -118,6 +163,9 @@ $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 		$is_on = $section_enabled_map[ $key ] ?? true;
 
 		$pill_classes = 'memdir-pill';
+		if ( $key === $primary_section ) {
+			$pill_classes .= ' memdir-pill--primary';
+		}
 		if ( $active_section === $key ) {
 			$pill_classes .= ' memdir-pill--active';
 		}
@@ -130,6 +178,13 @@ $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 		data-section="<?php echo esc_attr( $key ); ?>"
 		data-order="<?php echo esc_attr( (string) ( $section['order'] ?? 99 ) ); ?>"
 		type="button"
+		id="memdir-pill-<?php echo esc_attr( $key ); ?>"
+		role="tab"
+		aria-selected="<?php echo $active_section === $key ? 'true' : 'false'; ?>"
+		aria-controls="memdir-section-<?php echo esc_attr( $key ); ?>"
+		tabindex="<?php echo $active_section === $key ? '0' : '-1'; ?>"
+		<?php echo $is_on ? '' : 'aria-disabled="true"'; ?>
+		<?php echo $can_reorder ? 'aria-describedby="memdir-pills-reorder-hint"' : ''; ?>
 	>
 		<span class="memdir-pill__label"><?php echo esc_html( $label ); ?></span>
 	</button>
@@ -148,10 +203,15 @@ $active_section = isset( $active_section ) ? (string) $active_section : 'all';
 	}
 	?>
 	<button class="<?php echo esc_attr( $trust_pill_classes ); ?>"
-	        data-section="trust" type="button">
+	        data-section="trust" type="button"
+	        id="memdir-pill-trust" role="tab" aria-selected="false"
+	        aria-controls="memdir-section-trust" tabindex="-1"
+	        <?php echo $trust_enabled ? '' : 'aria-disabled="true"'; ?>>
 		<span class="memdir-pill__label">Trust</span>
 	</button>
 
+	</div>
+
 	<?php
 	// -----------------------------------------------------------------------
 	// Message button — pushed to the far right of the pill row.
@@ -2,9 +2,18 @@
 /**
  * Partial: Right Panel.
  *
- * Renders the author/admin utility panel on a member profile page.
- * Contains the View As toggle (Edit / Member / Public), the Global
- * Default visibility selector, and the Primary Section picker.
+ * Renders the author/admin utility panel on a member profile page:
+ *
+ *   View As             — Edit / Member / Public and any admin-defined audiences
+ *   Find a field        — search over the edit form (edit mode)
+ *   Completeness        — meter and next suggested field (edit mode)
+ *   Edit history        — undo / redo buttons (edit mode)
+ *   Draft mode          — toggle, publish and discard (edit mode)
+ *   Profile history     — revision list and restore (edit mode)
+ *   Privacy report      — dialog and printable summary (edit mode)
+ *   Privacy preset      — admin-defined presets (edit mode)
+ *   Global visibility   — default PMP selector
+ *   Primary section     — picker
  *
  * Only included when the viewer is the genuine post author or admin —
  * the caller is responsible for that gate. Never include this for
@@ -17,6 +26,10 @@
  *                        Not read directly here but available for future use.
  */
 
+use MemberDirectory\Drafts;
+use MemberDirectory\PmpPresets;
+use MemberDirectory\PmpResolver;
+use MemberDirectory\PrivacyReport;
 use MemberDirectory\SectionRegistry;
 
 defined( 'ABSPATH' ) || exit;
@@ -74,14 +87,112 @@ if ( $is_edit ) {
 			   class="memdir-panel__view-btn<?php echo $view_as === 'public' ? ' is-active' : ''; ?>">Public</a>
 		</div>
 
+		<?php $audiences = PmpResolver::get_audiences(); ?>
+		<?php if ( $audiences ) : ?>
+		<div class="memdir-panel__view-group memdir-panel__view-group--audiences">
+			<?php foreach ( $audiences as $audience_key => $audience ) : ?>
+			<a href="<?php echo esc_url( add_query_arg( 'view_as', $audience_key, $base_url ) ); ?>"
+			   class="memdir-panel__view-btn<?php echo $view_as === $audience_key ? ' is-active' : ''; ?>"><?php echo esc_html( $audience['label'] ); ?></a>
+			<?php endforeach; ?>
+		</div>
+		<?php endif; ?>
+
+		<?php if ( $is_edit ) : ?>
+		<?php // Shown by memdir.js (section 18) while previewing in place. ?>
+		<div class="memdir-panel__preview" hidden>
+			<p class="memdir-panel__preview-text" role="status"></p>
+			<label class="memdir-panel__preview-hide">
+				<input type="checkbox" data-preview-hide="1"> Hide instead of blur
+			</label>
+			<a class="memdir-panel__preview-full" href="<?php echo esc_url( $base_url ); ?>">Open full preview</a>
+		</div>
+		<?php endif; ?>
+
+		<?php if ( $is_edit ) : ?>
+		<p class="memdir-panel__label"><label for="memdir-field-search">FIND A FIELD</label></p>
+
+		<?php // Results are built by memdir.js (section 17) from the edit form. ?>
+		<div class="memdir-panel__field-search">
+			<input type="search" id="memdir-field-search" class="memdir-panel__field-search-input"
+			       placeholder="e.g. phone, license #" autocomplete="off"
+			       role="combobox" aria-autocomplete="list" aria-expanded="false"
+			       aria-controls="memdir-field-search-results">
+			<ul id="memdir-field-search-results" class="memdir-panel__field-search-results" role="listbox" hidden></ul>
+		</div>
+
+		<p class="memdir-panel__label">PROFILE COMPLETENESS</p>
+
+		<?php // Filled in by memdir.js (section 16) from the edit form. ?>
+		<div class="memdir-panel__completeness">
+			<svg class="memdir-panel__ring" viewBox="0 0 36 36" aria-hidden="true">
+				<circle class="memdir-panel__ring-track" cx="18" cy="18" r="15.9155"></circle>
+				<circle class="memdir-panel__ring-fill" cx="18" cy="18" r="15.9155" pathLength="100" stroke-dasharray="0 100"></circle>
+			</svg>
+			<div class="memdir-panel__completeness-body">
+				<p class="memdir-panel__completeness-value">&mdash;</p>
+				<button type="button" class="memdir-panel__next-field" hidden></button>
+			</div>
+		</div>
+
+		<p class="memdir-panel__label">EDIT HISTORY</p>
+
+		<div class="memdir-panel__history">
+			<button type="button" class="memdir-panel__history-btn" data-history="undo" disabled
+			        title="Undo (Ctrl+Z)">&#8630; Undo</button>
+			<button type="button" class="memdir-panel__history-btn" data-history="redo" disabled
+			        title="Redo (Ctrl+Shift+Z)">Redo &#8631;</button>
+		</div>
+
+		<?php
+		$draft_enabled = Drafts::is_enabled( $post_id );
+		$draft_count   = count( Drafts::get_draft( $post_id ) );
+		?>
+		<p class="memdir-panel__label">DRAFT MODE</p>
+
+		<div class="memdir-panel__draft<?php echo $draft_enabled ? ' is-enabled' : ''; ?>"
+		     data-draft-count="<?php echo (int) $draft_count; ?>">
+			<div class="memdir-panel__section-row">
+				<span class="memdir-panel__section-name">Save edits as a draft</span>
+				<label class="memdir-panel__toggle">
+					<input type="checkbox" data-draft-toggle="1" <?php checked( $draft_enabled ); ?>>
+					<span class="memdir-panel__toggle-slider"></span>
+				</label>
+			</div>
+			<p class="memdir-panel__draft-status" aria-live="polite"></p>
+			<button type="button" class="memdir-panel__draft-publish">Publish changes&hellip;</button>
+		</div>
+
+		<p class="memdir-panel__label">PROFILE HISTORY</p>
+
+		<button type="button" class="memdir-panel__revisions-btn">View past versions&hellip;</button>
+
+		<p class="memdir-panel__label">PRIVACY REPORT</p>
+
+		<?php // Opened by memdir.js (section 20); the data attribute is the printable version. ?>
+		<button type="button" class="memdir-panel__revisions-btn memdir-panel__report-btn"
+		        data-print-url="<?php echo esc_url( PrivacyReport::print_url( $post_id ) ); ?>">What can others see?&hellip;</button>
+
+		<?php $presets = PmpPresets::resolve_all(); ?>
+		<?php if ( $presets ) : ?>
+		<p class="memdir-panel__label">PRIVACY PRESET</p>
+
+		<?php // Matched against the page's PMP controls by memdir.js (section 19). ?>
+		<div class="memdir-panel__presets"
+		     data-presets="<?php echo esc_attr( wp_json_encode( $presets ) ?: '{}' ); ?>"
+		     data-applied="<?php echo esc_attr( PmpPresets::get_applied( $post_id ) ); ?>">
+			<?php foreach ( $presets as $preset_key => $preset ) : ?>
+			<button type="button" class="memdir-panel__preset-btn" data-preset="<?php echo esc_attr( $preset_key ); ?>"
+			        aria-pressed="false"><?php echo esc_html( $preset['label'] ); ?></button>
+			<?php endforeach; ?>
+			<p class="memdir-panel__preset-status" aria-live="polite"></p>
+		</div>
+		<?php endif; ?>
+		<?php endif; ?>
+
 		<p class="memdir-panel__label">GLOBAL DEFAULT VISIBILITY</p>
 
 		<?php
-		$global_pmp_options = [
-			'public'  => 'Public',
-			'member'  => 'Members',
-			'private' => 'Private',
-		];
+		$global_pmp_options = PmpResolver::levels();
 		$global_current_label = $global_pmp_options[ $global_pmp ] ?? 'Members';
 		?>
 		<div class="memdir-pmp-dropdown" data-pmp="<?php echo esc_attr( $global_pmp ); ?>" data-context="global">
@@ -24,6 +24,7 @@
  */
 
 use MemberDirectory\AcfFormHelper;
+use MemberDirectory\PmpResolver;
 
 defined( 'ABSPATH' ) || exit;
 
@@ -167,6 +168,20 @@ foreach ( $raw_fields as $f ) {
 	];
 }
 
+// ---------------------------------------------------------------------------
+// Validation rules (required, maxlength, min/max, choices) for the fields in
+// this form. Passed to JS via data-field-rules so saveField() can validate
+// inline before sending; the server re-checks with the same rules.
+// ---------------------------------------------------------------------------
+
+$field_rules = AcfFormHelper::get_field_rules( array_filter(
+	$raw_fields,
+	function ( $f ) use ( $conditional_excluded_keys ) {
+		return ! preg_match( '/_(enabled|privacy_mode)$/', $f['key'] ?? '' )
+			&& ! in_array( $f['key'] ?? '', $conditional_excluded_keys, true );
+	}
+) );
+
 // ---------------------------------------------------------------------------
 // Resolve section PMP for initial active-button state and eyebrow text.
 //
@@ -181,7 +196,7 @@ $section_pmp = (string) ( get_field( 'member_directory_' . $section_key . '_priv
 if ( ! isset( $global_pmp ) ) {
 	$global_pmp = get_field( 'member_directory_global_pmp', $post_id ) ?: 'public';
 }
-$pmp_labels  = [ 'public' => 'Public', 'member' => 'Members only', 'private' => 'Private' ];
+$pmp_labels  = array_merge( PmpResolver::LEVEL_LABELS, PmpResolver::levels(), [ 'member' => 'Members only' ] );
 
 $pmp_status_text = ( $section_pmp === 'inherit' )
 	? 'Global default: ' . ( $pmp_labels[ $global_pmp ] ?? 'Public' )
@@ -190,17 +205,22 @@ $pmp_status_text = ( $section_pmp === 'inherit' )
 $pmp_mode_attr = ( $section_pmp === 'inherit' ) ? 'inherit' : 'override';
 
 ?>
-<div class="memdir-section memdir-section--edit" data-section="<?php echo esc_attr( $section_key ); ?>" data-color="<?php echo esc_attr( (string) ( $section_color ?? 0 ) ); ?>" data-post-id="<?php echo esc_attr( (string) $post_id ); ?>" data-field-pmp="<?php echo esc_attr( wp_json_encode( $field_pmp_data ) ?: '{}' ); ?>">
+<div class="memdir-section memdir-section--edit" id="memdir-section-<?php echo esc_attr( $section_key ); ?>" role="tabpanel" aria-labelledby="memdir-pill-<?php echo esc_attr( $section_key ); ?>" data-section="<?php echo esc_attr( $section_key ); ?>" data-color="<?php echo esc_attr( (string) ( $section_color ?? 0 ) ); ?>" data-post-id="<?php echo esc_attr( (string) $post_id ); ?>" data-field-pmp="<?php echo esc_attr( wp_json_encode( $field_pmp_data ) ?: '{}' ); ?>" data-field-rules="<?php echo esc_attr( wp_json_encode( (object) $field_rules ) ?: '{}' ); ?>">
 
 	<div class="memdir-section-controls">
 
 		<p class="memdir-section-controls__title"><?php echo esc_html( $section_label ); ?></p>
 
-		<div class="memdir-section-controls__tabs">
-			<?php foreach ( $field_groups as $group ) : ?>
+		<div class="memdir-section-controls__tabs" role="tablist" aria-orientation="vertical" aria-label="<?php echo esc_attr( $section_label ); ?> tabs">
+			<?php foreach ( $field_groups as $i => $group ) : ?>
 			<button
 				type="button"
 				class="memdir-section-controls__tab-item"
+				id="memdir-tab-<?php echo esc_attr( $section_key . '-' . $i ); ?>"
+				role="tab"
+				aria-selected="false"
+				aria-controls="memdir-fields-<?php echo esc_attr( $section_key ); ?>"
+				tabindex="-1"
 				data-tab="<?php echo esc_attr( $group['tab'] ?? '' ); ?>"
 				data-field-keys="<?php echo esc_attr( wp_json_encode( $group['field_keys'] ?? [] ) ); ?>"
 			>
@@ -212,12 +232,7 @@ $pmp_mode_attr = ( $section_pmp === 'inherit' ) ? 'inherit' : 'override';
 		<p class="memdir-section-controls__pmp-heading">Section Default Visibility</p>
 
 		<?php
-		$pmp_options = [
-			'inherit' => 'Inherit',
-			'public'  => 'Public',
-			'member'  => 'Members',
-			'private' => 'Private',
-		];
+		$pmp_options = [ 'inherit' => 'Inherit' ] + PmpResolver::levels();
 		$current_pmp_label = $pmp_options[ $section_pmp ] ?? 'Inherit';
 		?>
 		<div class="memdir-pmp-dropdown" data-pmp="<?php echo esc_attr( $section_pmp ); ?>">
@@ -245,7 +260,7 @@ $pmp_mode_attr = ( $section_pmp === 'inherit' ) ? 'inherit' : 'override';
 
 	</div>
 
-	<div class="memdir-field-content">
+	<div class="memdir-field-content" id="memdir-fields-<?php echo esc_attr( $section_key ); ?>"<?php echo $field_groups ? ' role="tabpanel"' : ''; ?>>
 		<h2 class="memdir-section-title"><?php echo esc_html( $section_label ); ?></h2>
 		<p class="memdir-section-subtitle">Edit surface mirrors live layout; fields update immediately.</p>
 		<?php AcfFormHelper::render_edit_form( $section, $post_id, $conditional_excluded_keys ); ?>
@@ -133,7 +133,7 @@ if ( ! isset( $global_pmp ) ) {
 $effective_pmp = ( $section_pmp !== 'inherit' ) ? $section_pmp : $global_pmp;
 
 ?>
-<div class="memdir-section" data-section="<?php echo esc_attr( $section_key ); ?>" data-color="<?php echo esc_attr( (string) ( $section_color ?? 0 ) ); ?>">
+<div class="memdir-section" id="memdir-section-<?php echo esc_attr( $section_key ); ?>" role="tabpanel" aria-labelledby="memdir-pill-<?php echo esc_attr( $section_key ); ?>" data-section="<?php echo esc_attr( $section_key ); ?>" data-color="<?php echo esc_attr( (string) ( $section_color ?? 0 ) ); ?>">
 
 	<div class="memdir-field-content">
 		<h2 class="memdir-section-title"><?php echo esc_html( $section_label ); ?></h2>
@@ -200,6 +200,7 @@ $effective_pmp = ( $section_pmp !== 'inherit' ) ? $section_pmp : $global_pmp;
 					'field_pmp'   => (string) $field_pmp,
 					'section_pmp' => $section_pmp,
 					'global_pmp'  => (string) $global_pmp,
+					'post_id'     => $post_id,
 				],
 				$viewer
 			);
@@ -97,6 +97,7 @@ $can_see_outbound = $is_own_profile || ( $viewer['is_admin'] ?? false );
 
 ?>
 <div class="memdir-section<?php echo $is_edit ? ' memdir-section--edit' : ''; ?>"
+     id="memdir-section-trust" role="tabpanel" aria-labelledby="memdir-pill-trust"
      data-section="trust"
      data-color="<?php echo esc_attr( (string) ( $section_color ?? 0 ) ); ?>"
      data-post-id="<?php echo esc_attr( (string) $post_id ); ?>">
@@ -21,6 +21,8 @@
  */
 
 use MemberDirectory\AcfFormHelper;
+use MemberDirectory\Drafts;
+use MemberDirectory\GlobalFields;
 use MemberDirectory\PmpResolver;
 use MemberDirectory\SectionRegistry;
 
@@ -56,9 +58,24 @@ if ( isset( $_GET['view_as'] ) && $is_privileged ) {
 // Rendering mode — false when ?view_as is active (spoofed viewer fails check).
 $is_edit = AcfFormHelper::is_edit_mode( $post_id, $viewer );
 
+// Draft mode: the edit form shows staged values; view mode keeps the live ones.
+if ( $is_edit ) {
+	Drafts::apply_to_edit_form( $post_id );
+}
+
 $sections        = SectionRegistry::get_sections();
 $primary_section = get_field( 'member_directory_primary_section', $post_id ) ?: 'profile';
 
+// Section colours follow registry position so reordering doesn't repaint them.
+$section_colors = [];
+foreach ( $sections as $_i => $_sec ) {
+	$section_colors[ $_sec['key'] ?? '' ] = ( $_i % 15 ) + 1;
+}
+unset( $_i, $_sec );
+
+// The author's drag-and-drop order drives the pills and the All Sections layout.
+$sections = GlobalFields::apply_section_order( $post_id, $sections );
+
 // ---------------------------------------------------------------------------
 // PERF: Pre-fetch shared data used by multiple partials.
 //
@@ -135,12 +152,10 @@ $global_pmp    = get_field( 'member_directory_global_pmp', $post_id ) ?: 'public
 		</div>
 
 		<div class="memdir-sections">
-			<?php $_section_idx = 0; ?>
 			<?php foreach ( $sections as $section ) : ?>
 				<?php
-				$section_color   = ( $_section_idx % 15 ) + 1;
-				$_section_idx++;
 				$section_key     = $section['key'] ?? '';
+				$section_color   = $section_colors[ $section_key ] ?? 1;
 				$section_enabled = get_field( 'member_directory_' . $section_key . '_enabled', $post_id );
 
 				// Primary and always_on sections must always render — they can never
@@ -173,7 +188,7 @@ $global_pmp    = get_field( 'member_directory_global_pmp', $post_id ) ?: 'public
 		// Uses the same ob_start ghost pattern as ACF sections: if the
 		// partial produces no output, the section is silently omitted
 		// and JS will hide its pill on load.
-		$section_color = ( $_section_idx % 15 ) + 1;
+		$section_color = ( count( $section_colors ) % 15 ) + 1;
 		if ( $is_edit ) {
 			include plugin_dir_path( __FILE__ ) . 'parts/trust-network.php';
 		} else {